@@ -9,7 +9,7 @@ const CACHE_VERSION = 1;
 export class CrawlerCache {
   constructor() {
     this.version = CACHE_VERSION;
-    this.skills = new Map(); // skill-level cache: owner/repo/path -> { commitHash, manifest, zipPath }
+    this.skills = new Map(); // skill-level cache: owner/repo/path -> { commitHash, manifest, zipPath, zipSha256, zipSize }
     this.repos = new Map(); // repo-level cache: owner/repo -> { commitHash, skillKeys, url, branch, stats, fetchedAt }
     this.pendingZips = new Set(); // cache keys of skills that still need zip generation (from timeout)
     this.pendingR2Uploads = new Set(); // cache keys of skills that still need R2 upload
@@ -331,7 +331,7 @@ export class CrawlerCache {
 
   /**
    * Set skill with compacted manifest.
-   * Merges in existing zip state (zipPath, r2UploadedHash) so re-crawls don't drop it.
+   * Merges in existing zip state (zipPath, zip digest, r2UploadedHash) so re-crawls don't drop it.
    * @param {string} key - Skill cache key
    * @param {Object} data - { commitHash, manifest, ... }
    */
@@ -350,6 +350,10 @@ export class CrawlerCache {
       }
       if (existing.zipPath !== undefined && compactedData.zipPath === undefined) {
         compactedData.zipPath = existing.zipPath;
+        if (existing.zipSha256) {
+          compactedData.zipSha256 = existing.zipSha256;
+          compactedData.zipSize = existing.zipSize;
+        }
       }
       if (existing.r2UploadedHash !== undefined && compactedData.r2UploadedHash === undefined) {
         compactedData.r2UploadedHash = existing.r2UploadedHash;
@@ -479,18 +483,36 @@ export class CrawlerCache {
   }
 
   /**
-   * Set zip path for a skill
+   * Set zip path (and digest, when known) for a skill
    * @param {string} key - Skill cache key
    * @param {string} zipPath - Path to the zip file
+   * @param {{sha256: string, size: number}} [digest] - Zip sha256 and byte size
    */
-  setZipInfo(key, zipPath) {
+  setZipInfo(key, zipPath, digest = null) {
     const cached = this.skills.get(key);
     if (cached) {
       cached.zipPath = zipPath;
+      if (digest) {
+        cached.zipSha256 = digest.sha256;
+        cached.zipSize = digest.size;
+      }
       this.isDirty = true;
     }
   }
 
+  /**
+   * Get digest of the last generated zip for a skill
+   * @param {string} key - Skill cache key
+   * @returns {{sha256: string, size: number}|null}
+   */
+  getZipDigest(key) {
+    const cached = this.skills.get(key);
+    if (cached && cached.zipSha256) {
+      return { sha256: cached.zipSha256, size: cached.zipSize };
+    }
+    return null;
+  }
+
   /**
    * Get zip path for a skill
    * @param {string} key - Skill cache key
@@ -560,6 +582,11 @@ export class CrawlerCache {
       compacted.compatibility = manifest.compatibility;
     }
 
+    // Only include requires if not empty
+    if (manifest.requires && manifest.requires.length > 0) {
+      compacted.requires = manifest.requires;
+    }
+
     // Compact files: remove the skill path prefix
     if (manifest.files && manifest.files.length > 0) {
       const skillPath = manifest.repository?.path;
@@ -625,6 +652,10 @@ export class CrawlerCache {
       expanded.compatibility = compact.compatibility;
     }
 
+    if (compact.requires && compact.requires.length > 0) {
+      expanded.requires = compact.requires;
+    }
+
     return expanded;
   }
 
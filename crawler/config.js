@@ -87,6 +87,7 @@ export const CONFIG = {
     maxFilesPerSkill: 20, // Maximum files to include per skill
     maxDescriptionLength: 500, // Maximum description length
     minBodyLength: 500, // Minimum SKILL.md body length for validation
+    maxRequires: 20, // Maximum dependencies kept from `requires:` frontmatter
   },
 
   // Execution timeout settings
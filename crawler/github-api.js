@@ -583,6 +583,9 @@ async function processRepoFromArchive(
       if (parsed.version) {
         manifest.compatibility = { minAgentVersion: "0.1.0" };
       }
+      if (parsed.requires.length > 0) {
+        manifest.requires = parsed.requires;
+      }
 
       const cacheKey = CrawlerCache.generateSkillKey(owner, repo, skillPath);
       crawlerCache.setSkill(cacheKey, {
@@ -1067,6 +1070,9 @@ export async function processSkillFileWithPool(
     if (parsed.version) {
       manifest.compatibility = { minAgentVersion: "0.1.0" };
     }
+    if (parsed.requires.length > 0) {
+      manifest.requires = parsed.requires;
+    }
 
     // 5. Save to cache
     if (skillDirCommitHash) {
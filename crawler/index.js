@@ -24,6 +24,7 @@ import { scanLocalSkills } from "./local-scanner.js";
 import { crawlerCache } from "./cache.js";
 import {
   generateSkillZip,
+  computeZipDigest,
   isNoFilesFetchedError,
   isRetryableZipError,
 } from "./zip-generator.js";
@@ -136,7 +137,7 @@ async function processPendingItems() {
       });
       if (valid) {
         const zipPath = path.relative(path.join(CONFIG.zips.outputDir, ".."), localZipPath);
-        crawlerCache.setZipInfo(key, zipPath);
+        crawlerCache.setZipInfo(key, zipPath, await computeZipDigest(localZipPath));
         console.log(`  ✓ ${skill.name} (already on disk)`);
         zipOnDisk++;
         crawlerCache.removePendingZip(key);
@@ -171,8 +172,8 @@ async function processPendingItems() {
         }
 
         console.log(`  Generating zip for ${skill.name}...`);
-        const { zipPath } = await generateSkillZip(skill, CONFIG.zips.outputDir, workerPool);
-        crawlerCache.setZipInfo(key, zipPath);
+        const { zipPath, ...digest } = await generateSkillZip(skill, CONFIG.zips.outputDir, workerPool);
+        crawlerCache.setZipInfo(key, zipPath, digest);
         crawlerCache.removePendingZip(key);
         zipGenerated++;
       } catch (error) {
@@ -271,6 +272,14 @@ async function processPendingItems() {
             continue;
           }
           await uploadToR2(localPath, r2Key, r2Bucket);
+          if (t.commitHash && t.commitHash !== "local") {
+            // Commit-addressed copy so clients can install pinned versions
+            await uploadToR2(
+              localPath,
+              buildR2Key(r2Prefix, t.owner, t.repo, t.skillName, t.commitHash),
+              r2Bucket,
+            );
+          }
           crawlerCache.setR2Uploaded(t.key, t.commitHash);
           crawlerCache.removePendingZip(t.key);
           crawlerCache.removePendingR2Upload(t.key);
@@ -691,6 +700,14 @@ async function main() {
         try {
           if (!(await ensureZipValidSize(localPath, cacheKey, zipFilename))) return;
           await uploadToR2(localPath, r2Key, r2Bucket);
+          if (skill.commitHash && skill.commitHash !== "local") {
+            // Commit-addressed copy so clients can install pinned versions
+            await uploadToR2(
+              localPath,
+              buildR2Key(r2Prefix, owner, repo, safeZipName(skill.name), skill.commitHash),
+              r2Bucket,
+            );
+          }
           crawlerCache.setR2Uploaded(cacheKey, skill.commitHash);
           r2UploadedCount++;
           if (CONFIG.zips.deleteLocalAfterR2Upload) {
@@ -774,6 +791,10 @@ async function main() {
             const localZipPath = path.join(CONFIG.zips.outputDir, zipFilename);
             const valid = await ensureZipValidSize(localZipPath, cacheKey, `Cached zip ${zipFilename}`);
             if (valid) {
+              // Backfill digest for zips generated before digests were recorded
+              if (!crawlerCache.getZipDigest(cacheKey)) {
+                crawlerCache.setZipInfo(cacheKey, zipInfo, await computeZipDigest(localZipPath));
+              }
               skippedCount++;
               scheduleR2Upload(cacheKey, skill, owner, repo, isLastInRepo);
               continue;
@@ -792,12 +813,12 @@ async function main() {
           continue;
         }
 
-        const { zipPath } = await generateSkillZip(
+        const { zipPath, ...digest } = await generateSkillZip(
           skill,
           CONFIG.zips.outputDir,
           workerPool,
         );
-        crawlerCache.setZipInfo(cacheKey, zipPath);
+        crawlerCache.setZipInfo(cacheKey, zipPath, digest);
         generatedCount++;
         scheduleR2Upload(cacheKey, skill, owner, repo, isLastInRepo);
       } catch (error) {
@@ -865,6 +886,18 @@ async function main() {
     return crawlerCache.getSkill(cacheKey) !== undefined; // Keep if still in cache
   });
 
+  // Publish zip digests so the CLI can verify CDN downloads
+  for (const skill of filteredSkills) {
+    const parsed = parseRepoUrl(skill.repository?.url);
+    const digest = parsed
+      ? crawlerCache.getZipDigest(`${parsed.owner}/${parsed.repo}/${skill.repository.path}`)
+      : null;
+    if (digest) {
+      skill.zipSha256 = digest.sha256;
+      skill.zipSize = digest.size;
+    }
+  }
+
   const zombieCount = allSkills.length - filteredSkills.length;
   if (zombieCount > 0) {
     console.log(`\nRemoved ${zombieCount} zombie skill(s) from output (no files could be fetched).`);
@@ -133,6 +133,9 @@ export async function scanLocalSkills() {
           minAgentVersion: "0.1.0",
         };
       }
+      if (parsed.requires.length > 0) {
+        manifest.requires = parsed.requires;
+      }
 
       localSkills.push(manifest);
     } catch (error) {
@@ -64,6 +64,12 @@ export function compactSkill(skill, reposMap = null) {
     compacted.commitHash = skill.commitHash;
   }
 
+  // Zip digest lets clients verify the CDN download
+  if (skill.zipSha256) {
+    compacted.zipSha256 = skill.zipSha256;
+    compacted.zipSize = skill.zipSize;
+  }
+
   // Only include version if it's not the default "0.0.0"
   if (skill.version && skill.version !== "0.0.0") {
     compacted.version = skill.version;
@@ -79,6 +85,11 @@ export function compactSkill(skill, reposMap = null) {
     compacted.compatibility = skill.compatibility;
   }
 
+  // Only include requires if not empty
+  if (skill.requires && skill.requires.length > 0) {
+    compacted.requires = skill.requires;
+  }
+
   // Compact files: remove the skill path prefix from each file
   // e.g., "skills/pdf/SKILL.md" -> "SKILL.md"
   if (skill.files && skill.files.length > 0) {
@@ -102,6 +113,9 @@ export function compactSkill(skill, reposMap = null) {
   if (skill.scanTags && skill.scanTags.length > 0) {
     compacted.scanTags = skill.scanTags;
   }
+  if (skill.suppressedTags && skill.suppressedTags.length > 0) {
+    compacted.suppressedTags = skill.suppressedTags;
+  }
   if (skill.scannedAt) {
     compacted.scannedAt = skill.scannedAt;
   }
@@ -164,6 +178,15 @@ export function expandSkill(compact, repositories = {}) {
     expanded.compatibility = compact.compatibility;
   }
 
+  if (compact.requires && compact.requires.length > 0) {
+    expanded.requires = compact.requires;
+  }
+
+  if (compact.zipSha256) {
+    expanded.zipSha256 = compact.zipSha256;
+    expanded.zipSize = compact.zipSize;
+  }
+
   if (compact.securityScore != null) {
     expanded.securityScore = compact.securityScore;
   }
@@ -173,6 +196,9 @@ export function expandSkill(compact, repositories = {}) {
   if (compact.scanTags && compact.scanTags.length > 0) {
     expanded.scanTags = compact.scanTags;
   }
+  if (compact.suppressedTags && compact.suppressedTags.length > 0) {
+    expanded.suppressedTags = compact.suppressedTags;
+  }
   if (compact.scannedAt) {
     expanded.scannedAt = compact.scannedAt;
   }
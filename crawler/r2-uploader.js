@@ -55,8 +55,9 @@ export async function uploadToR2(localPath, r2Key, bucket) {
   if (!client) throw new Error("R2 client not configured");
 
   const body = await fs.readFile(localPath);
-  const isJson = r2Key.endsWith(".json");
-  const contentType = isJson ? "application/json; charset=utf-8" : "application/zip";
+  let contentType = "application/zip";
+  if (r2Key.endsWith(".json")) contentType = "application/json; charset=utf-8";
+  else if (r2Key.endsWith(".sig")) contentType = "text/plain; charset=utf-8";
 
   await client.send(
     new PutObjectCommand({
@@ -70,13 +71,18 @@ export async function uploadToR2(localPath, r2Key, bucket) {
 
 /**
  * Build the R2 object key for a skill zip.
+ * Without commitHash the key is the mutable "latest" zip; with commitHash it is the
+ * immutable archive for that commit (owner-repo-name@<commitHash>.zip), so clients
+ * can install or roll back to a pinned version.
  * @param {string} prefix — e.g. "zips/"
  * @param {string} owner
  * @param {string} repo
  * @param {string} skillName
+ * @param {string} [commitHash] — commit the zip was generated from
  * @returns {string}
  */
-export function buildR2Key(prefix, owner, repo, skillName) {
-  return `${prefix}${owner}-${repo}-${skillName}.zip`;
+export function buildR2Key(prefix, owner, repo, skillName, commitHash = "") {
+  const suffix = commitHash ? `@${commitHash}` : "";
+  return `${prefix}${owner}-${repo}-${skillName}${suffix}.zip`;
 }
 
@@ -0,0 +1,62 @@
+import fs from "fs/promises";
+import crypto from "crypto";
+
+/**
+ * Registry signer — detached Ed25519 signatures for skills.json and its chunks.
+ *
+ * Each registry file gets a sibling "<file>.sig" holding the base64 signature of the
+ * file's exact bytes. The CLI verifies these against the publisher's public key.
+ *
+ * Environment variables:
+ *   REGISTRY_SIGNING_KEY — Ed25519 private key (PKCS#8 PEM)
+ */
+
+/** Suffix of detached signature files. */
+export const SIGNATURE_SUFFIX = ".sig";
+
+/**
+ * Check if registry signing is configured
+ * @returns {boolean}
+ */
+export function isSigningConfigured() {
+  return !!process.env.REGISTRY_SIGNING_KEY;
+}
+
+/**
+ * Generate a new Ed25519 key pair for registry signing.
+ * @returns {{ privateKeyPem: string, publicKey: string }} publicKey is the base64 raw 32-byte key
+ */
+export function generateSigningKeyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+  return {
+    privateKeyPem: privateKey.export({ type: "pkcs8", format: "pem" }),
+    publicKey: Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url").toString("base64"),
+  };
+}
+
+/**
+ * Sign content with an Ed25519 private key.
+ * @param {Buffer|string} content
+ * @param {string} privateKeyPem — PKCS#8 PEM
+ * @returns {string} base64 signature
+ */
+export function signContent(content, privateKeyPem) {
+  const key = crypto.createPrivateKey(privateKeyPem);
+  if (key.asymmetricKeyType !== "ed25519") {
+    throw new Error(`Registry signing key must be Ed25519, got ${key.asymmetricKeyType}`);
+  }
+  return crypto.sign(null, Buffer.from(content), key).toString("base64");
+}
+
+/**
+ * Write a detached signature next to a registry file.
+ * @param {string} filePath — absolute path to skills.json or a chunk
+ * @param {string} privateKeyPem
+ * @returns {Promise<string>} path of the written .sig file
+ */
+export async function signRegistryFile(filePath, privateKeyPem) {
+  const content = await fs.readFile(filePath);
+  const sigPath = `${filePath}${SIGNATURE_SUFFIX}`;
+  await fs.writeFile(sigPath, `${signContent(content, privateKeyPem)}\n`, "utf-8");
+  return sigPath;
+}
@@ -1,5 +1,9 @@
 import matter from "gray-matter";
 import { CONFIG } from "./config.js";
+// Shared with the CLI's `doctor`, which is published without the crawler
+import { validateSkillMetadata } from "../market/cli/src/skill-metadata.js";
+
+export { validateSkillMetadata };
 
 /**
  * Category definitions with keywords for matching
@@ -278,20 +282,8 @@ export function categorizeSkill(name, description) {
  * @returns {{ isValid: boolean, reason: string }}
  */
 export function validateSkillQuality(parsed, body) {
-  if (!parsed.name || parsed.name.length < 2) {
-    return { isValid: false, reason: "Missing or invalid name in frontmatter" };
-  }
-
-  if (!/^[a-z0-9][a-z0-9-]*[a-z0-9]$|^[a-z0-9]$/.test(parsed.name)) {
-    return { isValid: false, reason: "Name must be lowercase with hyphens" };
-  }
-
-  if (!parsed.description || parsed.description.length < 20) {
-    return {
-      isValid: false,
-      reason: "Missing or too short description (min 20 chars)",
-    };
-  }
+  const metadata = validateSkillMetadata(parsed);
+  if (!metadata.isValid) return metadata;
 
   const bodyLength = body ? body.replace(/\s+/g, " ").trim().length : 0;
   const minBodyLength = CONFIG.fileLimits.minBodyLength ?? 500;
@@ -316,6 +308,7 @@ function extractFrontmatterManually(content) {
     description: null,
     version: null,
     tags: [],
+    requires: [],
     body: content,
   };
 
@@ -372,12 +365,31 @@ function extractFrontmatterManually(content) {
           }
         }
         break;
+      case "requires":
+        // Inline form only: [a, b] or "a, b"
+        result.requires = value.replace(/^\[|\]$/g, "").split(",");
+        break;
     }
   }
 
   return result;
 }
 
+/**
+ * Normalize the `requires:` frontmatter field into a list of skill ids or names.
+ * Accepts a YAML list or a comma-separated string; entries are trimmed, unquoted and deduplicated.
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+export function normalizeRequires(value) {
+  const raw = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : [];
+  const requires = raw
+    .filter((item) => typeof item === "string")
+    .map((item) => item.trim().replace(/^["']|["']$/g, "").trim())
+    .filter(Boolean);
+  return [...new Set(requires)].slice(0, CONFIG.fileLimits.maxRequires);
+}
+
 /**
  * Extract name and description from markdown content (no frontmatter)
  * @param {string} content
@@ -453,6 +465,7 @@ export function parseSkillContent(content) {
         description: manual.description,
         version: manual.version,
         tags: manual.tags,
+        requires: manual.requires,
       };
       body = manual.body;
     } else {
@@ -472,6 +485,7 @@ export function parseSkillContent(content) {
   const description = frontmatter.description || null;
   const version = frontmatter.version || null;
   const tags = frontmatter.tags || [];
+  const requires = normalizeRequires(frontmatter.requires);
 
   let extractedDescription = description;
   if (!extractedDescription && body) {
@@ -489,6 +503,7 @@ export function parseSkillContent(content) {
     description: extractedDescription,
     version,
     tags: Array.isArray(tags) ? tags : [],
+    requires,
   };
 
   const validation = validateSkillQuality(parsed, body);
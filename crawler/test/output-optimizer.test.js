@@ -0,0 +1,47 @@
+/**
+ * Tests for output-optimizer.js: zip digest and requires fields survive compaction.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import { compactSkill, expandSkill } from "../output-optimizer.js";
+
+function makeSkill(extra = {}) {
+  return {
+    id: "acme/skills/skills/pdf",
+    name: "pdf",
+    description: "PDF helper",
+    categories: ["docs"],
+    author: { name: "acme" },
+    commitHash: "abc123",
+    repository: { url: "https://github.com/acme/skills", branch: "main", path: "skills/pdf" },
+    files: ["skills/pdf/SKILL.md"],
+    stats: { stars: 1, forks: 0, lastUpdated: null },
+    ...extra,
+  };
+}
+
+test("compactSkill: keeps zip sha256 and size next to commitHash", () => {
+  const compact = compactSkill(makeSkill({ zipSha256: "f".repeat(64), zipSize: 1234 }));
+  assert.strictEqual(compact.commitHash, "abc123");
+  assert.strictEqual(compact.zipSha256, "f".repeat(64));
+  assert.strictEqual(compact.zipSize, 1234);
+});
+
+test("compactSkill: omits zip digest when no zip was generated", () => {
+  const compact = compactSkill(makeSkill());
+  assert.ok(!("zipSha256" in compact));
+  assert.ok(!("zipSize" in compact));
+});
+
+test("expandSkill: restores zip digest", () => {
+  const expanded = expandSkill(compactSkill(makeSkill({ zipSha256: "a".repeat(64), zipSize: 99 })));
+  assert.strictEqual(expanded.zipSha256, "a".repeat(64));
+  assert.strictEqual(expanded.zipSize, 99);
+});
+
+test("compactSkill/expandSkill: carry requires through", () => {
+  const compact = compactSkill(makeSkill({ requires: ["git-commit"] }));
+  assert.deepStrictEqual(compact.requires, ["git-commit"]);
+  assert.deepStrictEqual(expandSkill(compact).requires, ["git-commit"]);
+  assert.ok(!("requires" in compactSkill(makeSkill({ requires: [] }))));
+});
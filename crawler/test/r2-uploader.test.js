@@ -0,0 +1,27 @@
+/**
+ * Tests for r2-uploader.js: R2 object keys for latest and commit-addressed zips.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import { buildR2Key } from "../r2-uploader.js";
+import { generateZipUrl } from "../zip-generator.js";
+
+test("buildR2Key: latest zip is addressed by name only", () => {
+  assert.strictEqual(buildR2Key("zips/", "acme", "skills", "pdf"), "zips/acme-skills-pdf.zip");
+});
+
+test("buildR2Key: commit-addressed zip appends @commitHash", () => {
+  assert.strictEqual(
+    buildR2Key("zips/", "acme", "skills", "pdf", "abc123"),
+    "zips/acme-skills-pdf@abc123.zip",
+  );
+});
+
+test("generateZipUrl: matches R2 key layout", () => {
+  const base = "https://cdn.example.com/zips";
+  assert.strictEqual(generateZipUrl(base, "acme", "skills", "pdf"), `${base}/acme-skills-pdf.zip`);
+  assert.strictEqual(
+    generateZipUrl(base, "acme", "skills", "pdf", "abc123"),
+    `${base}/acme-skills-pdf@abc123.zip`,
+  );
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for registry-signer.js: signatures written by the publisher verify in the CLI.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  SIGNATURE_SUFFIX,
+  generateSigningKeyPair,
+  signContent,
+  signRegistryFile,
+} from "../registry-signer.js";
+import {
+  parsePublicKey,
+  verifyRegistrySignature,
+} from "../../market/cli/src/registry-signature.js";
+
+const keys = generateSigningKeyPair();
+const registry = JSON.stringify({ meta: { chunks: ["skills-1.json"] }, skills: [] }, null, 2);
+
+test("signRegistryFile: writes a detached .sig the CLI accepts", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "registry-sign-"));
+  try {
+    const file = path.join(dir, "skills.json");
+    await fs.writeFile(file, registry);
+    const sigPath = await signRegistryFile(file, keys.privateKeyPem);
+    assert.strictEqual(sigPath, `${file}${SIGNATURE_SUFFIX}`);
+    const signature = await fs.readFile(sigPath, "utf-8");
+    assert.ok(verifyRegistrySignature(registry, signature, parsePublicKey(keys.publicKey)));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("verifyRegistrySignature: rejects tampered content", () => {
+  const signature = signContent(registry, keys.privateKeyPem);
+  const tampered = registry.replace('"skills": []', '"skills": [{}]');
+  assert.strictEqual(
+    verifyRegistrySignature(tampered, signature, parsePublicKey(keys.publicKey)),
+    false,
+  );
+});
+
+test("verifyRegistrySignature: rejects signatures from another key", () => {
+  const other = generateSigningKeyPair();
+  const signature = signContent(registry, other.privateKeyPem);
+  assert.strictEqual(
+    verifyRegistrySignature(registry, signature, parsePublicKey(keys.publicKey)),
+    false,
+  );
+  assert.strictEqual(verifyRegistrySignature(registry, "", parsePublicKey(keys.publicKey)), false);
+});
+
+test("parsePublicKey: rejects keys that are not Ed25519 public keys", () => {
+  assert.throws(() => parsePublicKey("not-a-key"), /Ed25519/);
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for skill-parser.js: `requires:` frontmatter parsing and metadata validation.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import {
+  parseSkillContent,
+  normalizeRequires,
+  validateSkillMetadata,
+  validateSkillQuality,
+} from "../skill-parser.js";
+
+const body = "Use this skill to review changes before committing them.\n".repeat(12);
+
+test("parseSkillContent: reads requires as a YAML list", () => {
+  const parsed = parseSkillContent(
+    `---\nname: code-review\ndescription: Review code\nrequires:\n  - git-commit\n  - acme/skills/skills/lint\n---\n\n${body}`,
+  );
+  assert.deepStrictEqual(parsed.requires, ["git-commit", "acme/skills/skills/lint"]);
+});
+
+test("parseSkillContent: reads requires as a comma-separated string", () => {
+  const parsed = parseSkillContent(
+    `---\nname: code-review\ndescription: Review code\nrequires: git-commit, lint\n---\n\n${body}`,
+  );
+  assert.deepStrictEqual(parsed.requires, ["git-commit", "lint"]);
+});
+
+test("parseSkillContent: requires defaults to an empty list", () => {
+  const parsed = parseSkillContent(`---\nname: code-review\ndescription: Review code\n---\n\n${body}`);
+  assert.deepStrictEqual(parsed.requires, []);
+});
+
+test("normalizeRequires: trims, unquotes and deduplicates entries", () => {
+  assert.deepStrictEqual(normalizeRequires([" a ", "'b'", "a", "", 3]), ["a", "b"]);
+  assert.deepStrictEqual(normalizeRequires(undefined), []);
+});
+
+test("validateSkillMetadata: checks name and description but not the body length", () => {
+  const parsed = { name: "code-review", description: "Review code before committing it." };
+  assert.deepStrictEqual(validateSkillMetadata(parsed), { isValid: true, reason: "" });
+  assert.strictEqual(validateSkillQuality(parsed, "Short body.").isValid, false);
+  assert.strictEqual(validateSkillMetadata({ ...parsed, name: "Code_Review" }).reason, "Name must be lowercase with hyphens");
+  assert.strictEqual(validateSkillMetadata({ ...parsed, description: "Review" }).isValid, false);
+});
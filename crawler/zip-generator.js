@@ -1,5 +1,6 @@
 import fs from "fs/promises";
 import path from "path";
+import crypto from "crypto";
 import archiver from "archiver";
 import { createWriteStream } from "fs";
 import { CONFIG } from "./config.js";
@@ -37,7 +38,7 @@ export function isRetryableZipError(error) {
  * @param {Object} skillManifest - Skill manifest object
  * @param {string} outputDir - Output directory for zip files
  * @param {import('./worker-pool.js').WorkerPool} workerPool - Worker pool for rate-limited API calls
- * @returns {Promise<{zipPath: string}>}
+ * @returns {Promise<{zipPath: string, sha256: string, size: number}>}
  */
 export async function generateSkillZip(skillManifest, outputDir, workerPool) {
   const { name, repository, files } = skillManifest;
@@ -86,6 +87,20 @@ export async function generateSkillZip(skillManifest, outputDir, workerPool) {
 
   return {
     zipPath: path.relative(path.join(outputDir, ".."), zipPath),
+    ...(await computeZipDigest(zipPath)),
+  };
+}
+
+/**
+ * Compute sha256 and byte size of a zip on disk (published so clients can verify downloads).
+ * @param {string} zipPath - Path to the zip file
+ * @returns {Promise<{sha256: string, size: number}>}
+ */
+export async function computeZipDigest(zipPath) {
+  const content = await fs.readFile(zipPath);
+  return {
+    sha256: crypto.createHash("sha256").update(content).digest("hex"),
+    size: content.length,
   };
 }
 
@@ -356,10 +371,12 @@ function preserveDirectoryStructure(filePath, skillPath, skillName) {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} skillName - Skill name
+ * @param {string} [commitHash] - When set, URL of the archived zip for that commit
  * @returns {string} - Full URL to zip file
  */
-export function generateZipUrl(baseUrl, owner, repo, skillName) {
+export function generateZipUrl(baseUrl, owner, repo, skillName, commitHash = "") {
   const safeName = safeZipName(skillName);
-  const zipFilename = `${owner}-${repo}-${safeName}.zip`;
+  const suffix = commitHash ? `@${commitHash}` : "";
+  const zipFilename = `${owner}-${repo}-${safeName}${suffix}.zip`;
   return `${baseUrl}/${zipFilename}`;
 }
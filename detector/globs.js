@@ -0,0 +1,47 @@
+/**
+ * File globs for rule packs (`files`) and scan suppressions (`scan.ignore[].files`).
+ * Paths are relative to the skill root with "/" separators.
+ */
+
+/**
+ * Glob to RegExp: `**` spans directories, `*` and `?` stay within one path segment.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i += 1) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      // "**/" also matches no directory at all
+      if (glob[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Predicate for a list of globs; a glob without "/" matches the file name in any directory.
+ * @param {string[]} globs
+ * @returns {(filePath: string) => boolean}
+ */
+export function fileMatcher(globs) {
+  const matchers = globs.map((glob) => ({ byName: !glob.includes("/"), regex: globToRegExp(glob) }));
+  return (filePath) => {
+    const normalized = filePath.replace(/\\/g, "/");
+    const name = normalized.slice(normalized.lastIndexOf("/") + 1);
+    return matchers.some(({ byName, regex }) => regex.test(byName ? name : normalized));
+  };
+}
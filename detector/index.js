@@ -79,12 +79,16 @@ async function processOneSkill({ i, skill }) {
     return { i, removed: true };
   }
 
-  const { scanTags, riskLevel, securityScore, qualityScore } = runRules(content.skillMd, content.files);
+  const { scanTags, riskLevel, securityScore, qualityScore, suppressedTags = [] } = runRules(
+    content.skillMd,
+    content.files
+  );
   const scannedAt = new Date().toISOString();
   scanCache.set(skillId, commitHash, {
     securityScore,
     riskLevel,
     scanTags,
+    suppressedTags,
     scannedAt,
     qualityScore,
   });
@@ -95,6 +99,8 @@ async function processOneSkill({ i, skill }) {
       securityScore,
       riskLevel,
       scanTags,
+      // Tags the skill suppressed (skill-scan-ignore / scan.ignore), kept for review
+      suppressedTags,
       scannedAt,
       qualityScore,
     },
@@ -132,6 +138,7 @@ async function run() {
         securityScore: cached.result.securityScore,
         riskLevel: cached.result.riskLevel,
         scanTags: cached.result.scanTags,
+        suppressedTags: cached.result.suppressedTags || [],
         scannedAt: cached.result.scannedAt || new Date().toISOString(),
         qualityScore: cached.result.qualityScore ?? null,
       };
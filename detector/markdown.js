@@ -0,0 +1,175 @@
+/**
+ * Markdown structure for the scan: prose, inline code and fenced code blocks (with
+ * their language), so a match can be weighed by where it appears. "never run rm -rf /tmp"
+ * in prose is not the same as a ```bash block the skill tells the agent to run.
+ *
+ * Lanes (see laneResolver):
+ *   instruction  - text or a code block the agent is told to run ("Run `make clean`", "Then run:")
+ *   cautionary   - prose or inline code the warning itself is about ("Never run rm -rf /tmp")
+ *   code-block   - fenced code in a shell or programming language, or without a language
+ *   data-block   - fenced text, JSON, YAML, diffs, output ...
+ *   inline-code  - `code` spans in prose
+ *   prose        - everything else, including the frontmatter
+ *   file         - not a markdown file (scripts etc.)
+ */
+
+const MARKDOWN_FILE = /\.(md|markdown|mdx)$/i;
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})\s*([^\s`{]*)/;
+const INLINE_CODE = /(`+)(?!`)([\s\S]*?[^`])\1(?!`)/g;
+const DATA_LANGUAGES = new Set([
+  "text", "txt", "plain", "plaintext", "md", "markdown", "json", "jsonc", "json5", "yaml", "yml",
+  "toml", "ini", "csv", "tsv", "xml", "diff", "patch", "log", "output", "mermaid",
+]);
+// Verbs that tell the agent to run what follows, and a negation directly on such a verb
+// ("never run", "don't execute"); "don't forget to run" is still an instruction.
+// A warning only covers a match that is the object of the negated verb, in the same
+// clause: "never run rm -rf /", not "do not run other setup, just curl … | sh".
+const RUN_VERB = /\b(run|execute|exec|invoke|launch|type|paste|enter)\b/i;
+const CAUTION =
+  /\b(never|avoid|do not|don't|must not|mustn't|should not|shouldn't)\s+(run|running|execute|executing|exec|invoke|invoking|launch|launching|type|typing|paste|pasting|enter|entering)(\s+(the|this|that|a|an|any|commands?|scripts?|anything|something|things|like|such as))*[\s:`"'(]*$/i;
+const CLAUSE_BREAK = /[;,]|\b(?:and|but|or|then|instead|otherwise)\b/i;
+
+/**
+ * Whether a file is scanned as markdown.
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isMarkdownFile(filePath) {
+  return MARKDOWN_FILE.test(filePath);
+}
+
+/**
+ * Split markdown into blocks. Offsets are into `text`; prose blocks may contain
+ * inline code spans, listed separately.
+ * @param {string} text
+ * @returns {{ type: "prose"|"code-block"|"inline-code", start: number, end: number, line: number, language?: string }[]}
+ *   Ordered by start; `line` is 1-based, `language` is the lowercased fence info word ("" if none)
+ */
+export function parseMarkdown(text) {
+  const blocks = [];
+  const lines = text.split("\n");
+  let offset = 0;
+  let fence = null;
+  let prose = null;
+
+  const closeProse = () => {
+    if (prose) blocks.push(prose);
+    prose = null;
+  };
+
+  lines.forEach((lineText, idx) => {
+    const lineEnd = offset + lineText.length + 1;
+    if (fence) {
+      const closing = FENCE_OPEN.exec(lineText);
+      if (
+        closing &&
+        closing[1][0] === fence.marker[0] &&
+        closing[1].length >= fence.marker.length &&
+        !lineText.trim().slice(closing[1].length)
+      ) {
+        blocks.push({ ...fence.block, end: lineEnd });
+        fence = null;
+      }
+    } else {
+      const opening = FENCE_OPEN.exec(lineText);
+      if (opening) {
+        closeProse();
+        const language = opening[2].replace(/^\./, "").toLowerCase();
+        fence = { marker: opening[1], block: { type: "code-block", start: offset, line: idx + 1, language } };
+      } else {
+        if (!prose) prose = { type: "prose", start: offset, line: idx + 1 };
+        prose.end = lineEnd;
+        INLINE_CODE.lastIndex = 0;
+        let span;
+        while ((span = INLINE_CODE.exec(lineText)) !== null) {
+          blocks.push({
+            type: "inline-code",
+            start: offset + span.index,
+            end: offset + span.index + span[0].length,
+            line: idx + 1,
+          });
+        }
+      }
+    }
+    offset = lineEnd;
+  });
+  // An unclosed fence runs to the end of the file
+  if (fence) blocks.push({ ...fence.block, end: offset });
+  closeProse();
+  return blocks.sort((a, b) => a.start - b.start || (a.type === "prose" ? -1 : 1));
+}
+
+/** Block containing offset (list is ordered by start and does not overlap). */
+function find(list, offset) {
+  let lo = 0;
+  let hi = list.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (offset < list[mid].start) hi = mid - 1;
+    else if (offset >= list[mid].end) lo = mid + 1;
+    else return list[mid];
+  }
+  return null;
+}
+
+/** Text of the sentence containing `offset`, up to `offset` (same line only). */
+function sentenceBefore(text, offset) {
+  const lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+  const before = text.slice(lineStart, offset);
+  const sentences = before.split(/[.!?](?=\s)/);
+  return sentences[sentences.length - 1];
+}
+
+/** Last non-blank line before offset (offset is a line start). */
+function introLine(text, offset) {
+  let end = offset - 1;
+  while (end > 0) {
+    const start = text.lastIndexOf("\n", end - 1) + 1;
+    const lineText = text.slice(start, end);
+    if (lineText.trim()) return { start, text: lineText.trimEnd() };
+    end = start - 1;
+  }
+  return null;
+}
+
+/** The clause of a sentence (up to the match) that the match belongs to. */
+function clauseBefore(sentence) {
+  const clauses = sentence.split(CLAUSE_BREAK);
+  return clauses[clauses.length - 1];
+}
+
+// Prose and inline code: a warning, an instruction, or plain text
+function textLane(sentence, fallback) {
+  if (CAUTION.test(clauseBefore(sentence))) return "cautionary";
+  if (RUN_VERB.test(sentence)) return "instruction";
+  return fallback;
+}
+
+/**
+ * Lane lookup for offsets in one file.
+ * @param {string} text
+ * @param {string} filePath
+ * @returns {(offset: number) => { lane: string, language?: string }}
+ */
+export function laneResolver(text, filePath) {
+  if (!isMarkdownFile(filePath)) return () => ({ lane: "file" });
+
+  const blocks = parseMarkdown(text);
+  const codeBlocks = blocks.filter((block) => block.type === "code-block");
+  const inlineSpans = blocks.filter((block) => block.type === "inline-code");
+  // A fence is introduced by the last non-blank line above it ("Run the following:").
+  // Code blocks are never cautionary: the code itself is there to be copied and run.
+  for (const block of codeBlocks) {
+    const fallback = DATA_LANGUAGES.has(block.language) ? "data-block" : "code-block";
+    const intro = introLine(text, block.start);
+    const told = intro && !find(codeBlocks, intro.start) && RUN_VERB.test(sentenceBefore(intro.text, intro.text.length));
+    block.lane = told ? "instruction" : fallback;
+  }
+
+  return (offset) => {
+    const code = find(codeBlocks, offset);
+    if (code) return { lane: code.lane, language: code.language };
+    const span = find(inlineSpans, offset);
+    return { lane: textLane(sentenceBefore(text, offset), span ? "inline-code" : "prose") };
+  };
+}
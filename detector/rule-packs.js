@@ -0,0 +1,173 @@
+/**
+ * Rule packs: extra detection rules in JSON or YAML, e.g. an organization's internal
+ * hostnames and secret formats, scanned alongside the built-in rules.
+ *
+ *   {
+ *     "name": "acme-internal",
+ *     "rules": [
+ *       {
+ *         "id": "acme-internal-host",
+ *         "severity": "high",
+ *         "penalty": 20,
+ *         "regex": "\\b[a-z0-9-]+\\.corp\\.acme\\.com\\b",
+ *         "flags": "i",
+ *         "files": ["**\/*.sh", "SKILL.md"],
+ *         "message": "Talks to an internal Acme host",
+ *         "fix": "Use the public API endpoint"
+ *       },
+ *       { "id": "acme-token", "severity": "critical", "penalty": 40, "literals": ["acme_live_"] }
+ *     ]
+ *   }
+ *
+ * A rule needs either `regex` or `literals` (matched as plain text; `flags` applies to
+ * both). `files` limits it to matching paths; a glob without "/" matches the file name
+ * in any directory. `"contextual": false` counts matches in markdown prose as much as
+ * matches in code (see markdown.js). A pack rule with the id of an earlier rule
+ * (built-in or from another pack) replaces it, except in add-only packs (the CLI's
+ * --rules), which must not change rules that are already defined.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import yaml from "js-yaml";
+import { BUILTIN_RULES } from "./rules.js";
+import { fileMatcher } from "./globs.js";
+
+const SEVERITIES = ["low", "medium", "high", "critical"];
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+function compileRule(entry, where) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    throw new Error(`Invalid rule ${where}: expected an object`);
+  }
+  const id = String(entry.id || "");
+  if (!ID_PATTERN.test(id) || id === "safe") {
+    throw new Error(`Invalid rule ${where}: "id" must be lowercase letters, digits and hyphens (and not "safe")`);
+  }
+  where = `${where} (${id})`;
+  const severity = String(entry.severity || "").toLowerCase();
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Invalid rule ${where}: "severity" must be one of ${SEVERITIES.join(", ")}`);
+  }
+  const penalty = entry.penalty ?? 0;
+  if (typeof penalty !== "number" || penalty < 0 || penalty > 100) {
+    throw new Error(`Invalid rule ${where}: "penalty" must be a number from 0 to 100`);
+  }
+  if ((entry.regex === undefined) === (entry.literals === undefined)) {
+    throw new Error(`Invalid rule ${where}: set exactly one of "regex" or "literals"`);
+  }
+
+  const flags = String(entry.flags || "");
+  if (!/^[imsu]*$/.test(flags)) throw new Error(`Invalid rule ${where}: "flags" may only contain i, m, s, u`);
+  let regex;
+  if (entry.regex !== undefined) {
+    try {
+      regex = new RegExp(String(entry.regex), `${flags}g`);
+    } catch (err) {
+      throw new Error(`Invalid rule ${where}: ${err.message}`);
+    }
+    if (regex.test("")) throw new Error(`Invalid rule ${where}: "regex" matches empty text`);
+    regex.lastIndex = 0;
+  } else {
+    const literals = entry.literals;
+    if (!Array.isArray(literals) || literals.length === 0 || literals.some((item) => typeof item !== "string" || !item)) {
+      throw new Error(`Invalid rule ${where}: "literals" must be a non-empty array of non-empty strings`);
+    }
+    regex = new RegExp(literals.map((item) => item.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|"), `${flags}g`);
+  }
+
+  if (entry.contextual !== undefined && typeof entry.contextual !== "boolean") {
+    throw new Error(`Invalid rule ${where}: "contextual" must be true or false`);
+  }
+
+  let files = null;
+  if (entry.files !== undefined) {
+    if (!Array.isArray(entry.files) || entry.files.some((item) => typeof item !== "string" || !item)) {
+      throw new Error(`Invalid rule ${where}: "files" must be an array of glob strings`);
+    }
+    files = entry.files;
+  }
+
+  return {
+    tag: id,
+    description: entry.message ? String(entry.message) : id,
+    fix: entry.fix ? String(entry.fix) : null,
+    riskLevel: severity,
+    scorePenalty: penalty,
+    regex,
+    ...(files ? { files, matchesFile: fileMatcher(files) } : {}),
+    ...(entry.contextual === false ? { contextual: false } : {}),
+  };
+}
+
+/**
+ * Validate a parsed rule pack and compile its rules.
+ * @param {Object} pack
+ * @param {string} source - File path or name, for messages
+ * @returns {Object[]} Rules in the shape runRules() expects
+ */
+export function compileRulePack(pack, source) {
+  if (!pack || typeof pack !== "object" || !Array.isArray(pack.rules)) {
+    throw new Error(`Invalid rule pack ${source}: expected an object with a "rules" array`);
+  }
+  const ids = new Set();
+  return pack.rules.map((entry, idx) => {
+    const rule = compileRule(entry, `${source} rules[${idx}]`);
+    if (ids.has(rule.tag)) throw new Error(`Duplicate rule id "${rule.tag}" in ${source}`);
+    ids.add(rule.tag);
+    return rule;
+  });
+}
+
+/**
+ * Read and compile a rule pack file (.json, .yaml or .yml).
+ * @param {string} file
+ * @returns {Promise<Object[]>}
+ */
+export async function loadRulePack(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch {
+    throw new Error(`Rule pack not found: ${file}`);
+  }
+  let pack;
+  try {
+    if (/\.ya?ml$/i.test(file)) {
+      pack = yaml.load(raw);
+    } else {
+      pack = JSON.parse(raw);
+    }
+  } catch (err) {
+    throw new Error(`Invalid rule pack ${file}: ${err.message}`);
+  }
+  return compileRulePack(pack, file);
+}
+
+/**
+ * Built-in rules plus the given packs, in order; a later rule with an existing id
+ * replaces the earlier one in place. Add-only packs come last and may only add rules,
+ * so they cannot weaken or remove a built-in rule or one from `files`.
+ * @param {string[]} files - Rule pack paths (relative paths resolve against cwd)
+ * @param {{ addOnly?: string[] }} [options] - addOnly: pack paths that must not redefine an id
+ * @returns {Promise<Object[]>}
+ */
+export async function loadRules(files = [], { addOnly = [] } = {}) {
+  const rules = [...BUILTIN_RULES];
+  for (const file of files) {
+    for (const rule of await loadRulePack(path.resolve(file))) {
+      const existing = rules.findIndex((item) => item.tag === rule.tag);
+      if (existing === -1) rules.push(rule);
+      else rules[existing] = rule;
+    }
+  }
+  for (const file of addOnly) {
+    for (const rule of await loadRulePack(path.resolve(file))) {
+      if (rules.some((item) => item.tag === rule.tag)) {
+        throw new Error(`Invalid rule pack ${file}: rule "${rule.tag}" is already defined and cannot be replaced`);
+      }
+      rules.push(rule);
+    }
+  }
+  return rules;
+}
@@ -7,134 +7,213 @@
  * - riskLevel is driven by the single highest-severity tag, not by score.
  * - Patterns that often appear in docs (e.g. fetch, writeFile) use lower penalties to reduce false positives.
  * - Global regex lastIndex is reset per run so rules are safe to reuse across many skills.
+ * - Matches suppressed by a skill-scan-ignore comment or frontmatter scan.ignore (suppressions.js)
+ *   do not count; they are reported separately.
+ * - Markdown is split into prose, inline code and fenced code (markdown.js); a tag's penalty is
+ *   weighted by the lane of its heaviest match, so "never run rm -rf /tmp" costs little. Lanes
+ *   never change a tag's risk level.
  */
 
+import { createSuppressor } from "./suppressions.js";
+import { isMarkdownFile, laneResolver } from "./markdown.js";
+
 const SKILL_MD_MAX_LENGTH = 500 * 1024; // 500KB max to scan
+const FILE_MAX_LENGTH = 500 * 1024; // per other file; findings beyond this are not reported
 const MAX_TOTAL_PENALTY = 50; // cap so securityScore stays in [50, 100] when any finding
+const CONTEXT_LINES = 2; // lines shown before and after a finding
+const MAX_FINDINGS_PER_TAG = 20; // per file, so minified files don't flood the report
+const MAX_SNIPPET_LENGTH = 200; // matched text and context lines are cut to this
+
+// Penalty weight per lane (markdown.js). A tag counts with its heaviest unsuppressed match.
+const LANE_WEIGHTS = {
+  file: 1, // scripts and other non-markdown files
+  instruction: 1, // markdown that tells the agent to run something
+  "code-block": 0.8,
+  "inline-code": 0.6,
+  prose: 0.5,
+  "data-block": 0.4,
+  cautionary: 0.1, // "never run rm -rf /tmp"
+};
 
 // Patterns: tag, riskLevel (for riskLevel output), scorePenalty (capped sum for securityScore).
-// Order does not matter; each pattern contributes at most once per run.
+// Order does not matter; each pattern contributes at most once per run. Tags are the
+// stable rule ids in scan output (scanTags, SARIF). Rule packs (rule-packs.js) compile
+// to the same shape, optionally with matchesFile(path) to limit a rule to some files.
+// `contextual: false` counts every match in full, whatever its lane.
 const PATTERNS = [
   {
     tag: "prompt-injection",
+    description: "Text that tries to override the agent's instructions or safety rules",
+    fix: "Remove instructions addressed to the agent that override its rules",
     riskLevel: "high",
     scorePenalty: 28,
+    // Aimed at the agent reading the prose, so prose is where it matters most
+    contextual: false,
     regex: /\b(ignore\s+(all\s+)?(previous|above|prior)\s+instructions?|disregard\s+instructions?|override\s+system\s+prompt|jailbreak|bypass\s+safety)\b/gi,
   },
   {
     tag: "dangerous-shell",
+    description: "Destructive or remote-code shell commands and process execution",
+    fix: "Avoid destructive commands and piping downloads into a shell; pin and review scripts",
     riskLevel: "high",
     scorePenalty: 30,
     regex: /\b(rm\s+-rf\s+[\w/.-]+|curl\s+.*\|\s*sh|wget\s+.*\|\s*sh|eval\s*\(|exec\s*\(|child_process|spawn\s*\(|\.exec\s*\(|subprocess\.run|os\.system)\b/gi,
   },
   {
     tag: "file-system-write",
+    description: "Writes files or touches sensitive paths (.env, .ssh, passwd, sudo)",
+    fix: "Limit writes to the working directory and never touch credentials or system files",
     riskLevel: "medium",
     scorePenalty: 10,
     regex: /\b(writeFile|writeFileSync|fs\.write|appendFile|createWriteStream|open\s*\([^)]*["']w|\.env|\.ssh|passwd|shadow|sudo)\b/gi,
   },
   {
     tag: "network-call",
+    description: "Outgoing network requests",
+    fix: "Document which hosts are contacted and why",
     riskLevel: "medium",
     scorePenalty: 6,
     regex: /\b(fetch\s*\(|axios\.|http\.request|https\.request|WebSocket|sendBeacon|navigator\.sendBeacon)\b/gi,
   },
   {
     tag: "obfuscation",
+    description: "Encoded or dynamically built code that hides what runs",
+    fix: "Ship readable source instead of encoded or generated code",
     riskLevel: "medium",
     scorePenalty: 20,
     regex: /\b(eval\s*\(\s*atob|Function\s*\(\s*["']|\\x[0-9a-fA-F]{2}|\\u[0-9a-fA-F]{4}|charCodeAt\s*\(\s*\)\s*\.map)\b/gi,
   },
   {
     tag: "credential-access",
+    description: "Reads environment secrets, API keys, tokens or private keys",
+    fix: "Ask the user for the secrets a skill needs instead of reading them silently",
     riskLevel: "high",
     scorePenalty: 25,
     regex: /\b(process\.env\.|getenv|AWS_SECRET|API_KEY|password\s*=\s*|token\s*=\s*|\.pem|privateKey|PRIVATE_KEY)\b/gi,
   },
 ];
 
+/** The built-in rules (the default for runRules and findRisks). */
+export const BUILTIN_RULES = Object.freeze([...PATTERNS]);
+
+function appliesTo(rule, filePath) {
+  return !rule.matchesFile || rule.matchesFile(filePath);
+}
+
+/**
+ * The detection rules without their regexes (for rule listings such as SARIF).
+ * @param {Object[]} [rules] - Compiled rules (default: built-in)
+ * @returns {{ tag: string, description: string, fix: string|null, riskLevel: string, scorePenalty: number, files: string[]|null }[]}
+ */
+export function listRules(rules = PATTERNS) {
+  return rules.map(({ tag, description, fix, riskLevel, scorePenalty, files }) => ({
+    tag,
+    description,
+    fix: fix || null,
+    riskLevel,
+    scorePenalty,
+    files: files || null,
+  }));
+}
+
 /**
  * Run rules on skill markdown (and optionally other file contents).
  * Supports detailed risk tracking for CLI display.
  * @param {string} skillMd - SKILL.md content
  * @param {Map<string, Buffer>} [files] - Optional other files (key = path)
  * @param {Object} [options] - Options object
- * @param {boolean} [options.detailLevel='basic'] - 'basic' (default) or 'detailed' (includes per-file risks)
- * @returns {{ scanTags: string[], riskLevel: string, securityScore: number, qualityScore: number, detectedRisks?: Object[] }}
+ * @param {boolean} [options.detailLevel='basic'] - 'basic' (default) or 'detailed' (includes
+ *   one finding per match: file, line, column, matched text and surrounding lines)
+ * @param {Object[]} [options.rules] - Compiled rules (default: built-in; see rule-packs.js)
+ * @param {boolean} [options.suppressions=true] - false ignores skill-scan-ignore and scan.ignore
+ * @returns {{ scanTags: string[], riskLevel: string, securityScore: number, qualityScore: number,
+ *   detectedRisks?: Object[], suppressedTags?: string[], suppressedRisks?: Object[], suppressionWarnings?: string[],
+ *   unsuppressed?: { scanTags: string[], riskLevel: string, securityScore: number } }}
+ *   suppressedTags lists tags with suppressed matches; suppressedRisks (detailed) are those
+ *   findings with `suppressed: { source, line?, reason }`; suppressionWarnings name
+ *   suppressions that were not applied (e.g. a scan.ignore entry without a reason).
+ *   unsuppressed (when anything was suppressed) is the result without the skill's own
+ *   suppressions, for install policies that do not accept them.
  */
 export function runRules(skillMd, files = new Map(), options = {}) {
-  const { detailLevel = 'basic' } = options;
+  const { detailLevel = 'basic', rules = PATTERNS, suppressions = true } = options;
   const text = typeof skillMd === "string" ? skillMd : "";
-  let content = text.slice(0, SKILL_MD_MAX_LENGTH);
-  
-  // Track per-file risks when detail level is set to 'detailed'
-  const fileRisks = new Map(); // fileName -> { tags: Set, risks: Object[] }
+  const skillMdSlice = text.slice(0, SKILL_MD_MAX_LENGTH);
+
+  // Scanned text per file; rules limited to some files only look at those.
+  // `report` marks the segments whose findings are listed in detailed mode.
+  const segments = skillMdSlice
+    ? [{ file: "SKILL.md", text: skillMdSlice, report: !files.has("SKILL.md") }]
+    : [];
+  let scannedLength = skillMdSlice.length;
 
   if (files.size > 0) {
     for (const [filePath, buf] of files) {
-      if (content.length >= SKILL_MD_MAX_LENGTH && detailLevel !== 'detailed') break;
+      if (scannedLength >= SKILL_MD_MAX_LENGTH && detailLevel !== 'detailed') break;
       try {
         const fileContent = buf.toString("utf-8");
-        const fileSlice = fileContent.slice(0, 50000);
-        content += "\n" + fileSlice;
-        
-        // Track per-file risks if detail level is detailed
-        if (detailLevel === 'detailed') {
-          if (!fileRisks.has(filePath)) {
-            fileRisks.set(filePath, { tags: new Set(), risks: [] });
-          }
-          const fileData = fileRisks.get(filePath);
-          analyzeContentForRisks(fileSlice, filePath, fileData);
-        }
+        const fileSlice = fileContent.slice(0, FILE_MAX_LENGTH);
+        segments.push({ file: filePath, text: fileSlice, report: true });
+        scannedLength += fileSlice.length + 1;
       } catch {
         // skip binary
       }
     }
   }
 
+  // Comment directives and frontmatter scan.ignore (see suppressions.js)
+  const suppressor = suppressions ? createSuppressor(text) : null;
+  const suppressByFile = new Map();
+  for (const segment of segments) {
+    segment.markdown = isMarkdownFile(segment.file);
+    if (!suppressor) continue;
+    if (!suppressByFile.has(segment.file)) {
+      suppressByFile.set(segment.file, suppressor.forFile(segment.file, segment.text));
+    }
+    segment.suppress = suppressByFile.get(segment.file);
+  }
+
   const scanTags = new Set();
+  const suppressedTags = new Set();
   let totalPenalty = 0;
   let maxRiskRank = 0; // 0 low, 1 medium, 2 high, 3 critical
   const detectedRisks = [];
+  const suppressedRisks = [];
 
   const levelRank = { low: 0, medium: 1, high: 2, critical: 3 };
 
-  for (const { tag, riskLevel, scorePenalty, regex } of PATTERNS) {
-    regex.lastIndex = 0; // reset global regex so test() is correct when reused across skills
-    if (regex.test(content)) {
+  for (const rule of rules) {
+    const { tag, riskLevel, scorePenalty } = rule;
+    let weight = 0; // heaviest unsuppressed match; 0 = no match
+    for (const segment of segments) {
+      if (!appliesTo(rule, segment.file)) continue;
+      const outcome = matchSegment(rule, segment);
+      if (outcome.weight > weight) weight = outcome.weight;
+      if (outcome.suppressed) suppressedTags.add(tag);
+    }
+    if (weight > 0) {
       scanTags.add(tag);
-      totalPenalty += scorePenalty;
+      totalPenalty += Math.round(scorePenalty * weight);
       const rank = levelRank[riskLevel] ?? 0;
       if (rank > maxRiskRank) maxRiskRank = rank;
       
-      // Collect risk details if detailed mode
-      if (detailLevel === 'detailed') {
-        // Find all files containing this tag
-        for (const [filePath, fileData] of fileRisks) {
-          if (fileData.tags.has(tag)) {
-            for (const risk of fileData.risks) {
-              if (risk.tag === tag) {
-                detectedRisks.push({
-                  tag,
-                  riskLevel,
-                  scorePenalty,
-                  file: filePath,
-                  match: risk.match,
-                });
-              }
-            }
-          }
-        }
-      } else {
-        // Basic level: just track the tag without file info
-        detectedRisks.push({ tag, riskLevel, scorePenalty });
-      }
+      // Basic level: just track the tag without file info
+      if (detailLevel !== 'detailed') detectedRisks.push({ tag, riskLevel, scorePenalty, weight });
     }
   }
 
   if (scanTags.size === 0) {
     scanTags.add("safe");
   }
+  if (detailLevel === 'detailed') {
+    for (const segment of segments.filter((item) => item.report)) {
+      for (const finding of findRisks(segment.text, segment.file, rules)) {
+        const suppressed = segment.suppress?.lookup(finding.tag, finding.line);
+        if (suppressed) suppressedRisks.push({ ...finding, suppressed });
+        else if (scanTags.has(finding.tag)) detectedRisks.push(finding);
+      }
+    }
+  }
 
   const cappedPenalty = Math.min(totalPenalty, MAX_TOTAL_PENALTY);
   const securityScore = Math.max(0, Math.min(100, 100 - cappedPenalty));
@@ -154,39 +233,140 @@ export function runRules(skillMd, files = new Map(), options = {}) {
   if (detailLevel === 'detailed' && detectedRisks.length > 0) {
     result.detectedRisks = detectedRisks;
   }
+  if (suppressedTags.size > 0) result.suppressedTags = Array.from(suppressedTags);
+  if (suppressedRisks.length > 0) result.suppressedRisks = suppressedRisks;
+  if (suppressor?.warnings.length > 0) result.suppressionWarnings = suppressor.warnings;
+  if (suppressedTags.size > 0) {
+    const raw = runRules(skillMd, files, { rules, suppressions: false });
+    result.unsuppressed = { scanTags: raw.scanTags, riskLevel: raw.riskLevel, securityScore: raw.securityScore };
+  }
 
   return result;
 }
 
 /**
- * Analyze file content for risks and track them per-file
- * @private
+ * Every pattern match in one file with its location and surrounding lines, ordered
+ * by position (at most MAX_FINDINGS_PER_TAG per tag).
+ * @param {string} fileContent
+ * @param {string} filePath - Path relative to the skill root
+ * @param {Object[]} [rules] - Compiled rules (default: built-in)
+ * @returns {{ tag: string, riskLevel: string, scorePenalty: number, file: string, line: number,
+ *   column: number, match: string, message: string, fix: string|null, lane: string, language?: string,
+ *   weight: number, context: { startLine: number, lines: string[] } }[]}
+ *   lane is where the match is (markdown.js); weight is its penalty weight
  */
-function analyzeContentForRisks(fileContent, filePath, fileData) {
-  for (const { tag, riskLevel, regex } of PATTERNS) {
+export function findRisks(fileContent, filePath, rules = PATTERNS) {
+  const lines = fileContent.split(/\r?\n/);
+  const lineStarts = lineStartsOf(fileContent);
+  const laneAt = laneResolver(fileContent, filePath);
+
+  const findings = [];
+  for (const rule of rules) {
+    if (!appliesTo(rule, filePath)) continue;
+    const { tag, riskLevel, scorePenalty, regex } = rule;
     regex.lastIndex = 0;
-    const matches = [];
+    let count = 0;
     let match;
-    while ((match = regex.exec(fileContent)) !== null) {
-      matches.push({
+    while (count < MAX_FINDINGS_PER_TAG && (match = regex.exec(fileContent)) !== null) {
+      if (match[0] === "") {
+        regex.lastIndex += 1;
+        continue;
+      }
+      const lineIdx = lineIndexOf(lineStarts, match.index);
+      const startIdx = Math.max(0, lineIdx - CONTEXT_LINES);
+      const { lane, language } = laneAt(match.index);
+      findings.push({
         tag,
         riskLevel,
-        match: match[0],
-        index: match.index,
+        scorePenalty,
+        file: filePath,
+        line: lineIdx + 1,
+        column: match.index - lineStarts[lineIdx] + 1,
+        match: clip(match[0].split(/\r?\n/)[0]),
+        message: rule.description,
+        fix: rule.fix || null,
+        lane,
+        ...(language !== undefined ? { language } : {}),
+        weight: matchWeight(rule, lane),
+        context: {
+          startLine: startIdx + 1,
+          lines: lines.slice(startIdx, lineIdx + CONTEXT_LINES + 1).map(clip),
+        },
       });
+      count += 1;
     }
-    if (matches.length > 0) {
-      fileData.tags.add(tag);
-      for (const m of matches) {
-        fileData.risks.push({
-          file: filePath,
-          tag: m.tag,
-          riskLevel: m.riskLevel,
-          match: m.match,
-        });
-      }
+    regex.lastIndex = 0;
+  }
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Weight of a rule's heaviest unsuppressed match in one segment (0 if none), and
+ * whether any of its matches were suppressed.
+ * @returns {{ weight: number, suppressed: boolean }}
+ */
+function matchSegment(rule, segment) {
+  const { tag, regex } = rule;
+  const suppress = segment.suppress;
+  const whole = suppress?.whole(tag);
+  regex.lastIndex = 0; // reset global regex so test() is correct when reused across skills
+  if (whole || ((!segment.markdown || rule.contextual === false) && !suppress?.covers(tag))) {
+    const hit = regex.test(segment.text);
+    regex.lastIndex = 0;
+    return whole
+      ? { weight: 0, suppressed: hit }
+      : { weight: hit ? 1 : 0, suppressed: false };
+  }
+
+  segment.lineStarts ??= lineStartsOf(segment.text);
+  segment.laneAt ??= laneResolver(segment.text, segment.file);
+  let weight = 0;
+  let suppressed = false;
+  let match;
+  while (!(weight === 1 && suppressed) && (match = regex.exec(segment.text)) !== null) {
+    if (match[0] === "") {
+      regex.lastIndex += 1;
+      continue;
     }
+    const line = lineIndexOf(segment.lineStarts, match.index) + 1;
+    if (suppress?.lookup(tag, line)) {
+      suppressed = true;
+    } else {
+      const { lane } = segment.laneAt(match.index);
+      weight = Math.max(weight, matchWeight(rule, lane));
+    }
+    if (weight === 1 && !suppress?.covers(tag)) break;
+  }
+  regex.lastIndex = 0;
+  return { weight, suppressed };
+}
+
+function matchWeight(rule, lane) {
+  return rule.contextual === false ? 1 : LANE_WEIGHTS[lane] ?? 1;
+}
+
+function lineStartsOf(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === "\n") lineStarts.push(i + 1);
   }
+  return lineStarts;
+}
+
+/** Index of the line containing offset (lineStarts is ascending). */
+function lineIndexOf(lineStarts, offset) {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+function clip(value) {
+  return value.length > MAX_SNIPPET_LENGTH ? `${value.slice(0, MAX_SNIPPET_LENGTH)}…` : value;
 }
 
 // ---------------------------------------------------------------------------
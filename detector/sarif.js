@@ -0,0 +1,148 @@
+/**
+ * SARIF 2.1.0 export of scan results (GitHub code scanning and other SARIF viewers).
+ * Each detection rule (built-in or from a rule pack) is a SARIF rule whose id is its
+ * scan tag; each line-precise finding (runRules detailLevel "detailed") is a result.
+ * Suppressed findings are results with an in-source suppression, so viewers can show
+ * them as dismissed.
+ */
+
+import crypto from "crypto";
+import { listRules } from "./rules.js";
+
+export const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+
+const LEVELS = { critical: "error", high: "error", medium: "warning", low: "note" };
+// GitHub code scanning ranks security alerts by this CVSS-like score
+const SECURITY_SEVERITY = { critical: "9.5", high: "8.0", medium: "5.0", low: "2.0" };
+
+function toRule({ tag, description, fix, riskLevel, scorePenalty }) {
+  return {
+    id: tag,
+    name: tag.replace(/(^|-)([a-z0-9])/g, (_, __, ch) => ch.toUpperCase()),
+    shortDescription: { text: description },
+    fullDescription: { text: `${description}. Risk level: ${riskLevel}; security score penalty: ${scorePenalty}.` },
+    ...(fix ? { help: { text: fix } } : {}),
+    defaultConfiguration: { level: LEVELS[riskLevel] || "warning" },
+    properties: {
+      tags: ["security"],
+      precision: "medium",
+      "security-severity": SECURITY_SEVERITY[riskLevel] || SECURITY_SEVERITY.medium,
+    },
+  };
+}
+
+// Position of each finding among the findings with the same tag, file and match, so
+// repeated matches get distinct fingerprints that still survive unrelated lines moving
+function occurrences(findings) {
+  const seen = new Map();
+  const index = new Map();
+  const ordered = [...findings].sort((a, b) => a.line - b.line || a.column - b.column);
+  for (const finding of ordered) {
+    const key = `${finding.tag}\0${finding.file}\0${finding.match}`;
+    const n = seen.get(key) ?? 0;
+    seen.set(key, n + 1);
+    index.set(finding, n);
+  }
+  return index;
+}
+
+function toResult(finding, scan, ruleIndex, occurrence) {
+  const uri = scan.root ? `${scan.root.replace(/\/+$/, "")}/${finding.file}` : finding.file;
+  const context = finding.context;
+  const location = {
+    physicalLocation: {
+      artifactLocation: { uri },
+      region: {
+        startLine: finding.line,
+        startColumn: finding.column,
+        endColumn: finding.column + finding.match.length,
+        snippet: { text: finding.match },
+      },
+      ...(context?.lines?.length
+        ? {
+            contextRegion: {
+              startLine: context.startLine,
+              endLine: context.startLine + context.lines.length - 1,
+              snippet: { text: context.lines.join("\n") },
+            },
+          }
+        : {}),
+    },
+  };
+  const fingerprint = crypto
+    .createHash("sha256")
+    .update(`${finding.tag}\0${uri}\0${finding.match}${occurrence > 0 ? `\0${occurrence}` : ""}`)
+    .digest("hex");
+  return {
+    ruleId: finding.tag,
+    ruleIndex,
+    level: LEVELS[finding.riskLevel] || "warning",
+    message: {
+      text: `${finding.message || finding.tag} in ${scan.name || "skill"}: \`${finding.match}\``,
+    },
+    locations: [location],
+    partialFingerprints: { "skillMarketFinding/v1": fingerprint },
+    ...(finding.suppressed
+      ? {
+          suppressions: [
+            {
+              kind: "inSource",
+              ...(finding.suppressed.reason ? { justification: finding.suppressed.reason } : {}),
+            },
+          ],
+        }
+      : {}),
+    properties: {
+      ...(scan.id ? { skillId: scan.id } : {}),
+      // Where the match is (markdown.js) and its penalty weight
+      ...(finding.lane ? { lane: finding.lane, weight: finding.weight } : {}),
+      ...(finding.language ? { language: finding.language } : {}),
+    },
+  };
+}
+
+/**
+ * Build a SARIF log from scan results.
+ * @param {{ name?: string, id?: string, root?: string, detectedRisks?: Object[], suppressedRisks?: Object[] }[]} scans -
+ *   One entry per scanned skill; `root` is prefixed to finding paths (e.g. the skill dir
+ *   relative to the repository root)
+ * @param {Object} [options]
+ * @param {Object[]} [options.rules] - Compiled rules the scan used (default: built-in)
+ * @param {string} [options.toolName]
+ * @param {string} [options.toolVersion]
+ * @param {string} [options.informationUri]
+ * @returns {Object} SARIF log (JSON-serializable)
+ */
+export function toSarif(scans, options = {}) {
+  const { toolName = "skill-market", toolVersion, informationUri = "https://skillmarket.cc" } = options;
+  const rules = listRules(options.rules);
+  const ruleIndex = new Map(rules.map((rule, idx) => [rule.tag, idx]));
+  const results = [];
+  for (const scan of scans) {
+    // Basic-level risks carry no location and cannot be shown in a viewer
+    const findings = [...(scan.detectedRisks || []), ...(scan.suppressedRisks || [])].filter(
+      (finding) => finding.file && finding.line && ruleIndex.has(finding.tag),
+    );
+    const occurrence = occurrences(findings);
+    for (const finding of findings) {
+      results.push(toResult(finding, scan, ruleIndex.get(finding.tag), occurrence.get(finding)));
+    }
+  }
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: toolName,
+            ...(toolVersion ? { version: toolVersion } : {}),
+            informationUri,
+            rules: rules.map(toRule),
+          },
+        },
+        results,
+      },
+    ],
+  };
+}
@@ -12,7 +12,10 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const CACHE_FILE =
   process.env.SCAN_CACHE_FILE ||
   path.join(__dirname, "..", "market", ".scan-cache.json");
-const CACHE_VERSION = 1;
+// Bump when rules or scoring change so cached results are rescanned
+// (2: line-precise findings, author suppressions, markdown lanes;
+// 3: warnings only cover the clause they negate and never lower the risk level)
+const CACHE_VERSION = 3;
 
 export class ScanCache {
   constructor() {
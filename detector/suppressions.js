@@ -0,0 +1,182 @@
+/**
+ * Suppressions for known false positives, e.g. a skill that documents `fetch(` in its
+ * examples. Suppressed matches do not count toward scanTags, riskLevel or securityScore;
+ * runRules reports them separately (suppressedTags, suppressedRisks) for review.
+ *
+ * Comment directive, in any file. On a line of its own it covers the next non-blank line
+ * (the whole block when that line opens a ``` or ~~~ fence); after code it covers its
+ * own line. Tags are comma or space separated; a reason after "--" is optional:
+ *
+ *   <!-- skill-scan-ignore network-call -- examples call the public API -->
+ *   fetch(url); // skill-scan-ignore network-call
+ *
+ * Frontmatter key in SKILL.md, for whole files (the markdown files when `files` is not
+ * given); every entry needs a reason:
+ *
+ *   scan:
+ *     ignore:
+ *       - tag: network-call
+ *         files: ["examples/*.md"]
+ *         reason: Examples call the public GitHub API
+ */
+
+import yaml from "js-yaml";
+import { fileMatcher } from "./globs.js";
+import { isMarkdownFile } from "./markdown.js";
+
+export const DIRECTIVE = "skill-scan-ignore";
+
+const DIRECTIVE_PATTERN = new RegExp(`${DIRECTIVE}(?![\\w-])(.*)$`);
+const TAG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+// Text before a directive that still makes it a line of its own (comment openers)
+const STANDALONE_PREFIX = /^\s*(<!--|\/\/|\/\*|\*|#|--|;)?\s*$/;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+
+function tagList(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list.every((tag) => typeof tag === "string" && TAG_PATTERN.test(tag)) ? list : null;
+}
+
+/**
+ * `scan.ignore` entries from SKILL.md frontmatter. Entries without a reason, or with
+ * bad tags or files, are not applied and come back as warnings.
+ * @param {string} skillMd
+ * @returns {{ ignores: { tags: string[], files: string[]|null, matchesFile: Function|null, reason: string }[], warnings: string[] }}
+ */
+export function parseFrontmatterIgnores(skillMd) {
+  const ignores = [];
+  const warnings = [];
+  const frontmatter = /^---\r?\n([\s\S]*?)\r?\n---/.exec(skillMd || "");
+  if (!frontmatter) return { ignores, warnings };
+  let data;
+  try {
+    data = yaml.load(frontmatter[1]);
+  } catch {
+    // Invalid frontmatter is a quality problem, not a scan one
+    return { ignores, warnings };
+  }
+  const entries = data?.scan?.ignore;
+  if (entries === undefined || entries === null) return { ignores, warnings };
+  if (!Array.isArray(entries)) {
+    warnings.push("SKILL.md: scan.ignore must be a list; not applied");
+    return { ignores, warnings };
+  }
+
+  entries.forEach((entry, idx) => {
+    const where = `SKILL.md: scan.ignore[${idx}]`;
+    const tags = entry && typeof entry === "object" ? tagList(entry.tag) : null;
+    if (!tags) {
+      warnings.push(`${where} needs "tag" (a scan tag or a list of them); not applied`);
+      return;
+    }
+    const reason = typeof entry.reason === "string" ? entry.reason.trim() : "";
+    if (!reason) {
+      warnings.push(`${where} (${tags.join(", ")}) needs a "reason"; not applied`);
+      return;
+    }
+    let files = null;
+    if (entry.files !== undefined) {
+      const list = Array.isArray(entry.files) ? entry.files : [entry.files];
+      if (list.some((item) => typeof item !== "string" || !item)) {
+        warnings.push(`${where} (${tags.join(", ")}) "files" must be glob strings; not applied`);
+        return;
+      }
+      files = list;
+    }
+    ignores.push({ tags, files, matchesFile: files ? fileMatcher(files) : null, reason });
+  });
+  return { ignores, warnings };
+}
+
+/** Last line (1-based) a standalone directive on lines[idx] covers. */
+function directiveEnd(lines, idx) {
+  let next = idx + 1;
+  while (next < lines.length && !lines[next].trim()) next += 1;
+  if (next >= lines.length) return idx + 1;
+  const fence = FENCE_PATTERN.exec(lines[next]);
+  if (!fence) return next + 1;
+  const marker = fence[1];
+  for (let close = next + 1; close < lines.length; close += 1) {
+    const closing = FENCE_PATTERN.exec(lines[close]);
+    if (closing && closing[1][0] === marker[0] && closing[1].length >= marker.length && !lines[close].trim().slice(closing[1].length)) {
+      return close + 1;
+    }
+  }
+  return lines.length;
+}
+
+/**
+ * Comment directives in one file.
+ * @param {string} text
+ * @param {string} filePath - For warnings
+ * @returns {{ directives: { tags: string[], line: number, fromLine: number, toLine: number, reason: string|null }[], warnings: string[] }}
+ */
+export function findDirectives(text, filePath) {
+  const directives = [];
+  const warnings = [];
+  if (!text.includes(DIRECTIVE)) return { directives, warnings };
+  const lines = text.split(/\r?\n/);
+  lines.forEach((lineText, idx) => {
+    const found = DIRECTIVE_PATTERN.exec(lineText);
+    if (!found) return;
+    const body = found[1].replace(/\s*(-->|\*\/)\s*$/, "");
+    const [tagPart, ...reasonParts] = body.split(/\s--(?:\s|$)/);
+    const tags = tagPart.split(/[\s,]+/).filter(Boolean);
+    if (tags.length === 0 || !tagList(tags)) {
+      warnings.push(`${filePath}:${idx + 1}: ${DIRECTIVE} needs scan tags (e.g. network-call); not applied`);
+      return;
+    }
+    const reason = reasonParts.join(" -- ").trim() || null;
+    const standalone = STANDALONE_PREFIX.test(lineText.slice(0, found.index));
+    directives.push({
+      tags,
+      line: idx + 1,
+      fromLine: idx + 1,
+      toLine: standalone ? directiveEnd(lines, idx) : idx + 1,
+      reason,
+    });
+  });
+  return { directives, warnings };
+}
+
+/**
+ * Suppression lookup for one scan.
+ * @param {string} skillMd - SKILL.md content (for the frontmatter)
+ * @returns {{ warnings: string[], forFile: (filePath: string, text: string) => Object|null }}
+ *   forFile() returns null when nothing in the file can be suppressed, else
+ *   { covers(tag), whole(tag), lookup(tag, line) }; whole() and lookup() return the
+ *   suppression ({ source: "frontmatter"|"comment", line?, reason }) or null.
+ */
+export function createSuppressor(skillMd) {
+  const { ignores, warnings } = parseFrontmatterIgnores(skillMd);
+  return {
+    warnings,
+    forFile(filePath, text) {
+      const fileWide = new Map();
+      for (const ignore of ignores) {
+        const applies = ignore.matchesFile ? ignore.matchesFile(filePath) : isMarkdownFile(filePath);
+        if (!applies) continue;
+        for (const tag of ignore.tags) {
+          if (!fileWide.has(tag)) fileWide.set(tag, { source: "frontmatter", reason: ignore.reason });
+        }
+      }
+      const found = findDirectives(text, filePath);
+      warnings.push(...found.warnings);
+      if (fileWide.size === 0 && found.directives.length === 0) return null;
+
+      const whole = (tag) => fileWide.get(tag) || null;
+      return {
+        covers: (tag) => fileWide.has(tag) || found.directives.some((item) => item.tags.includes(tag)),
+        whole,
+        lookup(tag, line) {
+          const wide = whole(tag);
+          if (wide) return wide;
+          const directive = found.directives.find(
+            (item) => item.tags.includes(tag) && line >= item.fromLine && line <= item.toLine,
+          );
+          return directive ? { source: "comment", line: directive.line, reason: directive.reason } : null;
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Self-test: rule pack validation, loading and use by runRules.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import { runRules, findRisks, BUILTIN_RULES } from "../rules.js";
+import { compileRulePack, loadRules } from "../rule-packs.js";
+import { globToRegExp } from "../globs.js";
+
+const PACK = {
+  name: "acme",
+  rules: [
+    {
+      id: "acme-internal-host",
+      severity: "high",
+      penalty: 20,
+      regex: "\\b[a-z0-9-]+\\.corp\\.acme\\.com\\b",
+      flags: "i",
+      message: "Talks to an internal Acme host",
+      fix: "Use the public API endpoint",
+    },
+    { id: "acme-token", severity: "critical", penalty: 40, literals: ["acme_live_"], files: ["*.sh"] },
+  ],
+};
+
+test("compileRulePack: compiles regex and literal rules", () => {
+  const [host, token] = compileRulePack(PACK, "acme.json");
+  assert.strictEqual(host.tag, "acme-internal-host");
+  assert.strictEqual(host.riskLevel, "high");
+  assert.strictEqual(host.scorePenalty, 20);
+  assert.strictEqual(host.description, "Talks to an internal Acme host");
+  assert.strictEqual(host.fix, "Use the public API endpoint");
+  assert.ok(host.regex.test("see Build.CORP.acme.com"));
+  assert.ok(token.regex.test("key=acme_live_123"));
+  assert.ok(token.matchesFile("scripts/deploy.sh"));
+  assert.ok(!token.matchesFile("SKILL.md"));
+});
+
+test("compileRulePack: rejects invalid rules with the pack and rule in the message", () => {
+  const bad = (rule) => () => compileRulePack({ rules: [rule] }, "p.json");
+  assert.throws(bad({ id: "Bad Id", severity: "high", regex: "x" }), /p\.json rules\[0\].*"id"/);
+  assert.throws(bad({ id: "x", severity: "severe", regex: "x" }), /\(x\).*"severity"/);
+  assert.throws(bad({ id: "x", severity: "low", penalty: 500, regex: "x" }), /"penalty"/);
+  assert.throws(bad({ id: "x", severity: "low" }), /exactly one of "regex" or "literals"/);
+  assert.throws(bad({ id: "x", severity: "low", regex: "(" }), /Invalid rule/);
+  assert.throws(bad({ id: "x", severity: "low", regex: "a*" }), /matches empty text/);
+  assert.throws(bad({ id: "x", severity: "low", literals: [] }), /"literals"/);
+  assert.throws(bad({ id: "x", severity: "low", regex: "x", files: "*.sh" }), /"files"/);
+  assert.throws(bad({ id: "x", severity: "low", regex: "x", contextual: "no" }), /"contextual"/);
+  assert.throws(() => compileRulePack({ rules: [PACK.rules[0], PACK.rules[0]] }, "p.json"), /Duplicate rule id/);
+  assert.throws(() => compileRulePack({}, "p.json"), /"rules" array/);
+});
+
+test("globToRegExp: ** spans directories, * stays in one segment", () => {
+  assert.ok(globToRegExp("**/*.sh").test("run.sh"));
+  assert.ok(globToRegExp("**/*.sh").test("a/b/run.sh"));
+  assert.ok(globToRegExp("scripts/*.py").test("scripts/x.py"));
+  assert.ok(!globToRegExp("scripts/*.py").test("scripts/sub/x.py"));
+  assert.ok(!globToRegExp("*.sh").test("run.shx"));
+});
+
+test("runRules: pack rules add tags, penalties and findings with message and fix", () => {
+  const rules = [...BUILTIN_RULES, ...compileRulePack(PACK, "acme.json")];
+  const files = new Map([
+    ["SKILL.md", Buffer.from("# Deploy\nPush to build.corp.acme.com when done.")],
+    ["deploy.sh", Buffer.from("TOKEN=acme_live_abc\n")],
+  ]);
+  const out = runRules("# Deploy\nPush to build.corp.acme.com when done.", files, {
+    detailLevel: "detailed",
+    rules,
+  });
+  assert.ok(out.scanTags.includes("acme-internal-host"));
+  assert.ok(out.scanTags.includes("acme-token"));
+  assert.strictEqual(out.riskLevel, "critical");
+  const host = out.detectedRisks.find((f) => f.tag === "acme-internal-host");
+  assert.strictEqual(host.line, 2);
+  assert.strictEqual(host.match, "build.corp.acme.com");
+  assert.strictEqual(host.fix, "Use the public API endpoint");
+});
+
+test("runRules: file globs limit where a rule matches", () => {
+  const rules = compileRulePack(PACK, "acme.json");
+  const onlyMd = runRules("token acme_live_abc", new Map(), { rules });
+  assert.ok(!onlyMd.scanTags.includes("acme-token"));
+  assert.deepStrictEqual(findRisks("acme_live_abc", "SKILL.md", rules), []);
+  assert.strictEqual(findRisks("acme_live_abc", "bin/run.sh", rules).length, 1);
+});
+
+test("loadRules: built-in rules plus JSON and YAML packs; later ids replace earlier", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rule-packs-"));
+  try {
+    const jsonFile = path.join(dir, "acme.json");
+    await fs.writeFile(jsonFile, JSON.stringify(PACK));
+    const yamlFile = path.join(dir, "tune.yml");
+    await fs.writeFile(
+      yamlFile,
+      "rules:\n  - id: network-call\n    severity: low\n    penalty: 1\n    literals: [\"fetch(\"]\n",
+    );
+    const rules = await loadRules([jsonFile, yamlFile]);
+    assert.strictEqual(rules.length, BUILTIN_RULES.length + 2);
+    const network = rules.find((rule) => rule.tag === "network-call");
+    assert.strictEqual(network.riskLevel, "low");
+    assert.strictEqual(rules.indexOf(network), BUILTIN_RULES.findIndex((rule) => rule.tag === "network-call"));
+    await assert.rejects(loadRules([path.join(dir, "missing.json")]), /Rule pack not found/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("loadRules: add-only packs cannot replace built-in or earlier pack rules", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rule-packs-"));
+  try {
+    const policyFile = path.join(dir, "policy-rules.json");
+    await fs.writeFile(policyFile, JSON.stringify(PACK));
+    const weaken = path.join(dir, "weaken.json");
+    await fs.writeFile(
+      weaken,
+      JSON.stringify({ rules: [{ id: "dangerous-shell", severity: "low", penalty: 0, literals: ["zzz"] }] }),
+    );
+    await assert.rejects(
+      loadRules([], { addOnly: [weaken] }),
+      /rule "dangerous-shell" is already defined and cannot be replaced/,
+    );
+    const shadow = path.join(dir, "shadow.json");
+    await fs.writeFile(shadow, JSON.stringify({ rules: [{ id: "acme-token", severity: "low", penalty: 0, literals: ["zzz"] }] }));
+    await assert.rejects(loadRules([policyFile], { addOnly: [shadow] }), /rule "acme-token" is already defined/);
+
+    const extra = path.join(dir, "extra.json");
+    await fs.writeFile(extra, JSON.stringify({ rules: [{ id: "team-host", severity: "medium", penalty: 5, literals: ["team.example"] }] }));
+    const rules = await loadRules([policyFile], { addOnly: [extra] });
+    assert.strictEqual(rules.length, BUILTIN_RULES.length + 3);
+    assert.strictEqual(rules.find((rule) => rule.tag === "dangerous-shell"), BUILTIN_RULES.find((rule) => rule.tag === "dangerous-shell"));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,117 @@
+/**
+ * Self-test: SARIF export of scan findings.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import { runRules, listRules, BUILTIN_RULES } from "../rules.js";
+import { compileRulePack } from "../rule-packs.js";
+import { toSarif, SARIF_SCHEMA } from "../sarif.js";
+
+function scanOf(skillMd, files = new Map()) {
+  return runRules(skillMd, files, { detailLevel: "detailed" });
+}
+
+test("toSarif: every pattern is a rule with a stable id and severity", () => {
+  const log = toSarif([]);
+  assert.strictEqual(log.$schema, SARIF_SCHEMA);
+  assert.strictEqual(log.version, "2.1.0");
+  const { rules } = log.runs[0].tool.driver;
+  assert.deepStrictEqual(rules.map((rule) => rule.id), listRules().map((rule) => rule.tag));
+  const shell = rules.find((rule) => rule.id === "dangerous-shell");
+  assert.strictEqual(shell.name, "DangerousShell");
+  assert.strictEqual(shell.defaultConfiguration.level, "error");
+  assert.strictEqual(shell.properties["security-severity"], "8.0");
+  const network = rules.find((rule) => rule.id === "network-call");
+  assert.strictEqual(network.defaultConfiguration.level, "warning");
+  assert.deepStrictEqual(log.runs[0].results, []);
+});
+
+test("toSarif: findings become results with region, context and rule index", () => {
+  const scan = scanOf("# Title\nClean up with rm -rf /tmp/x first.\nDone.");
+  const log = toSarif([{ name: "cleanup", id: "acme/skills/cleanup", root: ".claude/skills/cleanup", ...scan }], {
+    toolVersion: "1.2.3",
+  });
+  const run = log.runs[0];
+  assert.strictEqual(run.tool.driver.version, "1.2.3");
+  assert.strictEqual(run.results.length, 1);
+  const [result] = run.results;
+  assert.strictEqual(result.ruleId, "dangerous-shell");
+  assert.strictEqual(run.tool.driver.rules[result.ruleIndex].id, "dangerous-shell");
+  assert.strictEqual(result.level, "error");
+  assert.strictEqual(result.properties.skillId, "acme/skills/cleanup");
+  assert.strictEqual(result.properties.lane, "prose");
+  assert.strictEqual(result.properties.weight, 0.5);
+  const { artifactLocation, region, contextRegion } = result.locations[0].physicalLocation;
+  assert.strictEqual(artifactLocation.uri, ".claude/skills/cleanup/SKILL.md");
+  assert.deepStrictEqual(region, {
+    startLine: 2,
+    startColumn: 15,
+    endColumn: 28,
+    snippet: { text: "rm -rf /tmp/x" },
+  });
+  assert.strictEqual(contextRegion.startLine, 1);
+  assert.strictEqual(contextRegion.endLine, 3);
+});
+
+test("toSarif: fingerprints are stable across runs and differ per location", () => {
+  const files = new Map([
+    ["a.sh", Buffer.from("rm -rf /tmp/a\n")],
+    ["b.sh", Buffer.from("rm -rf /tmp/a\n")],
+  ]);
+  const first = toSarif([{ name: "x", ...scanOf("", files) }]).runs[0].results;
+  const second = toSarif([{ name: "x", ...scanOf("", files) }]).runs[0].results;
+  assert.strictEqual(first.length, 2);
+  assert.deepStrictEqual(
+    first.map((r) => r.partialFingerprints),
+    second.map((r) => r.partialFingerprints),
+  );
+  assert.notStrictEqual(
+    first[0].partialFingerprints["skillMarketFinding/v1"],
+    first[1].partialFingerprints["skillMarketFinding/v1"],
+  );
+});
+
+test("toSarif: repeated matches in a file get distinct fingerprints that survive line shifts", () => {
+  const fingerprints = (text) =>
+    toSarif([{ name: "x", ...scanOf("", new Map([["a.sh", Buffer.from(text)]])) }]).runs[0].results.map(
+      (r) => r.partialFingerprints["skillMarketFinding/v1"],
+    );
+  const before = fingerprints("rm -rf /tmp/a\necho ok\nrm -rf /tmp/a\n");
+  assert.strictEqual(before.length, 2);
+  assert.notStrictEqual(before[0], before[1]);
+  assert.deepStrictEqual(fingerprints("# setup\nrm -rf /tmp/a\necho ok\n\nrm -rf /tmp/a\n"), before);
+});
+
+test("toSarif: basic-level risks without a location are skipped", () => {
+  const basic = runRules("Run rm -rf /tmp/x");
+  const log = toSarif([{ name: "x", ...basic }]);
+  assert.deepStrictEqual(log.runs[0].results, []);
+});
+
+test("toSarif: rule pack rules are listed with their fix hint as help", () => {
+  const rules = [
+    ...BUILTIN_RULES,
+    ...compileRulePack(
+      { rules: [{ id: "acme-host", severity: "medium", penalty: 5, literals: ["corp.acme.com"], message: "Internal host", fix: "Use the public endpoint" }] },
+      "acme.json",
+    ),
+  ];
+  const scan = runRules("Call corp.acme.com", new Map(), { detailLevel: "detailed", rules });
+  const log = toSarif([{ name: "x", ...scan }], { rules });
+  const rule = log.runs[0].tool.driver.rules.find((item) => item.id === "acme-host");
+  assert.strictEqual(rule.help.text, "Use the public endpoint");
+  assert.strictEqual(rule.defaultConfiguration.level, "warning");
+  const [result] = log.runs[0].results;
+  assert.strictEqual(result.ruleId, "acme-host");
+  assert.strictEqual(result.message.text, "Internal host in x: `corp.acme.com`");
+});
+
+test("toSarif: suppressed findings carry an in-source suppression", () => {
+  const md = "<!-- skill-scan-ignore network-call -- documented API -->\nfetch(url)\nfetch(other)";
+  const log = toSarif([{ name: "x", ...runRules(md, new Map(), { detailLevel: "detailed" }) }]);
+  const results = log.runs[0].results;
+  assert.strictEqual(results.length, 2);
+  assert.strictEqual(results[0].suppressions, undefined);
+  assert.deepStrictEqual(results[1].suppressions, [{ kind: "inSource", justification: "documented API" }]);
+  assert.strictEqual(results[1].locations[0].physicalLocation.region.startLine, 2);
+});
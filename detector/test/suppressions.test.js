@@ -0,0 +1,133 @@
+/**
+ * Self-test: skill-scan-ignore directives and frontmatter scan.ignore.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import { runRules } from "../rules.js";
+import { findDirectives, parseFrontmatterIgnores } from "../suppressions.js";
+
+const files = (entries) => new Map(Object.entries(entries).map(([file, text]) => [file, Buffer.from(text)]));
+
+test("directive: a line of its own covers the next line and keeps the finding for review", () => {
+  const md = [
+    "# Browse",
+    "<!-- skill-scan-ignore network-call -- example of the public API -->",
+    "Call fetch(url) to load the page.",
+  ].join("\n");
+  const out = runRules(md, new Map(), { detailLevel: "detailed" });
+  assert.deepStrictEqual(out.scanTags, ["safe"]);
+  assert.strictEqual(out.securityScore, 100);
+  assert.deepStrictEqual(out.suppressedTags, ["network-call"]);
+  assert.strictEqual(out.detectedRisks, undefined);
+  assert.strictEqual(out.suppressedRisks.length, 1);
+  assert.strictEqual(out.suppressedRisks[0].line, 3);
+  assert.deepStrictEqual(out.suppressedRisks[0].suppressed, {
+    source: "comment",
+    line: 2,
+    reason: "example of the public API",
+  });
+});
+
+test("directive: covers a whole fenced block, not the text after it", () => {
+  const md = [
+    "<!-- skill-scan-ignore network-call -->",
+    "```js",
+    "const a = await fetch(url);",
+    "const b = await fetch(other);",
+    "```",
+    "Then fetch(more) yourself.",
+  ].join("\n");
+  const out = runRules(md, new Map(), { detailLevel: "detailed" });
+  assert.deepStrictEqual(out.scanTags, ["network-call"]);
+  assert.deepStrictEqual(out.suppressedTags, ["network-call"]);
+  assert.deepStrictEqual(out.suppressedRisks.map((item) => item.line), [3, 4]);
+  assert.deepStrictEqual(out.detectedRisks.map((item) => item.line), [6]);
+});
+
+test("directive: after code covers only its own line, and only the named tags", () => {
+  const js = [
+    "fetch(url); // skill-scan-ignore network-call",
+    "fetch(other);",
+    "eval(code); // skill-scan-ignore network-call",
+  ].join("\n");
+  const out = runRules("", files({ "scripts/run.js": js }), { detailLevel: "detailed" });
+  assert.deepStrictEqual(out.scanTags.sort(), ["dangerous-shell", "network-call"]);
+  assert.deepStrictEqual(out.suppressedRisks.map((item) => item.line), [1]);
+  assert.deepStrictEqual(
+    out.detectedRisks.map((item) => `${item.tag}:${item.line}`),
+    ["network-call:2", "dangerous-shell:3"],
+  );
+});
+
+test("directive: comma lists, and a warning when no tag is given", () => {
+  const { directives, warnings } = findDirectives(
+    "# skill-scan-ignore network-call,file-system-write\nx\n# skill-scan-ignore -- no tags\n",
+    "run.sh",
+  );
+  assert.deepStrictEqual(directives[0].tags, ["network-call", "file-system-write"]);
+  assert.strictEqual(directives[0].toLine, 2);
+  assert.deepStrictEqual(warnings, ["run.sh:3: skill-scan-ignore needs scan tags (e.g. network-call); not applied"]);
+});
+
+test("frontmatter: scan.ignore suppresses whole files and requires a reason", () => {
+  const md = [
+    "---",
+    "name: browse",
+    "description: Use when you need to browse the web.",
+    "scan:",
+    "  ignore:",
+    "    - tag: network-call",
+    "      files: [\"examples/*.md\"]",
+    "      reason: Examples call the public GitHub API",
+    "    - tag: [file-system-write]",
+    "---",
+    "# Browse",
+  ].join("\n");
+  const out = runRules(
+    md,
+    files({ "examples/api.md": "fetch(url)\nwriteFile(x)", "scripts/run.js": "fetch(url)" }),
+    { detailLevel: "detailed" },
+  );
+  assert.deepStrictEqual(out.scanTags.sort(), ["file-system-write", "network-call"]);
+  assert.deepStrictEqual(out.suppressedTags, ["network-call"]);
+  assert.deepStrictEqual(out.suppressedRisks.map((item) => item.file), ["examples/api.md"]);
+  assert.deepStrictEqual(out.suppressedRisks[0].suppressed, {
+    source: "frontmatter",
+    reason: "Examples call the public GitHub API",
+  });
+  assert.deepStrictEqual(out.detectedRisks.map((item) => item.file).sort(), ["examples/api.md", "scripts/run.js"]);
+  assert.deepStrictEqual(out.suppressionWarnings, [
+    'SKILL.md: scan.ignore[1] (file-system-write) needs a "reason"; not applied',
+  ]);
+});
+
+test("frontmatter: fully suppressed tags leave the score, basic mode reports suppressedTags", () => {
+  const md = "---\nname: a\nscan:\n  ignore:\n    - tag: network-call\n      reason: documented API\n---\nfetch(url)";
+  const out = runRules(md);
+  assert.deepStrictEqual(out.scanTags, ["safe"]);
+  assert.strictEqual(out.securityScore, 100);
+  assert.deepStrictEqual(out.suppressedTags, ["network-call"]);
+  assert.strictEqual(out.suppressedRisks, undefined);
+  assert.deepStrictEqual(parseFrontmatterIgnores("---\nscan:\n  ignore: network-call\n---").warnings, [
+    "SKILL.md: scan.ignore must be a list; not applied",
+  ]);
+});
+
+test("frontmatter: an entry without files covers markdown only, not scripts", () => {
+  const md = "---\nname: a\nscan:\n  ignore:\n    - tag: network-call\n      reason: documented API\n---\nfetch(url)";
+  const out = runRules(md, files({ "docs/api.md": "fetch(url)", "scripts/run.js": "fetch(url)" }), {
+    detailLevel: "detailed",
+  });
+  assert.deepStrictEqual(out.scanTags, ["network-call"]);
+  assert.deepStrictEqual(out.suppressedRisks.map((item) => item.file), ["SKILL.md", "docs/api.md"]);
+  assert.deepStrictEqual(out.detectedRisks.map((item) => item.file), ["scripts/run.js"]);
+});
+
+test("unsuppressed: the result without the skill's own suppressions, only when some apply", () => {
+  const md = "<!-- skill-scan-ignore dangerous-shell -- cleanup step -->\nRun rm -rf /tmp/build";
+  const out = runRules(md);
+  assert.deepStrictEqual(out.scanTags, ["safe"]);
+  assert.deepStrictEqual(out.unsuppressed, { scanTags: ["dangerous-shell"], riskLevel: "high", securityScore: 70 });
+  assert.strictEqual(runRules("Run rm -rf /tmp/build").unsuppressed, undefined);
+  assert.strictEqual(runRules(md, new Map(), { suppressions: false }).suppressedTags, undefined);
+});
@@ -0,0 +1,303 @@
+/**
+ * Full-screen terminal browser for the registry (`skill-market browse`).
+ * Plain ANSI escapes and raw-mode keypresses; no UI dependencies.
+ *
+ * Keys: type to filter, ↑/↓/PgUp/PgDn/Home/End move, Enter installs, Ctrl-R removes,
+ * Tab/Shift-Tab cycle the category, Ctrl-T cycles the tool, Esc clears the filter
+ * (or quits when it is empty), Ctrl-C quits.
+ */
+
+import readline from "node:readline";
+import { getRiskBadge, getQualityGrade } from "./utils/formatting.js";
+import { buildSearchIndex, searchSkills } from "./search.js";
+
+const ESC = "\x1b[";
+const PREVIEW_DELAY_MS = 200;
+
+// Registry text is untrusted: drop escape sequences and control characters
+function sanitize(text) {
+  return String(text ?? "")
+    .replace(/\x1b\[[0-9;?]*[ -/]*[@-~]/g, "")
+    .replace(/\x1b\][^\x07\x1b]*(\x07|\x1b\\)?/g, "")
+    .replace(/\t/g, "  ")
+    .replace(/[\x00-\x09\x0b-\x1f\x7f-\x9f]/g, "");
+}
+
+function fit(text, width) {
+  if (width <= 0) return "";
+  const s = sanitize(text);
+  if (s.length <= width) return s + " ".repeat(width - s.length);
+  return `${s.slice(0, Math.max(0, width - 1))}…`;
+}
+
+/**
+ * Skills matching the filter, category and tool, ranked like `search`; registry order
+ * while the filter is empty.
+ * @param {Object} index - buildSearchIndex() result
+ * @param {{ query: string, category: string, tool: string }} state
+ * @param {(skill: Object, tool: string) => boolean} supportsTool
+ * @returns {Object[]}
+ */
+export function filterSkills(index, { query, category, tool }, supportsTool) {
+  const inCategory = (skill) => category === "All" || (skill.categories || []).includes(category);
+  const skills = query.trim()
+    ? searchSkills(index, query).map((item) => item.skill)
+    : index.docs.map((doc) => doc.skill);
+  return skills.filter((skill) => inCategory(skill) && supportsTool(skill, tool));
+}
+
+/**
+ * Run the browser until the user quits.
+ * @param {Object[]} skills - Expanded registry skills
+ * @param {Object} actions
+ * @param {string[]} actions.tools - Tool keys for the tool facet
+ * @param {string} actions.initialTool
+ * @param {(skill: Object, tool: string) => boolean} actions.supportsTool
+ * @param {(tool: string) => Promise<Set<string>>} actions.installedIds
+ * @param {(skill: Object) => Promise<string>} actions.loadSkillMd
+ * @param {(skill: Object, tool: string) => Promise<void>} actions.install
+ * @param {(skill: Object, tool: string) => Promise<void>} actions.remove
+ * @returns {Promise<void>}
+ */
+export async function browse(skills, actions) {
+  const stdin = process.stdin;
+  const stdout = process.stdout;
+  if (!stdin.isTTY || !stdout.isTTY) {
+    throw new Error("browse needs an interactive terminal (use list/search in scripts)");
+  }
+
+  const index = buildSearchIndex(skills);
+  const categories = [
+    "All",
+    ...[...new Set(skills.flatMap((skill) => skill.categories || []))].sort(),
+  ];
+
+  const state = {
+    query: "",
+    category: "All",
+    tool: actions.initialTool,
+    selected: 0,
+    top: 0,
+    status: "",
+    results: [],
+    installed: new Set(),
+  };
+  const previews = new Map(); // skill id -> { text } | { error }
+  let previewTimer = null;
+  let busy = false;
+  let closed = false; // a preview still loading must not draw over the terminal afterwards
+
+  function refilter() {
+    state.results = filterSkills(index, state, actions.supportsTool);
+    state.selected = Math.min(state.selected, Math.max(0, state.results.length - 1));
+  }
+
+  function current() {
+    return state.results[state.selected] || null;
+  }
+
+  function schedulePreview() {
+    clearTimeout(previewTimer);
+    const skill = current();
+    if (!skill || previews.has(skill.id)) return;
+    previewTimer = setTimeout(async () => {
+      previews.set(skill.id, { loading: true });
+      try {
+        previews.set(skill.id, { text: await actions.loadSkillMd(skill) });
+      } catch (err) {
+        previews.set(skill.id, { error: err.message });
+      }
+      if (!closed && !busy && current()?.id === skill.id) render();
+    }, PREVIEW_DELAY_MS);
+  }
+
+  function previewLines(skill, width) {
+    if (!skill) return [];
+    const lines = [
+      skill.name,
+      skill.id,
+      `${skill.repo}  ★ ${skill.stars}`,
+      `${getRiskBadge(skill.riskLevel || "unknown")}  Security ${skill.securityScore ?? "?"}/100  Quality ${skill.qualityScore ?? "?"}/100 (${skill.qualityScore == null ? "n/a" : getQualityGrade(skill.qualityScore)})`,
+      (skill.categories || []).join(", "),
+      "",
+      ...wrap(skill.description || "", width),
+      "",
+      "─".repeat(width),
+    ];
+    const preview = previews.get(skill.id);
+    if (!preview || preview.loading) lines.push("Loading SKILL.md…");
+    else if (preview.error) lines.push(`Preview unavailable: ${preview.error}`);
+    else lines.push(...sanitize(preview.text).split("\n").flatMap((line) => wrap(line, width)));
+    return lines;
+  }
+
+  function render() {
+    const width = stdout.columns || 80;
+    const height = stdout.rows || 24;
+    const listWidth = Math.max(30, Math.min(60, Math.floor(width * 0.45)));
+    const paneWidth = Math.max(0, width - listWidth - 3);
+    const bodyHeight = Math.max(1, height - 4);
+
+    if (state.selected < state.top) state.top = state.selected;
+    if (state.selected >= state.top + bodyHeight) state.top = state.selected - bodyHeight + 1;
+
+    const out = [`${ESC}H`];
+    const header = ` Filter: ${state.query}▏  Category: ${state.category}  Tool: ${state.tool}  ${state.results.length}/${skills.length}`;
+    out.push(`${ESC}7m${fit(header, width)}${ESC}0m`);
+
+    const pane = previewLines(current(), paneWidth);
+    for (let row = 0; row < bodyHeight; row += 1) {
+      const idx = state.top + row;
+      const skill = state.results[idx];
+      let left = " ".repeat(listWidth);
+      if (skill) {
+        const mark = state.installed.has(skill.id) ? "✓" : " ";
+        const badge = getRiskBadge(skill.riskLevel || "unknown");
+        const name = fit(skill.name, listWidth - badge.length - 4);
+        left = `${mark} ${name} ${badge} `;
+        if (idx === state.selected) left = `${ESC}7m${left}${ESC}0m`;
+      }
+      out.push(`\r\n${left} │ ${fit(pane[row] ?? "", paneWidth)}`);
+    }
+
+    out.push(`\r\n${"─".repeat(width)}`);
+    const help = "↑↓ move  Enter install  Ctrl-R remove  Tab category  Ctrl-T tool  Esc clear/quit";
+    out.push(`\r\n${fit(state.status || help, width)}`);
+    stdout.write(`${out.join("")}${ESC}J`);
+  }
+
+  async function refreshInstalled() {
+    try {
+      state.installed = await actions.installedIds(state.tool);
+    } catch {
+      state.installed = new Set();
+    }
+  }
+
+  function enterScreen() {
+    stdout.write(`${ESC}?1049h${ESC}?25l${ESC}2J`);
+    stdin.setRawMode(true);
+    stdin.resume();
+  }
+
+  function leaveScreen() {
+    stdin.setRawMode(false);
+    stdout.write(`${ESC}?25h${ESC}?1049l`);
+  }
+
+  function waitForKey() {
+    return new Promise((resolve) => {
+      stdin.setRawMode(true);
+      stdin.resume();
+      stdin.once("keypress", () => resolve());
+    });
+  }
+
+  // Leave the full-screen view while install/remove print and prompt as usual
+  async function runAction(verb, fn) {
+    const skill = current();
+    if (!skill) return;
+    busy = true;
+    leaveScreen();
+    try {
+      await fn(skill, state.tool);
+      state.status = `${verb} finished: ${skill.name} (${state.tool})`;
+    } catch (err) {
+      console.error(`[skill-market] ${err.message}`);
+      state.status = `${verb} failed: ${err.message}`;
+    }
+    console.log("\nPress any key to return to the browser.");
+    await waitForKey();
+    await refreshInstalled();
+    busy = false;
+    enterScreen();
+    render();
+  }
+
+  readline.emitKeypressEvents(stdin);
+  refilter();
+  await refreshInstalled();
+  enterScreen();
+  render();
+  schedulePreview();
+
+  await new Promise((resolve) => {
+    const cycle = (list, value, step) =>
+      list[(list.indexOf(value) + step + list.length) % list.length];
+
+    async function onKeypress(str, key = {}) {
+      if (busy) return;
+      const page = Math.max(1, (stdout.rows || 24) - 5);
+      state.status = "";
+      if (key.ctrl && key.name === "c") {
+        stdin.off("keypress", onKeypress);
+        resolve();
+        return;
+      }
+      if (key.name === "escape") {
+        if (!state.query) {
+          stdin.off("keypress", onKeypress);
+          resolve();
+          return;
+        }
+        state.query = "";
+        refilter();
+      } else if (key.name === "up") state.selected = Math.max(0, state.selected - 1);
+      else if (key.name === "down") state.selected = Math.min(state.results.length - 1, state.selected + 1);
+      else if (key.name === "pageup") state.selected = Math.max(0, state.selected - page);
+      else if (key.name === "pagedown") state.selected = Math.min(state.results.length - 1, state.selected + page);
+      else if (key.name === "home") state.selected = 0;
+      else if (key.name === "end") state.selected = Math.max(0, state.results.length - 1);
+      else if (key.name === "tab") {
+        state.category = cycle(categories, state.category, key.shift ? -1 : 1);
+        state.selected = 0;
+        refilter();
+      } else if (key.ctrl && key.name === "t") {
+        state.tool = cycle(actions.tools, state.tool, 1);
+        refilter();
+        await refreshInstalled();
+      } else if (key.name === "return") {
+        stdin.off("keypress", onKeypress);
+        await runAction("Install", actions.install);
+        stdin.on("keypress", onKeypress);
+        return;
+      } else if (key.ctrl && key.name === "r") {
+        stdin.off("keypress", onKeypress);
+        await runAction("Remove", actions.remove);
+        stdin.on("keypress", onKeypress);
+        return;
+      } else if (key.name === "backspace") {
+        state.query = state.query.slice(0, -1);
+        state.selected = 0;
+        refilter();
+      } else if (str && !key.ctrl && !key.meta && str.length === 1 && str >= " ") {
+        state.query += str;
+        state.selected = 0;
+        refilter();
+      } else {
+        return;
+      }
+      state.selected = Math.max(0, state.selected);
+      render();
+      schedulePreview();
+    }
+
+    stdin.on("keypress", onKeypress);
+    stdout.on("resize", render);
+  });
+
+  closed = true;
+  clearTimeout(previewTimer);
+  stdout.off("resize", render);
+  leaveScreen();
+  stdin.pause();
+}
+
+function wrap(text, width) {
+  if (width <= 0) return [];
+  const clean = sanitize(text);
+  if (clean.length <= width) return [clean];
+  const lines = [];
+  for (let i = 0; i < clean.length; i += width) lines.push(clean.slice(i, i + width));
+  return lines;
+}
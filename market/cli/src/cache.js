@@ -0,0 +1,193 @@
+/**
+ * Local download cache so repeated commands (and --offline runs) do not re-download
+ * the registry or skill zips.
+ *
+ * Layout under <state dir>/cache:
+ *   registry/<url key>.json       - cached registry document (skills.json, a chunk or a .sig)
+ *   registry/<url key>.meta.json  - { url, etag, lastModified, fetchedAt }
+ *   zips/<sha256>.zip             - content-addressed skill zips
+ *   zips/index.json               - { [url]: sha256 } for the most recent download of each URL
+ *
+ * A zip is kept while the index refers to it; `skill-market cache clean` removes everything.
+ */
+
+import path from "node:path";
+import fs from "node:fs/promises";
+import crypto from "node:crypto";
+import { stateDir } from "./install-history.js";
+
+/**
+ * Root of the download cache ($SKILL_MARKET_CACHE_DIR or <state dir>/cache).
+ * @returns {string}
+ */
+export function cacheDir() {
+  return process.env.SKILL_MARKET_CACHE_DIR || path.join(stateDir(), "cache");
+}
+
+function urlKey(url) {
+  return crypto.createHash("sha256").update(url).digest("hex").slice(0, 24);
+}
+
+async function readJsonFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Write via a temp file so an interrupted run never leaves a truncated cache entry
+async function writeFileAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, file);
+}
+
+async function readTextFile(file) {
+  try {
+    return await fs.readFile(file, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch a text document (registry file or its signature), revalidating the cached
+ * copy with ETag / If-Modified-Since. In offline mode only the cache is used.
+ * @param {string} url
+ * @param {{ offline?: boolean, headers?: Object<string, string> }} [options]
+ * @returns {Promise<string>} Exact response body
+ */
+export async function fetchTextCached(url, { offline = false, headers: extraHeaders = {} } = {}) {
+  const dir = path.join(cacheDir(), "registry");
+  const bodyFile = path.join(dir, `${urlKey(url)}.json`);
+  const metaFile = path.join(dir, `${urlKey(url)}.meta.json`);
+  const meta = await readJsonFile(metaFile);
+  const cached = meta ? await readTextFile(bodyFile) : null;
+
+  if (offline) {
+    if (cached === null) throw new Error(`Not available offline (not cached yet): ${url}`);
+    return cached;
+  }
+
+  const headers = { ...extraHeaders };
+  if (cached !== null && meta.etag) headers["If-None-Match"] = meta.etag;
+  if (cached !== null && meta.lastModified) headers["If-Modified-Since"] = meta.lastModified;
+
+  const response = await fetch(url, { headers });
+  if (response.status === 304 && cached !== null) return cached;
+  if (!response.ok) throw new Error(`Request failed ${response.status}: ${url}`);
+
+  const text = await response.text();
+  await writeFileAtomic(bodyFile, text);
+  await writeFileAtomic(
+    metaFile,
+    JSON.stringify({
+      url,
+      etag: response.headers.get("etag") || "",
+      lastModified: response.headers.get("last-modified") || "",
+      fetchedAt: new Date().toISOString(),
+    }),
+  );
+  return text;
+}
+
+/**
+ * Read a cached zip by its sha256.
+ * @param {string} sha256
+ * @returns {Promise<Buffer|null>}
+ */
+export async function readCachedZip(sha256) {
+  if (!/^[0-9a-f]{64}$/.test(sha256 || "")) return null;
+  try {
+    return await fs.readFile(path.join(cacheDir(), "zips", `${sha256}.zip`));
+  } catch {
+    return null;
+  }
+}
+
+// Index updates run one at a time: parallel downloads (update --all) would otherwise
+// read the same index and drop each other's entries
+let indexUpdate = Promise.resolve();
+
+function recordZip(indexFile, url, sha256) {
+  const update = indexUpdate.then(async () => {
+    const index = (await readJsonFile(indexFile)) || {};
+    const previous = index[url];
+    index[url] = sha256;
+    await writeFileAtomic(indexFile, JSON.stringify(index, null, 2));
+    // Prune the zip this URL used to serve once nothing refers to it
+    if (previous && previous !== sha256 && !Object.values(index).includes(previous)) {
+      await fs.rm(path.join(path.dirname(indexFile), `${previous}.zip`), { force: true });
+    }
+  });
+  indexUpdate = update.catch(() => {});
+  return update;
+}
+
+/**
+ * Download a zip and keep it in the content-addressed cache. With the sha256 the
+ * registry publishes for it, a cached copy is served without downloading; in offline
+ * mode the last download of the same URL is served from the cache instead.
+ * @param {string} url
+ * @param {{ offline?: boolean, headers?: Object<string, string>, sha256?: string|null }} [options]
+ * @returns {Promise<Buffer>}
+ */
+export async function fetchZipCached(url, { offline = false, headers = {}, sha256: expected = null } = {}) {
+  const dir = path.join(cacheDir(), "zips");
+  const indexFile = path.join(dir, "index.json");
+
+  const known = await readCachedZip(expected);
+  if (known && crypto.createHash("sha256").update(known).digest("hex") === expected) {
+    await recordZip(indexFile, url, expected);
+    return known;
+  }
+
+  if (offline) {
+    const index = (await readJsonFile(indexFile)) || {};
+    const buffer = await readCachedZip(index[url]);
+    if (!buffer) throw new Error(`Not available offline (not cached yet): ${url}`);
+    return buffer;
+  }
+
+  const response = await fetch(url, { headers });
+  if (!response.ok) throw new Error(`Download failed ${response.status}: ${url}`);
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+  const zipFile = path.join(dir, `${sha256}.zip`);
+  try {
+    await fs.access(zipFile);
+  } catch {
+    await writeFileAtomic(zipFile, buffer);
+  }
+  await recordZip(indexFile, url, sha256);
+  return buffer;
+}
+
+async function dirSize(dir) {
+  let total = 0;
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) total += await dirSize(full);
+    else total += (await fs.stat(full).catch(() => ({ size: 0 }))).size;
+  }
+  return total;
+}
+
+/**
+ * Remove the whole download cache (registry documents and zips).
+ * @returns {Promise<{ dir: string, bytes: number }>} bytes freed
+ */
+export async function cleanCache() {
+  const dir = cacheDir();
+  const bytes = await dirSize(dir);
+  await fs.rm(dir, { recursive: true, force: true });
+  return { dir, bytes };
+}
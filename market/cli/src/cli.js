@@ -4,23 +4,87 @@ import fs from "node:fs/promises";
 import crypto from "node:crypto";
 import readline from "node:readline/promises";
 import { stdin as input, stdout as output } from "node:process";
+import { pathToFileURL } from "node:url";
 import AdmZip from "adm-zip";
-import { scanSkillDirectory, scanRemoteSkillExtracted, getRiskLevelDisplay } from "./detector-adapter.js";
+import {
+  scanSkillDirectory,
+  scanRemoteSkillExtracted,
+  scanResultsToSarif,
+  loadScanRules,
+  getRiskLevelDisplay,
+} from "./detector-adapter.js";
 import {
   formatScanTable,
   formatSecurityPrompt,
+  formatBatchSecurityPrompt,
   formatQualityWarning,
   formatSecurityInfo,
   formatRemovalPrompt,
   formatRemovalSuccess,
   formatScanResultsJson,
+  formatScanDetails,
+  formatModifiedPrompt,
+  formatInstallPlan,
+  formatOutdatedTable,
+  formatDoctorReport,
+  formatUpstreamReview,
   getQualityGrade,
 } from "./utils/formatting.js";
+import { mergeThreeWay } from "./utils/merge.js";
+import { mapWithConcurrency } from "./utils/concurrency.js";
+import { unifiedDiff, diffFrontmatter, readFrontmatterFields } from "./utils/diff.js";
+import {
+  MANIFEST_FILENAME,
+  readManifest,
+  lockfilePathFor,
+  readLockfile,
+  writeLockfile,
+} from "./project-manifest.js";
+import { saveToHistory, listHistory, restoreFromHistory } from "./install-history.js";
+import { cleanCache, fetchTextCached, fetchZipCached } from "./cache.js";
+import { buildInstallPlan } from "./dependency-plan.js";
+import { browse } from "./browse.js";
+import {
+  parseSkillSource,
+  formatSkillSource,
+  resolveGithubCommit,
+  githubAuthHeaders,
+} from "./skill-source.js";
+import { searchSkills, tokenize, RISK_LEVELS, SORT_KEYS } from "./search.js";
+import { loadRegistryConfig, mergeRegistries } from "./registry-config.js";
+import { createEventStream, elapsedMs } from "./events.js";
+import { checkSkillMd, conflictMarkerLine, findDuplicateNames } from "./doctor.js";
+import {
+  loadPolicy,
+  normalizePolicy,
+  checkSkillSource,
+  checkScanResult,
+  requiresScan,
+  needsConfirmation,
+  effectiveScan,
+  policyError,
+} from "./policy.js";
+import {
+  SIGNATURE_SUFFIX,
+  DEFAULT_REGISTRY_URL,
+  pinnedTrustKey,
+  loadTrustKey,
+  verifyRegistrySignature,
+} from "./registry-signature.js";
 
-const DEFAULT_REGISTRY_URL =
-  "https://raw.githubusercontent.com/coolzwc/open-skill-market/main/market/skills.json";
 const ZIP_BASE_URL =
   process.env.SKILL_MARKET_ZIP_URL || "https://cdn.skillmarket.cc/zips";
+
+// Error codes that callers branch on
+const INTEGRITY_ERROR = "EINTEGRITY";
+const SIGNATURE_ERROR = "ESIGNATURE";
+
+function codedError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
 const META_FILENAME = ".skill-market-meta.json";
 const SKILL_FILENAME = "SKILL.md";
 
@@ -31,38 +95,89 @@ function printHelp() {
 
 Usage:
   npx skill-market list [--tool <cursor|claude|codex|copilot|openclaw|gemini>]
-  npx skill-market search <keyword>
-  npx skill-market install <skill-id-or-name> [--tool <...>] [--dir <path>] [--check] [--force]
-  npx skill-market update <skill-id-or-name|--all> [--tool <...>] [--dir <path>] [--check] [--force]
-  npx skill-market scan [<skill-id-or-name>] [--dir <path>] [--json] [--registry <url>]
-  npx skill-market scan --installed [--tool <tool>] [--dir <path>] [--json]
-  npx skill-market scan --all [--json]
+  npx skill-market list --installed [--tool <...>] [--scope <user|project>]
+  npx skill-market search <keyword> [--category <name>] [--tag <tag[,tag...]>] [--min-quality <n>] [--max-risk <level>] [--sort <key>]
+  npx skill-market browse [--tool <tool>] [--scope <user|project>]
+  npx skill-market install <skill-id-or-name>[@<commitHash>|github:owner/repo/path[@ref]|./dir|./skill.zip] [--tool <tool[,tool...]|all-detected>] [--dir <path>] [--check] [--force]
+  npx skill-market update <skill-id-or-name|--all> [--tool <...>] [--dir <path>] [--check] [--force] [--on-modified <...>]
+  npx skill-market outdated [--tool <tool[,tool...]>] [--scope <user|project>] [--json]
+  npx skill-market doctor [--tool <tool[,tool...]>] [--scope <user|project>] [--fix] [--json]
+  npx skill-market scan [<skill-id-or-name>] [--dir <path>] [--json|--format <table|json|sarif>] [--registry <url>]
+  npx skill-market scan --installed [--tool <tool>] [--scope <user|project>] [--dir <path>] [--json|--format <...>]
+  npx skill-market scan --all [--json|--format <...>]
   npx skill-market remove <skill-id-or-name> [--tool <...>] [--dir <path>] [--yes]
+  npx skill-market rollback <skill-id-or-name> [--to <n>] [--list] [--tool <...>] [--dir <path>]
+  npx skill-market sync [--manifest <path>] [--update] [--frozen] [--check] [--force]
+  npx skill-market cache clean [--json]
 
 Examples:
   npx skill-market list --tool cursor
   npx skill-market list --tool gemini
+  npx skill-market search pdf --max-risk low --sort quality
+  npx skill-market browse --tool claude
   npx skill-market install vercel-react-best-practices --tool cursor
   npx skill-market install <skill> --tool openclaw
   npx skill-market install react --tool cursor --yes
+  npx skill-market install brainstorming@3f2a9c1 --tool cursor
+  npx skill-market install brainstorming --tool cursor,claude,codex
+  npx skill-market install github:my-org/skills/skills/deploy@main --tool claude
+  npx skill-market install ./skills/internal-tool --tool cursor
+  npx skill-market update --all --tool all-detected
+  npx skill-market install brainstorming --tool claude --scope project
+  npx skill-market list --installed --tool claude
   npx skill-market update --all --tool cursor
+  npx skill-market update brainstorming --diff --check
+  npx skill-market outdated --json
+  npx skill-market doctor --fix
   npx skill-market scan brainstorming --json
   npx skill-market scan --installed --tool cursor
   npx skill-market scan --all --json
+  npx skill-market scan --installed --scope project --format sarif > skills.sarif
   npx skill-market remove brainstorming --tool cursor --yes
+  npx skill-market rollback brainstorming --tool cursor
+  npx skill-market sync --frozen
+  npx skill-market cache clean
 
 Flags:
-  --registry <url>  Override registry URL
+  --registry <url>  Use only this registry (ignores ~/.skill-market/registries.json)
+  --offline         Use only the local cache (registry and previously downloaded zips)
+  --trust-key <key> Verify registry signatures with this Ed25519 public key (base64 or PEM file)
   --tool <name>     Target tool: cursor|claude|codex|copilot|openclaw|gemini
+                    install/update also accept a comma list or "all-detected"
   --dir <path>      Override install base directory
+  --scope <name>    user (home dirs, default) or project (.cursor/skills etc. at repo root)
   --limit <n>       Limit number of rows for list/search
+  --category <name> For search: only skills in this category
+  --tag <tag>       For search: only skills with these tags (comma list, all required)
+  --min-quality <n> For search: minimum quality score (0-100)
+  --max-risk <level>
+                    For search: highest allowed risk (low|medium|high|critical)
+  --sort <key>      For search: relevance (default)|stars|quality|security|name
   --check           Check status only, no write
-  --force           Skip security prompts (install/update)
+  --force           Skip security prompts (install/update); never overrides the install policy
+  --no-deps         Install without the skills listed in the skill's "requires"
+  --diff            For update: print the upstream diff and scan changes before applying
+  --concurrency <n> For update --all: skills downloaded and scanned in parallel (default 4)
+  --on-modified <keep|overwrite|merge>
+                    What to do when an installed skill was edited locally
   --json            Output JSON results
+  --format <name>   For scan: table (default), json or sarif (SARIF 2.1.0 for code scanning)
+  --rules <file>    Extra detection rule packs (JSON/YAML, comma list) for scan/install/update
+  --events ndjson   Stream progress events as JSON lines (install/update/sync)
   --yes             Auto-select first candidate on ambiguous matches
   --all             Process all items (scan all / update all installed)
-  --installed       For scan: check already-installed skills
+  --installed       For list/scan: use already-installed skills (both scopes unless --scope)
+  --to <n>          For rollback: history entry to restore (1 = previous install)
+  --list            For rollback: show install history
+  --manifest <path> For sync: project manifest (default ./skill-market.json)
+  --update          For sync: re-lock skills to the latest registry commit
+  --frozen          For sync: fail if the lockfile would change (CI)
+  --fix             For doctor: apply the safe repairs
   --help            Show help
+
+Install policy: SKILL_MARKET_POLICY=<file> or the nearest .skill-market-policy.json
+Private GitHub sources: set GITHUB_TOKEN
+Several registries: ~/.skill-market/registries.json or SKILL_MARKET_REGISTRIES=<file>
 `);
 }
 
@@ -117,23 +232,217 @@ function defaultInstallBase(tool) {
   }
 }
 
-async function fetchJson(url) {
-  const response = await fetch(url);
-  if (!response.ok)
-    throw new Error(`Request failed ${response.status}: ${url}`);
-  return response.json();
+const SCOPES = ["user", "project"];
+
+// Project-level skills folders, relative to the repository root
+const PROJECT_SKILL_DIRS = {
+  cursor: path.join(".cursor", "skills"),
+  claude: path.join(".claude", "skills"),
+  codex: path.join(".codex", "skills"),
+  copilot: path.join(".github", "skills"),
+  openclaw: path.join(".openclaw", "skills"),
+  gemini: path.join(".gemini", "skills"),
+};
+
+/**
+ * Walk up from `start` to the nearest directory containing .git; falls back to `start`.
+ * @param {string} [start]
+ * @returns {Promise<string>}
+ */
+async function findProjectRoot(start = process.cwd()) {
+  let current = path.resolve(start);
+  for (;;) {
+    try {
+      await fs.access(path.join(current, ".git"));
+      return current;
+    } catch {
+      // keep walking up
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return path.resolve(start);
+    current = parent;
+  }
+}
+
+function resolveScope(value) {
+  const scope = String(value || "user");
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Invalid --scope value: ${value} (use user or project)`);
+  }
+  return scope;
+}
+
+/**
+ * Install base for a tool in a scope. Project scope resolves against `projectRoot`
+ * (default: repo root of the current directory).
+ * @param {string} tool
+ * @param {"user"|"project"} scope
+ * @param {string} [projectRoot]
+ * @returns {Promise<string>}
+ */
+async function installBaseFor(tool, scope, projectRoot) {
+  if (scope !== "project") return defaultInstallBase(tool);
+  const root = projectRoot || (await findProjectRoot());
+  return path.join(root, PROJECT_SKILL_DIRS[tool] || PROJECT_SKILL_DIRS.cursor);
+}
+
+/**
+ * Install base for commands that target one tool: --dir wins, then --scope.
+ */
+async function resolveInstallBase(tool, args) {
+  if (args.dir) return path.resolve(args.dir);
+  return installBaseFor(tool, resolveScope(args.scope));
+}
+
+/**
+ * Install locations to inspect for --installed listings. With --dir or --scope only
+ * that location; otherwise both user and project scope (deduplicated).
+ * @returns {Promise<{ scope: string, baseDir: string }[]>}
+ */
+async function installedLocations(tool, args) {
+  if (args.dir) return [{ scope: "custom", baseDir: path.resolve(args.dir) }];
+  const scopes = args.scope ? [resolveScope(args.scope)] : SCOPES;
+  const locations = [];
+  for (const scope of scopes) {
+    const baseDir = await installBaseFor(tool, scope);
+    if (!locations.some((loc) => loc.baseDir === baseDir)) locations.push({ scope, baseDir });
+  }
+  return locations;
+}
+
+/**
+ * Install locations of several tools, each directory once: with --dir every tool
+ * resolves to the same one. `tools` lists the tools that share it.
+ * @returns {Promise<{ tools: string[], scope: string, baseDir: string }[]>}
+ */
+async function installedLocationsForTools(tools, args) {
+  const locations = [];
+  for (const tool of tools) {
+    for (const { scope, baseDir } of await installedLocations(tool, args)) {
+      const seen = locations.find((location) => location.baseDir === baseDir);
+      if (seen) seen.tools.push(tool);
+      else locations.push({ tools: [tool], scope, baseDir });
+    }
+  }
+  return locations;
+}
+
+/**
+ * Tool an install in a shared location belongs to: the one its meta records, else
+ * the first tool of the location.
+ */
+function installTool(tools, meta) {
+  return meta?.tool && tools.includes(meta.tool) ? meta.tool : tools[0];
+}
+
+/**
+ * Resolve --tool into tool keys: a single tool, a comma list, or "all-detected"
+ * (every supported tool whose home dir exists, e.g. ~/.cursor, or .cursor/ in project scope).
+ * @param {string} [value] - Raw --tool value (default "cursor")
+ * @param {"user"|"project"} [scope]
+ * @returns {Promise<string[]>}
+ */
+async function resolveTools(value, scope = "user") {
+  const raw = String(value || "cursor");
+  if (raw === "all-detected") {
+    const detected = [];
+    for (const tool of TOOL_KEYS) {
+      try {
+        await fs.access(path.dirname(await installBaseFor(tool, scope)));
+        detected.push(tool);
+      } catch {
+        // Tool not installed on this machine
+      }
+    }
+    if (detected.length === 0) {
+      throw new Error(
+        scope === "project"
+          ? "No supported tools detected in this project (looked for .cursor/, .claude/, ...)"
+          : "No supported tools detected (looked for ~/.cursor, ~/.claude, ~/.codex, ...)",
+      );
+    }
+    return detected;
+  }
+  const tools = raw
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => {
+      const tool = normalizeTool(name);
+      if (!tool) throw new Error(`Unsupported tool: ${name}`);
+      return tool;
+    });
+  if (tools.length === 0) throw new Error(`Unsupported tool: ${raw}`);
+  return [...new Set(tools)];
+}
+
+// Set from --offline in run(); all downloads then come from the local cache
+let offlineMode = false;
+
+// Install policy loaded in run(); defaults match the built-in confirmation rules
+let activePolicy = normalizePolicy({}, null);
+
+// Detection rules for local scans: built-in plus rule packs from the policy and --rules
+// (null = built-in only); set in run()
+let activeRules = null;
+
+// --events ndjson: progress events on stdout (replaces human output); no-op otherwise
+let emitEvent = null;
+
+function emit(event, data) {
+  if (emitEvent) emitEvent(event, data);
+}
+
+// Auth headers of configured registries: { prefix, headers } for registry and zip URLs
+const registryHeaders = [];
+
+function requestHeaders(url) {
+  const headers = { ...githubAuthHeaders(url) };
+  for (const entry of registryHeaders) {
+    if (url.startsWith(entry.prefix)) Object.assign(headers, entry.headers);
+  }
+  return headers;
+}
+
+/**
+ * Fetch one registry file; with a trust key its detached .sig must verify.
+ * @param {string} url
+ * @param {import("node:crypto").KeyObject|null} trustKey
+ */
+async function fetchRegistryFile(url, trustKey) {
+  const text = await fetchTextCached(url, { offline: offlineMode, headers: requestHeaders(url) });
+  if (trustKey) {
+    let signature;
+    try {
+      const sigUrl = `${url}${SIGNATURE_SUFFIX}`;
+      signature = await fetchTextCached(sigUrl, { offline: offlineMode, headers: requestHeaders(sigUrl) });
+    } catch (err) {
+      throw codedError(SIGNATURE_ERROR, `Registry signature missing for ${url} (${err.message})`);
+    }
+    if (!verifyRegistrySignature(text, signature, trustKey)) {
+      throw codedError(SIGNATURE_ERROR, `Registry signature verification failed: ${url}`);
+    }
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Key used to verify the registry: --trust-key / SKILL_MARKET_TRUST_KEY, else the
+ * pinned publisher key for the official registry. null disables verification.
+ */
+async function resolveTrustKey(args, registryUrl) {
+  const supplied = args["trust-key"] || process.env.SKILL_MARKET_TRUST_KEY;
+  if (supplied) return loadTrustKey(supplied);
+  return pinnedTrustKey(registryUrl);
 }
 
-async function fetchBuffer(url) {
-  const response = await fetch(url);
-  if (!response.ok)
-    throw new Error(`Download failed ${response.status}: ${url}`);
-  const ab = await response.arrayBuffer();
-  return Buffer.from(ab);
+// sha256: the registry's zipSha256 for this URL, so a cached copy is used as is
+async function fetchBuffer(url, sha256 = null) {
+  return fetchZipCached(url, { offline: offlineMode, headers: requestHeaders(url), sha256 });
 }
 
-async function loadRegistry(registryUrl) {
-  const main = await fetchJson(registryUrl);
+async function loadRegistry(registryUrl, trustKey = null) {
+  const main = await fetchRegistryFile(registryUrl, trustKey);
   main.repositories = main.repositories || {};
   const allSkills = [...(main.skills || [])];
   const chunks = main.meta?.chunks || [];
@@ -141,7 +450,7 @@ async function loadRegistry(registryUrl) {
   if (chunks.length > 0) {
     const base = new URL(".", registryUrl).toString();
     const chunkResults = await Promise.all(
-      chunks.map((chunkFile) => fetchJson(new URL(chunkFile, base).toString())),
+      chunks.map((chunkFile) => fetchRegistryFile(new URL(chunkFile, base).toString(), trustKey)),
     );
     for (const chunk of chunkResults) {
       allSkills.push(...(chunk.skills || []));
@@ -152,24 +461,129 @@ async function loadRegistry(registryUrl) {
   return { ...main, allSkills };
 }
 
+/**
+ * Load the registry for this command: --registry alone, else every registry in the
+ * registry config merged by priority, else the default registry. An unreachable
+ * registry is skipped while others load; a bad signature always fails.
+ */
+async function loadRegistries(args) {
+  const jsonMode = Boolean(args.json);
+  const sources = args.registry
+    ? null
+    : await loadRegistryConfig({ url: DEFAULT_REGISTRY_URL, zipBaseUrl: ZIP_BASE_URL });
+  if (!sources) {
+    const registryUrl = String(args.registry || DEFAULT_REGISTRY_URL);
+    return loadRegistry(registryUrl, await resolveTrustKey(args, registryUrl));
+  }
+
+  const loaded = [];
+  let lastError;
+  for (const source of sources) {
+    if (Object.keys(source.headers).length > 0) {
+      registryHeaders.push({ prefix: new URL(".", source.url).toString(), headers: source.headers });
+      registryHeaders.push({ prefix: `${source.zipBaseUrl}/`, headers: source.headers });
+    }
+    const trustKey = source.trustKey
+      ? await loadTrustKey(source.trustKey)
+      : await resolveTrustKey(args, source.url);
+    try {
+      loaded.push({ source, registry: await loadRegistry(source.url, trustKey) });
+    } catch (err) {
+      if (err.code === SIGNATURE_ERROR) throw err;
+      lastError = err;
+      if (!jsonMode) console.warn(`[registry] ${source.name} unavailable: ${err.message}`);
+    }
+  }
+  if (loaded.length === 0) throw lastError;
+
+  const merged = mergeRegistries(loaded);
+  if (!jsonMode) {
+    for (const conflict of merged.conflicts) {
+      console.warn(
+        `[registry] ${conflict.id}: using ${conflict.used.registry} (${conflict.used.commitHash || "?"}), ignoring ${conflict.ignored.registry} (${conflict.ignored.commitHash || "?"})`,
+      );
+    }
+  }
+  return { ...loaded[0].registry, ...merged, registries: loaded.map(({ source }) => source.name) };
+}
+
+function safeZipName(name) {
+  return (name || "").replace(/[^a-zA-Z0-9-_]/g, "") || "skill";
+}
+
 function expandSkill(skill, repositories) {
   const repoInfo = repositories[skill.repo] || {};
   const repoUrl = repoInfo.url || `https://github.com/${skill.repo}`;
   const branch = repoInfo.branch || "main";
   const pathInRepo = skill.path || "";
   const [owner, repo] = skill.repo.split("/");
-  const safeZipName = (skill.name || "").replace(/[^a-zA-Z0-9-_]/g, "") || "skill";
   return {
     ...skill,
     repoUrl,
     branch,
-    skillZipUrl: `${ZIP_BASE_URL}/${owner}-${repo}-${safeZipName}.zip`,
+    skillZipUrl: `${skill.zipBaseUrl || ZIP_BASE_URL}/${owner}-${repo}-${safeZipName(skill.name)}.zip`,
     downloadUrl: `https://api.github.com/repos/${owner}/${repo}/zipball/${branch}`,
     detailsUrl: `https://github.com/${owner}/${repo}/blob/${branch}/${pathInRepo}/SKILL.md`,
     stars: Number(repoInfo.stars || 0),
   };
 }
 
+/**
+ * Split "skill@commitHash" into selector and commit. Plain selectors return commitHash "".
+ */
+function parsePinnedSelector(selector) {
+  const at = selector.lastIndexOf("@");
+  if (at > 0 && /^[0-9a-f]{7,40}$/i.test(selector.slice(at + 1))) {
+    return { selector: selector.slice(0, at), commitHash: selector.slice(at + 1).toLowerCase() };
+  }
+  return { selector, commitHash: "" };
+}
+
+// The crawler records commits, and keys commit-addressed zips, by this many hex digits
+const REGISTRY_HASH_LENGTH = 12;
+
+/**
+ * A commit hash in the registry's form: the registry commit when one is a prefix of
+ * the other (a 7-character or a full 40-character hash of the same commit), else the
+ * hash cut to the registry's length.
+ * @param {Object} skill - Expanded skill
+ * @param {string} commitHash - Hash the user or a lockfile gave (7-40 hex digits)
+ * @returns {string}
+ */
+function registryCommitHash(skill, commitHash) {
+  const current = skill.commitHash || "";
+  if (current && (current.startsWith(commitHash) || commitHash.startsWith(current))) return current;
+  return commitHash.slice(0, REGISTRY_HASH_LENGTH);
+}
+
+/**
+ * Point an expanded skill at a specific commit: the crawler's commit-addressed zip
+ * first, then the GitHub zipball at that commit. A hash shorter than the registry's
+ * cannot name a commit-addressed zip, so only the zipball is tried.
+ */
+function pinSkillToCommit(skill, commitHash) {
+  const [owner, repo] = skill.repo.split("/");
+  const hash = registryCommitHash(skill, commitHash);
+  // GitHub resolves the longest hash we have most reliably
+  const ref = commitHash.length > hash.length ? commitHash : hash;
+  const pathInRepo = skill.path || "";
+  // The registry digest describes the zip at skill.commitHash only
+  const { zipSha256, zipSize, ...rest } = skill;
+  const digest = hash === skill.commitHash ? { zipSha256, zipSize } : {};
+  return {
+    ...rest,
+    ...digest,
+    commitHash: hash,
+    pinned: true,
+    skillZipUrl:
+      hash.length === REGISTRY_HASH_LENGTH
+        ? `${skill.zipBaseUrl || ZIP_BASE_URL}/${owner}-${repo}-${safeZipName(skill.name)}@${hash}.zip`
+        : null,
+    downloadUrl: `https://api.github.com/repos/${owner}/${repo}/zipball/${ref}`,
+    detailsUrl: `https://github.com/${owner}/${repo}/blob/${ref}/${pathInRepo}/SKILL.md`,
+  };
+}
+
 function getSkillMatches(skills, selector) {
   const exactById = skills.find((item) => item.id === selector);
   if (exactById)
@@ -177,26 +591,24 @@ function getSkillMatches(skills, selector) {
   const exactByName = skills.find((item) => item.name === selector);
   if (exactByName)
     return { selected: exactByName, matches: [exactByName], exact: true };
-  const q = selector.toLowerCase();
-  const hits = skills.filter(
-    (item) =>
-      item.name.toLowerCase().includes(q) ||
-      item.id.toLowerCase().includes(q) ||
-      item.description?.toLowerCase().includes(q),
-  );
-  if (hits.length === 1)
-    return { selected: hits[0], matches: hits, exact: false };
-  if (hits.length === 0) return { selected: null, matches: [], exact: false };
-  return { selected: null, matches: hits, exact: false };
+  const ranked = searchSkills(skills, selector);
+  // A lone typo-tolerant hit is offered as a candidate, never picked silently
+  if (ranked.length === 1 && !ranked[0].fuzzy)
+    return { selected: ranked[0].skill, matches: [ranked[0].skill], exact: false };
+  return { selected: null, matches: ranked.map((item) => item.skill), exact: false };
 }
 
 async function chooseSkillInteractively(selector, matches, jsonMode) {
   const top = matches.slice(0, 12);
+  const heading =
+    matches.length === 1
+      ? `No exact match for "${selector}"`
+      : `Multiple skills matched "${selector}"`;
   if (jsonMode) {
     throw new Error(
       JSON.stringify({
         error: "ambiguous-skill",
-        message: `Multiple skills matched "${selector}"`,
+        message: heading,
         candidates: top.map((item) => ({ id: item.id, name: item.name })),
       }),
     );
@@ -204,13 +616,13 @@ async function chooseSkillInteractively(selector, matches, jsonMode) {
 
   if (!process.stdout.isTTY || !process.stdin.isTTY) {
     throw new Error(
-      `Multiple skills matched "${selector}". Use exact id/name. Top matches: ${top
+      `${heading}. Use exact id/name. Top matches: ${top
         .map((item) => item.name)
         .join(", ")}`,
     );
   }
 
-  console.log(`Multiple skills matched "${selector}". Select one:`);
+  console.log(`${heading}. Select one:`);
   top.forEach((item, idx) => {
     console.log(`  ${idx + 1}) ${item.name}  [${item.id}]`);
   });
@@ -230,7 +642,9 @@ async function chooseSkillInteractively(selector, matches, jsonMode) {
 
 function printAsJson(payload, enabled) {
   if (!enabled) return false;
-  console.log(JSON.stringify(payload, null, 2));
+  // With --events the final payload is the last line of the event stream
+  if (emitEvent) emitEvent("result", { result: payload });
+  else console.log(JSON.stringify(payload, null, 2));
   return true;
 }
 
@@ -243,6 +657,24 @@ function resolveLimit(args, fallback, max = 500) {
   return Math.min(parsed, max);
 }
 
+// --rules a.json,b.yml
+function resolveRulePackArgs(args) {
+  if (args.rules === undefined) return [];
+  if (args.rules === true) throw new Error("--rules needs a rule pack file (comma list allowed)");
+  return String(args.rules).split(",").map((item) => item.trim()).filter(Boolean);
+}
+
+const DEFAULT_CONCURRENCY = 4;
+
+function resolveConcurrency(args) {
+  if (args.concurrency === undefined) return DEFAULT_CONCURRENCY;
+  const parsed = Number(args.concurrency);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`Invalid --concurrency value: ${args.concurrency}`);
+  }
+  return Math.min(parsed, 32);
+}
+
 function shortSkill(skill) {
   return {
     id: skill.id,
@@ -313,6 +745,14 @@ function sameFingerprint(a, b) {
   return true;
 }
 
+/**
+ * Relative paths that were added, removed or changed between two fingerprints.
+ */
+function changedFiles(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter((rel) => before[rel] !== after[rel]).sort();
+}
+
 async function ensureEmptyDir(target) {
   await fs.rm(target, { recursive: true, force: true });
   await fs.mkdir(target, { recursive: true });
@@ -353,13 +793,50 @@ async function findCandidateSkillDir(root, skill) {
   return result || firstSkillMdDir || "";
 }
 
+/**
+ * Check a downloaded skill zip against the sha256/size published in the registry.
+ * Registries without digests (older crawls) are accepted as-is.
+ */
+function verifyZipDigest(skill, zipBuffer, zipSha256) {
+  if (skill.zipSize != null && zipBuffer.length !== Number(skill.zipSize)) {
+    throw codedError(
+      INTEGRITY_ERROR,
+      `Integrity check failed for ${skill.name}: expected ${skill.zipSize} bytes, got ${zipBuffer.length} (${skill.skillZipUrl})`,
+    );
+  }
+  if (skill.zipSha256 && zipSha256 !== skill.zipSha256) {
+    throw codedError(
+      INTEGRITY_ERROR,
+      `Integrity check failed for ${skill.name}: expected sha256 ${skill.zipSha256}, got ${zipSha256} (${skill.skillZipUrl})`,
+    );
+  }
+}
+
+/**
+ * GitHub zipball of the commit the registry describes, or null without a commit hash.
+ */
+function commitZipballUrl(skill) {
+  if (!skill.repo || !/^[0-9a-f]{7,40}$/i.test(skill.commitHash || "")) return null;
+  return `https://api.github.com/repos/${skill.repo}/zipball/${skill.commitHash}`;
+}
+
 async function extractRemoteSkill(skill, tmpBase) {
   // Try skill-specific zip first, fall back to full repo zipball
   const urls = [skill.skillZipUrl, skill.downloadUrl].filter(Boolean);
   let lastError;
   for (const sourceUrl of urls) {
     try {
-      const zipBuffer = await fetchBuffer(sourceUrl);
+      const started = performance.now();
+      emit("downloading", { skill: skill.id, url: sourceUrl });
+      const zipBuffer = await fetchBuffer(sourceUrl, sourceUrl === skill.skillZipUrl ? skill.zipSha256 : null);
+      emit("downloaded", {
+        skill: skill.id,
+        url: sourceUrl,
+        bytes: zipBuffer.length,
+        durationMs: elapsedMs(started),
+      });
+      const zipSha256 = crypto.createHash("sha256").update(zipBuffer).digest("hex");
+      if (sourceUrl === skill.skillZipUrl) verifyZipDigest(skill, zipBuffer, zipSha256);
 
       const zipFile = path.join(tmpBase, "skill.zip");
       await fs.writeFile(zipFile, zipBuffer);
@@ -370,10 +847,10 @@ async function extractRemoteSkill(skill, tmpBase) {
       const zip = new AdmZip(zipFile);
 
       // For repo zipball fallback: try to extract only the skill directory
-      const isRepoZipball = sourceUrl === skill.downloadUrl;
+      const isRepoZipball = sourceUrl !== skill.skillZipUrl;
       if (isRepoZipball && skill.path) {
         const extracted = await extractSkillDirOnly(zip, extractDir, skill);
-        if (extracted) return { sourceUrl, extractedSkillDir: extracted };
+        if (extracted) return { sourceUrl, extractedSkillDir: extracted, zipSha256 };
         // Partial extraction failed — clean up before full extraction
         await ensureEmptyDir(extractDir);
       }
@@ -387,8 +864,11 @@ async function extractRemoteSkill(skill, tmpBase) {
           `Cannot locate skill directory in archive for ${skill.name}. Source: ${sourceUrl}`,
         );
       }
-      return { sourceUrl, extractedSkillDir: candidate };
+      return { sourceUrl, extractedSkillDir: candidate, zipSha256 };
     } catch (err) {
+      // A zip that does not match the registry digest is refused, never replaced by a
+      // download the digest does not cover
+      if (err.code === INTEGRITY_ERROR) throw err;
       lastError = err;
       // If skill zip failed, try next URL (repo zipball fallback)
     }
@@ -487,6 +967,8 @@ async function findInstalledSkills(baseDir, expandedSkills) {
       installed.push(byId.get(meta.skillId));
       continue;
     }
+    // Installed from a git URL or local path; a same-named registry skill is not it
+    if (meta?.origin) continue;
 
     // Fallback: match by directory name (= skill.name)
     if (byName.has(dirName)) {
@@ -506,7 +988,159 @@ async function readInstallMeta(skillDir) {
   }
 }
 
-async function writeInstallMeta(skillDir, skill, tool, sourceUrl) {
+// Files of a local skill directory that get installed (VCS data and old meta are skipped)
+function isLocalSkillFile(rel) {
+  return rel !== META_FILENAME && rel !== ".git" && !rel.startsWith(".git/");
+}
+
+async function localSkillFingerprint(dir) {
+  const map = {};
+  for (const file of await listDirRecursive(dir)) {
+    const rel = path.relative(dir, file).replaceAll(path.sep, "/");
+    if (isLocalSkillFile(rel)) map[rel] = await hashFile(file);
+  }
+  return map;
+}
+
+function frontmatterValue(text, key) {
+  const value = readFrontmatterFields(text)[key] || "";
+  return value.replace(/^(["'])(.*)\1$/, "$2").trim();
+}
+
+/**
+ * Build a skill record for a github:/local source so it can go through the normal
+ * install/update path. For local sources `commitHash` is a content digest, so
+ * `update` notices edits.
+ * @param {Object} source - parseSkillSource() result
+ * @returns {Promise<Object>}
+ */
+async function resolveSourceSkill(source) {
+  const origin = formatSkillSource(source);
+  if (source.type === "github") {
+    if (offlineMode) throw new Error(`Cannot resolve ${origin} in offline mode`);
+    const commitHash = await resolveGithubCommit(source);
+    const repo = `${source.owner}/${source.repo}`;
+    return {
+      id: origin.replace(/@[^/]*$/, ""),
+      name: path.posix.basename(source.path || source.repo),
+      description: "",
+      author: source.owner,
+      repo,
+      path: source.path,
+      commitHash,
+      origin,
+      stars: 0,
+      repoUrl: `https://github.com/${repo}`,
+      branch: source.ref || "HEAD",
+      downloadUrl: `https://api.github.com/repos/${repo}/zipball/${commitHash}`,
+      detailsUrl: `https://github.com/${repo}/tree/${commitHash}/${source.path}`,
+    };
+  }
+
+  let stat;
+  try {
+    stat = await fs.stat(source.path);
+  } catch {
+    throw new Error(`Local source not found: ${source.path}`);
+  }
+  let skillMd;
+  let digest;
+  if (source.type === "zip") {
+    if (!stat.isFile()) throw new Error(`Not a zip file: ${source.path}`);
+    const zipBuffer = await fs.readFile(source.path);
+    const entry = new AdmZip(zipBuffer)
+      .getEntries()
+      .filter((item) => !item.isDirectory && path.posix.basename(item.entryName) === SKILL_FILENAME)
+      .sort((a, b) => a.entryName.split("/").length - b.entryName.split("/").length)[0];
+    if (!entry) throw new Error(`${SKILL_FILENAME} not found in ${source.path}`);
+    skillMd = entry.getData().toString("utf8");
+    digest = crypto.createHash("sha256").update(zipBuffer).digest("hex");
+  } else {
+    if (!stat.isDirectory()) throw new Error(`Not a directory: ${source.path}`);
+    try {
+      skillMd = await fs.readFile(path.join(source.path, SKILL_FILENAME), "utf8");
+    } catch {
+      throw new Error(`${SKILL_FILENAME} not found in ${source.path}`);
+    }
+    const fingerprint = await localSkillFingerprint(source.path);
+    const lines = Object.keys(fingerprint).sort().map((rel) => `${rel}\0${fingerprint[rel]}\n`);
+    digest = crypto.createHash("sha256").update(lines.join("")).digest("hex");
+  }
+  const fallbackName = path.basename(source.path).replace(/\.zip$/i, "");
+  return {
+    id: origin,
+    name: safeZipName(frontmatterValue(skillMd, "name") || fallbackName),
+    description: frontmatterValue(skillMd, "description"),
+    author: null,
+    repo: null,
+    path: "",
+    commitHash: digest.slice(0, 12),
+    origin,
+    stars: 0,
+    local: true,
+    localPath: source.path,
+  };
+}
+
+/**
+ * Copy a local skill directory or unpack a local zip into tmpBase, like
+ * extractRemoteSkill does for downloads.
+ */
+async function stageLocalSkill(skill, tmpBase) {
+  const extractDir = path.join(tmpBase, "extract");
+  await ensureEmptyDir(extractDir);
+  const sourceUrl = pathToFileURL(skill.localPath).href;
+
+  if (!skill.localPath.toLowerCase().endsWith(".zip")) {
+    const target = path.join(extractDir, skill.name);
+    await fs.cp(skill.localPath, target, {
+      recursive: true,
+      filter: (src) => isLocalSkillFile(path.relative(skill.localPath, src).replaceAll(path.sep, "/")),
+    });
+    return { sourceUrl, extractedSkillDir: target, zipSha256: null };
+  }
+
+  const zipBuffer = await fs.readFile(skill.localPath);
+  new AdmZip(zipBuffer).extractAllTo(extractDir, true);
+  const candidate = (await pathExists(path.join(extractDir, SKILL_FILENAME)))
+    ? extractDir
+    : await findCandidateSkillDir(extractDir, skill);
+  if (!candidate) throw new Error(`Cannot locate skill directory in ${skill.localPath}`);
+  return {
+    sourceUrl,
+    extractedSkillDir: candidate,
+    zipSha256: crypto.createHash("sha256").update(zipBuffer).digest("hex"),
+  };
+}
+
+/**
+ * Skills in an install dir that came from a github:/local source, re-resolved from
+ * the `origin` in their install meta. Sources that cannot be resolved are skipped.
+ * @returns {Promise<Object[]>}
+ */
+async function findSourceInstalls(baseDir, jsonMode) {
+  let entries;
+  try {
+    entries = await fs.readdir(baseDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const skills = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const meta = await readInstallMeta(path.join(baseDir, entry.name));
+    const source = meta?.origin ? parseSkillSource(meta.origin) : null;
+    if (!source) continue;
+    try {
+      skills.push(await resolveSourceSkill(source));
+    } catch (err) {
+      if (!jsonMode) console.warn(`[warn] ${entry.name}: ${err.message}`);
+    }
+  }
+  return skills;
+}
+
+async function writeInstallMeta(skillDir, skill, tool, sourceUrl, extra = {}) {
   const metaPath = path.join(skillDir, META_FILENAME);
   const payload = {
     skillId: skill.id,
@@ -515,6 +1149,19 @@ async function writeInstallMeta(skillDir, skill, tool, sourceUrl) {
     installedAt: new Date().toISOString(),
     installedCommitHash: skill.commitHash || "",
     source: sourceUrl,
+    ...(skill.origin ? { origin: skill.origin } : {}),
+    ...(skill.pinned ? { pinned: true } : {}),
+    // Registry scan results at install time, for `outdated` deltas
+    ...(skill.securityScore != null || skill.riskLevel
+      ? {
+          installedScores: {
+            securityScore: skill.securityScore ?? null,
+            qualityScore: skill.qualityScore ?? null,
+            riskLevel: skill.riskLevel || null,
+          },
+        }
+      : {}),
+    ...extra,
   };
   await fs.writeFile(metaPath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
 }
@@ -531,6 +1178,24 @@ async function resolveStatus(localSkillDir, skill, remoteExtractedDir) {
     return { code: "not-installed", message: "Not installed yet." };
 
   const meta = await readInstallMeta(localSkillDir);
+
+  // Installed files no longer match what was installed: user edited the skill
+  if (meta?.fingerprint) {
+    const modifiedFiles = changedFiles(meta.fingerprint, await fingerprintDirectory(localSkillDir));
+    if (modifiedFiles.length > 0) {
+      const upstream =
+        meta.installedCommitHash && meta.installedCommitHash === skill.commitHash
+          ? ""
+          : ` Update available (${meta.installedCommitHash || "unknown"} -> ${skill.commitHash || "latest"}).`;
+      return {
+        code: "locally-modified",
+        message: `Local modifications in ${modifiedFiles.length} file(s): ${modifiedFiles.join(", ")}.${upstream}`,
+        modifiedFiles,
+        meta,
+      };
+    }
+  }
+
   if (meta?.installedCommitHash && skill.commitHash) {
     if (meta.installedCommitHash === skill.commitHash) {
       return {
@@ -558,169 +1223,746 @@ async function resolveStatus(localSkillDir, skill, remoteExtractedDir) {
   };
 }
 
-async function installOrUpdate({ skill, tool, baseDir, checkOnly, jsonMode }, args = {}) {
-  await fs.mkdir(baseDir, { recursive: true });
-  if (!skillSupportsTool(skill, tool)) {
-    console.warn(`[warn] ${skill.name} may not support tool "${tool}"`);
+async function installOrUpdate({ skill, tool, baseDir, checkOnly, jsonMode, pin }, args = {}) {
+  const [result] = await installToTargets(
+    { skill, targets: [{ tool, baseDir }], checkOnly, jsonMode, pin },
+    args,
+  );
+  return result;
+}
+
+/**
+ * Install or update one skill into several tool dirs. The download, integrity check
+ * and security scan run once and are shared by every target.
+ * @param {{ skill: Object, targets: { tool: string, baseDir: string }[], checkOnly: boolean, jsonMode: boolean, pin?: Object }} options
+ * @param {Object} [args] - Parsed CLI args (--force, --on-modified, ...)
+ * @returns {Promise<Object[]>} One result per target, in target order
+ */
+async function installToTargets(options, args = {}) {
+  const { skill, targets } = options;
+  const started = performance.now();
+  emit("resolving", { skill: skill.id, name: skill.name, tools: targets.map((target) => target.tool) });
+  try {
+    const results = await installSkillToTargets(options, args);
+    emitInstallResults(skill, results, started);
+    return results;
+  } catch (err) {
+    emit("failed", { skill: skill.id, error: err.message, durationMs: elapsedMs(started) });
+    throw err;
   }
+}
 
-  const localSkillDir = path.join(baseDir, skill.name);
+function emitInstallResults(skill, results, started) {
+  for (const result of results) {
+    const event = result.checkOnly
+      ? "checked"
+      : ["installed", "merged"].includes(result.status)
+        ? "installed"
+        : "skipped";
+    emit(event, {
+      skill: skill.id,
+      tool: result.tool,
+      status: result.status,
+      message: result.message,
+      durationMs: elapsedMs(started),
+    });
+  }
+}
 
-  // Fast path: if local meta has matching commit hash, skip expensive download
-  if (skill.commitHash) {
-    const localMeta = await readInstallMeta(localSkillDir);
-    if (
-      localMeta?.installedCommitHash &&
-      localMeta.installedCommitHash === skill.commitHash
-    ) {
-      const msg = "No updates (commit hash matched).";
-      if (!jsonMode) console.log(`[${skill.name}] ${msg}`);
-      return {
-        skill: shortSkill(skill),
-        tool,
-        baseDir,
-        localSkillDir,
-        status: "up-to-date",
-        message: msg,
-        checkOnly,
-      };
+async function installSkillToTargets(options, args = {}) {
+  const prepared = await prepareSkillInstall(options, args);
+  try {
+    if (prepared.pending.length === 0) return prepared.results;
+    await confirmSkillSecurity(options.skill, prepared.scanResult, options.jsonMode, args);
+    return await applyPreparedInstall(prepared, options, args);
+  } finally {
+    await discardPreparedInstall(prepared);
+  }
+}
+
+/**
+ * Policy checks, download, integrity check and security scan for the targets that
+ * are not up to date. Nothing is written to the install dirs; pass the result to
+ * applyPreparedInstall() and always to discardPreparedInstall().
+ * @returns {Promise<{ results: Object[], pending: number[], tmpBase: string|null,
+ *   sourceUrl?: string, extractedSkillDir?: string, zipSha256?: string, scanResult?: Object }>}
+ */
+async function prepareSkillInstall({ skill, targets, checkOnly, jsonMode, pin }, args = {}) {
+  if (args.force && !activePolicy.allowForce) {
+    throw new Error(`--force is not permitted by policy ${activePolicy.source}`);
+  }
+  const sourceViolations = checkSkillSource(activePolicy, skill);
+  if (sourceViolations.length > 0) throw policyError(activePolicy, skill.name, sourceViolations);
+
+  const results = new Array(targets.length);
+  const pending = [];
+  for (const [idx, { tool, baseDir }] of targets.entries()) {
+    await fs.mkdir(baseDir, { recursive: true });
+    if (!skillSupportsTool(skill, tool)) {
+      console.warn(`[warn] ${skill.name} may not support tool "${tool}"`);
+    }
+
+    const localSkillDir = path.join(baseDir, skill.name);
+
+    // Fast path: if local meta has matching commit hash, skip expensive download
+    if (skill.commitHash) {
+      const localMeta = await readInstallMeta(localSkillDir);
+      if (
+        localMeta?.installedCommitHash &&
+        localMeta.installedCommitHash === skill.commitHash
+      ) {
+        const msg = "No updates (commit hash matched).";
+        if (!jsonMode) console.log(`[${targetLabel(skill, tool, targets)}] ${msg}`);
+        results[idx] = {
+          skill: shortSkill(skill),
+          tool,
+          baseDir,
+          localSkillDir,
+          status: "up-to-date",
+          message: msg,
+          checkOnly,
+        };
+        continue;
+      }
     }
+    pending.push(idx);
   }
+  if (pending.length === 0) return { results, pending, tmpBase: null };
 
   const tmpBase = await fs.mkdtemp(path.join(os.tmpdir(), "skill-market-"));
 
   try {
-    const { sourceUrl, extractedSkillDir } = await extractRemoteSkill(
-      skill,
-      tmpBase,
-    );
+    const { sourceUrl, extractedSkillDir, zipSha256 } = skill.localPath
+      ? await stageLocalSkill(skill, tmpBase)
+      : await extractRemoteSkill(skill, tmpBase);
+
+    // Lockfile pin: a skill zip for the locked commit must be byte-identical (the latest
+    // and commit-addressed zips are the same upload). GitHub zipballs are not comparable
+    // byte for byte, so a fallback download must at least be the locked commit's zipball.
+    const isSkillZip = (url) => Boolean(url) && !url.startsWith("https://api.github.com/");
+    if (pin?.commitHash && !isSkillZip(sourceUrl)) {
+      const lockedZipball = skill.commitHash?.startsWith(pin.commitHash) ? commitZipballUrl(skill) : null;
+      if (sourceUrl !== lockedZipball) {
+        throw codedError(
+          INTEGRITY_ERROR,
+          `Integrity check failed for ${skill.name}: downloaded ${sourceUrl}, not the zipball of locked commit ${pin.commitHash}`,
+        );
+      }
+    } else if (pin?.zipSha256 && pin.source && !pin.source.startsWith("github:") && pin.zipSha256 !== zipSha256) {
+      throw codedError(
+        INTEGRITY_ERROR,
+        `Integrity check failed for ${skill.name}: expected sha256 ${pin.zipSha256}, got ${zipSha256}`,
+      );
+    }
 
-    // Security & Quality Check (NEW)
+    // Security & Quality Check
     let scanResult = null;
-    const force = Boolean(args.force);
-    if (!checkOnly || true) { // Always scan, even for check-only
-      try {
-        scanResult = await scanSkillDirectory(extractedSkillDir, { detailed: true });
-        
-        if (!jsonMode) {
-          // Decide whether to proceed based on risk level
-          const shouldPrompt = force ? false : needsUserConfirmation(scanResult);
-          
-          if (shouldPrompt && process.stdout.isTTY && process.stdin.isTTY) {
-            // Interactive mode: ask user
-            const prompt = formatSecurityPrompt(scanResult, skill.name);
-            console.log(prompt);
-            
-            const rl = readline.createInterface({ input, output });
-            try {
-              const answer = await rl.question("");
-              if (!answer.toLowerCase().startsWith("y")) {
-                throw new Error(`Installation cancelled by user due to security concerns.`);
-              }
-            } finally {
-              rl.close();
-            }
-          } else if (shouldPrompt && !force) {
-            // Non-TTY mode without --force: abort
-            throw new Error(
-              `Security check failed (${scanResult.riskLevel} risk, quality: ${scanResult.qualityScore}/100). Use --force to override.`
-            );
-          } else if (!shouldPrompt) {
-            // Safe to install: show info
-            console.log(formatSecurityInfo(scanResult, skill.name));
-          }
-        }
-      } catch (err) {
-        if (!force) {
-          throw err;
-        }
-        if (!jsonMode) {
-          console.warn(`[warn] Security check skipped due to --force: ${err.message}`);
-        }
+    const scanStarted = performance.now();
+    emit("scanning", { skill: skill.id });
+    try {
+      scanResult = await scanSkillDirectory(extractedSkillDir, { detailed: true, rules: activeRules });
+      emit("scanned", {
+        skill: skill.id,
+        riskLevel: scanResult.riskLevel,
+        securityScore: scanResult.securityScore,
+        qualityScore: scanResult.qualityScore,
+        scanTags: scanResult.scanTags,
+        ...(scanResult.suppressedTags ? { suppressedTags: scanResult.suppressedTags } : {}),
+        durationMs: elapsedMs(scanStarted),
+      });
+    } catch (err) {
+      // Policy limits cannot be checked without a scan, so --force does not help there
+      if (!args.force || requiresScan(activePolicy)) throw err;
+      if (!jsonMode) {
+        console.warn(`[warn] Security check skipped due to --force: ${err.message}`);
       }
     }
 
-    const status = await resolveStatus(localSkillDir, skill, extractedSkillDir);
-    if (!jsonMode) {
-      console.log(`[${skill.name}] ${status.message}`);
+    if (scanResult) {
+      const violations = checkScanResult(activePolicy, scanResult);
+      if (violations.length > 0) throw policyError(activePolicy, skill.name, violations);
     }
 
-    if (checkOnly) {
-      return {
-        skill: shortSkill(skill),
-        tool,
-        baseDir,
-        localSkillDir,
-        status: status.code,
-        message: status.message,
-        checkOnly: true,
-        scanResult, // Include scan result if available
-      };
-    }
-    if (status.code === "up-to-date") {
-      return {
-        skill: shortSkill(skill),
-        tool,
-        baseDir,
-        localSkillDir,
-        status: status.code,
-        message: status.message,
-        checkOnly: false,
-        scanResult,
-      };
+    return { results, pending, tmpBase, sourceUrl, extractedSkillDir, zipSha256, scanResult };
+  } catch (err) {
+    await fs.rm(tmpBase, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+async function discardPreparedInstall(prepared) {
+  if (prepared?.tmpBase) await fs.rm(prepared.tmpBase, { recursive: true, force: true });
+}
+
+function needsSecurityPrompt(scanResult, args) {
+  return Boolean(scanResult) && !args.force && needsConfirmation(activePolicy, scanResult);
+}
+
+async function confirmSkillSecurity(skill, rawScanResult, jsonMode, args) {
+  if (!rawScanResult) return;
+  const shouldPrompt = needsSecurityPrompt(rawScanResult, args);
+  // Scores and suppressions as the install gate counts them
+  const scanResult = effectiveScan(activePolicy, rawScanResult);
+  if (jsonMode) {
+    // JSON output never prompts; tell event consumers that a TTY run would have asked
+    if (shouldPrompt) {
+      emit("prompting", { skill: skill.id, prompt: "security", interactive: false, decision: "proceed" });
     }
-    if (status.code === "up-to-date-legacy") {
-      // Legacy installs get migrated to commit-based tracking without forcing file rewrite.
-      await writeInstallMeta(localSkillDir, skill, tool, sourceUrl);
-      if (!jsonMode) {
-        console.log(
-          `[${skill.name}] Metadata written for commit-hash tracking.`,
-        );
+    return;
+  }
+
+  if (shouldPrompt && process.stdout.isTTY && process.stdin.isTTY) {
+    // Interactive mode: ask user
+    console.log(formatSecurityPrompt(scanResult, skill.name));
+    if (!(await askYesNo(""))) {
+      throw new Error(`Installation cancelled by user due to security concerns.`);
+    }
+  } else if (shouldPrompt) {
+    // Non-TTY mode without --force: abort
+    const hint = activePolicy.allowForce ? " Use --force to override." : "";
+    const suppressed = scanResult.suppressedTags
+      ? `; suppressed by the skill: ${scanResult.suppressedTags.join(", ")}`
+      : "";
+    throw new Error(
+      `Security check failed (${scanResult.riskLevel} risk, quality: ${scanResult.qualityScore}/100${suppressed}).${hint}`
+    );
+  } else {
+    // Safe to install: show info
+    console.log(formatSecurityInfo(scanResult, skill.name));
+  }
+}
+
+async function askYesNo(question) {
+  const rl = readline.createInterface({ input, output });
+  try {
+    const answer = await rl.question(question);
+    return answer.toLowerCase().startsWith("y");
+  } finally {
+    rl.close();
+  }
+}
+
+async function applyPreparedInstall(prepared, { skill, targets, checkOnly, jsonMode }, args = {}) {
+  const { results, pending, tmpBase, extractedSkillDir, sourceUrl, zipSha256, scanResult } = prepared;
+  const upstreamFingerprint = await fingerprintDirectory(extractedSkillDir);
+  for (const idx of pending) {
+    const targetTmp = path.join(tmpBase, `target-${idx}`);
+    await fs.mkdir(targetTmp, { recursive: true });
+    results[idx] = await applyToTarget({
+      skill,
+      ...targets[idx],
+      label: targetLabel(skill, targets[idx].tool, targets),
+      checkOnly,
+      jsonMode,
+      tmpBase: targetTmp,
+      extractedSkillDir,
+      sourceUrl,
+      zipSha256,
+      upstreamFingerprint,
+      scanResult,
+    }, args);
+  }
+  return results;
+}
+
+/**
+ * Results for a skill that failed in update --all, one per target.
+ */
+function failedResults(skill, targets, err, { checkOnly, jsonMode }) {
+  return targets.map(({ tool, baseDir }) => {
+    if (!jsonMode) console.error(`[${targetLabel(skill, tool, targets)}] Update failed: ${err.message}`);
+    return {
+      skill: shortSkill(skill),
+      tool,
+      baseDir,
+      localSkillDir: path.join(baseDir, skill.name),
+      status: "failed",
+      message: err.message,
+      checkOnly,
+    };
+  });
+}
+
+/**
+ * update --all: download, extract and scan up to --concurrency skills at a time, then
+ * ask one summary question for every skill that needs security confirmation and
+ * apply the updates one skill at a time. A skill that fails is reported with status
+ * "failed" and the others are still applied.
+ * @param {{ skill: Object, targets: Object[] }[]} jobs
+ * @returns {Promise<Object[]>} Results in job order
+ */
+async function installSkillsInParallel(jobs, { checkOnly, jsonMode, concurrency }, args = {}) {
+  const prepared = new Array(jobs.length);
+  try {
+    await mapWithConcurrency(jobs, concurrency, async ({ skill, targets }, idx) => {
+      const started = performance.now();
+      emit("resolving", { skill: skill.id, name: skill.name, tools: targets.map((target) => target.tool) });
+      try {
+        prepared[idx] = {
+          started,
+          ...(await prepareSkillInstall({ skill, targets, checkOnly, jsonMode }, args)),
+        };
+      } catch (err) {
+        emit("failed", { skill: skill.id, error: err.message, durationMs: elapsedMs(started) });
+        prepared[idx] = { started, error: err };
       }
-      return {
-        skill: shortSkill(skill),
-        tool,
-        baseDir,
-        localSkillDir,
-        status: status.code,
-        message: status.message,
-        checkOnly: false,
-        metadataMigrated: true,
-        scanResult,
-      };
+    });
+
+    const flagged = [];
+    for (const [idx, { skill }] of jobs.entries()) {
+      const { pending, scanResult, error } = prepared[idx];
+      if (!error && pending.length > 0 && needsSecurityPrompt(scanResult, args)) {
+        flagged.push({ skill, scanResult: effectiveScan(activePolicy, scanResult) });
+      }
+    }
+    const declined = await confirmBatchSecurity(flagged, jsonMode);
+
+    const results = [];
+    for (const [idx, { skill, targets }] of jobs.entries()) {
+      const entry = prepared[idx];
+      if (entry.error) {
+        results.push(...failedResults(skill, targets, entry.error, { checkOnly, jsonMode }));
+        continue;
+      }
+      let skillResults;
+      try {
+        if (entry.pending.length === 0) {
+          skillResults = entry.results;
+        } else if (declined.has(skill.id)) {
+          skillResults = entry.results;
+          for (const targetIdx of entry.pending) {
+            const message = "Update declined after security review.";
+            if (!jsonMode) console.log(`[${targetLabel(skill, targets[targetIdx].tool, targets)}] ${message}`);
+            skillResults[targetIdx] = {
+              skill: shortSkill(skill),
+              tool: targets[targetIdx].tool,
+              baseDir: targets[targetIdx].baseDir,
+              localSkillDir: path.join(targets[targetIdx].baseDir, skill.name),
+              status: "declined",
+              message,
+              checkOnly,
+            };
+          }
+        } else {
+          if (entry.scanResult && !jsonMode && !flagged.some((item) => item.skill === skill)) {
+            console.log(formatSecurityInfo(effectiveScan(activePolicy, entry.scanResult), skill.name));
+          }
+          skillResults = await applyPreparedInstall(entry, { skill, targets, checkOnly, jsonMode }, args);
+        }
+      } catch (err) {
+        emit("failed", { skill: skill.id, error: err.message, durationMs: elapsedMs(entry.started) });
+        results.push(...failedResults(skill, targets, err, { checkOnly, jsonMode }));
+        continue;
+      }
+      emitInstallResults(skill, skillResults, entry.started);
+      results.push(...skillResults);
+    }
+    return results;
+  } finally {
+    for (const entry of prepared) await discardPreparedInstall(entry);
+  }
+}
+
+/**
+ * One confirmation for all skills whose scan needs it (instead of one prompt per skill).
+ * @param {{ skill: Object, scanResult: Object }[]} flagged
+ * @param {boolean} jsonMode
+ * @returns {Promise<Set<string>>} Ids of the skills not to update
+ */
+async function confirmBatchSecurity(flagged, jsonMode) {
+  if (flagged.length === 0) return new Set();
+  if (jsonMode) {
+    for (const { skill } of flagged) {
+      emit("prompting", { skill: skill.id, prompt: "security", interactive: false, decision: "proceed" });
     }
+    return new Set();
+  }
+  if (!process.stdout.isTTY || !process.stdin.isTTY) {
+    const hint = activePolicy.allowForce ? " Use --force to override." : "";
+    const names = flagged
+      .map(({ skill, scanResult }) => `${skill.name} (${scanResult.riskLevel} risk, quality: ${scanResult.qualityScore}/100)`)
+      .join(", ");
+    throw new Error(`Security check failed for ${names}.${hint}`);
+  }
+  console.log(formatBatchSecurityPrompt(flagged));
+  if (await askYesNo("")) return new Set();
+  return new Set(flagged.map(({ skill }) => skill.id));
+}
 
-    await ensureEmptyDir(localSkillDir);
-    await fs.cp(extractedSkillDir, localSkillDir, { recursive: true });
-    await writeInstallMeta(localSkillDir, skill, tool, sourceUrl);
+const DIFFABLE_STATUSES = ["update-available", "update-available-legacy", "locally-modified"];
+
+async function readIfExists(file) {
+  try {
+    return await fs.readFile(file);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compare an installed skill with the freshly extracted upstream version: unified
+ * diff per file, SKILL.md frontmatter changes and the scan tag / risk level change.
+ * @returns {Promise<{ files: Object[], frontmatter: Object[], scan: Object }>}
+ */
+async function reviewUpstreamChanges(localSkillDir, extractedSkillDir, scanResult) {
+  const before = await fingerprintDirectory(localSkillDir);
+  const after = await fingerprintDirectory(extractedSkillDir);
+  const files = [];
+  for (const rel of changedFiles(before, after)) {
+    const oldContent = await readIfExists(path.join(localSkillDir, rel));
+    const newContent = await readIfExists(path.join(extractedSkillDir, rel));
+    const change = !oldContent ? "added" : !newContent ? "removed" : "modified";
+    const binary = [oldContent, newContent].some((buf) => buf?.includes(0));
+    files.push({
+      file: rel,
+      change,
+      diff: binary
+        ? `Binary file ${rel} ${change}\n`
+        : unifiedDiff(String(oldContent ?? ""), String(newContent ?? ""), {
+            oldLabel: oldContent ? `a/${rel}` : "/dev/null",
+            newLabel: newContent ? `b/${rel}` : "/dev/null",
+          }),
+    });
+  }
+
+  const frontmatter = diffFrontmatter(
+    String((await readIfExists(path.join(localSkillDir, SKILL_FILENAME))) ?? ""),
+    String((await readIfExists(path.join(extractedSkillDir, SKILL_FILENAME))) ?? ""),
+  );
+
+  let installedScan = null;
+  try {
+    installedScan = await scanSkillDirectory(localSkillDir, { detailed: true, rules: activeRules });
+  } catch {
+    // Scan of the installed copy is best-effort; the upstream scan already ran
+  }
+  const beforeTags = installedScan?.scanTags || [];
+  const afterTags = scanResult?.scanTags || [];
+  const scan = {
+    riskLevel: { from: installedScan?.riskLevel || null, to: scanResult?.riskLevel || null },
+    addedTags: afterTags.filter((tag) => !beforeTags.includes(tag)),
+    removedTags: beforeTags.filter((tag) => !afterTags.includes(tag)),
+  };
+  return { files, frontmatter, scan };
+}
+
+/**
+ * After --diff, ask whether to apply the update (TTY only; --yes applies without asking).
+ * @returns {Promise<boolean>}
+ */
+async function confirmUpdateAfterReview(review, args, jsonMode) {
+  if (review.files.length === 0) return true;
+  if (jsonMode || args.yes || !process.stdout.isTTY || !process.stdin.isTTY) return true;
+  const rl = readline.createInterface({ input, output });
+  try {
+    return (await rl.question("Apply this update? (y/n) ")).trim().toLowerCase().startsWith("y");
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Log label for a target: the skill name, plus the tool when installing into several tools.
+ */
+function targetLabel(skill, tool, targets) {
+  return targets.length > 1 ? `${skill.name}:${tool}` : skill.name;
+}
+
+/**
+ * Write an already downloaded and scanned skill into one tool install dir.
+ * @private
+ */
+async function applyToTarget(
+  {
+    skill,
+    tool,
+    baseDir,
+    label,
+    checkOnly,
+    jsonMode,
+    tmpBase,
+    extractedSkillDir,
+    sourceUrl,
+    zipSha256,
+    upstreamFingerprint,
+    scanResult,
+  },
+  args,
+) {
+  const localSkillDir = path.join(baseDir, skill.name);
+  const status = await resolveStatus(localSkillDir, skill, extractedSkillDir);
+  if (!jsonMode) {
+    console.log(`[${label}] ${status.message}`);
+  }
+
+  // --diff: show what the update would change before anything is written
+  const review = args.diff && DIFFABLE_STATUSES.includes(status.code)
+    ? await reviewUpstreamChanges(localSkillDir, extractedSkillDir, scanResult)
+    : null;
+  if (review && !jsonMode) console.log(formatUpstreamReview(label, review));
+
+  if (checkOnly) {
+    return {
+      skill: shortSkill(skill),
+      tool,
+      baseDir,
+      localSkillDir,
+      status: status.code,
+      message: status.message,
+      ...(status.modifiedFiles ? { modifiedFiles: status.modifiedFiles } : {}),
+      ...(review ? { review } : {}),
+      checkOnly: true,
+      scanResult, // Include scan result if available
+    };
+  }
+  const applyReviewed = review ? await confirmUpdateAfterReview(review, args, jsonMode) : true;
+  if (review) {
+    emit("prompting", {
+      skill: skill.id,
+      tool,
+      prompt: "apply-update",
+      interactive: false,
+      decision: applyReviewed ? "apply" : "decline",
+    });
+  }
+  if (!applyReviewed) {
+    const message = "Update declined after reviewing the diff.";
+    if (!jsonMode) console.log(`[${label}] ${message}`);
+    return {
+      skill: shortSkill(skill),
+      tool,
+      baseDir,
+      localSkillDir,
+      status: "declined",
+      message,
+      review,
+      checkOnly: false,
+      scanResult,
+    };
+  }
+  if (status.code === "up-to-date") {
+    return {
+      skill: shortSkill(skill),
+      tool,
+      baseDir,
+      localSkillDir,
+      status: status.code,
+      message: status.message,
+      checkOnly: false,
+      scanResult,
+    };
+  }
+  if (status.code === "up-to-date-legacy") {
+    // Legacy installs get migrated to commit-based tracking without forcing file rewrite.
+    await writeInstallMeta(localSkillDir, skill, tool, sourceUrl, {
+      zipSha256,
+      fingerprint: upstreamFingerprint,
+    });
     if (!jsonMode) {
-      console.log(`[${skill.name}] Installed to ${localSkillDir}`);
+      console.log(
+        `[${label}] Metadata written for commit-hash tracking.`,
+      );
     }
     return {
       skill: shortSkill(skill),
       tool,
       baseDir,
       localSkillDir,
-      status: "installed",
-      message: `Installed to ${localSkillDir}`,
+      status: status.code,
+      message: status.message,
       checkOnly: false,
+      metadataMigrated: true,
       sourceUrl,
+      zipSha256,
       scanResult,
     };
+  }
+
+  let sourceDir = extractedSkillDir;
+  let conflicts = null;
+  if (status.code === "locally-modified") {
+    const action = await chooseModifiedAction(label, status, args, jsonMode);
+    emit("prompting", { skill: skill.id, tool, prompt: "locally-modified", interactive: false, decision: action });
+    if (action === "keep") {
+      const message = "Kept local modifications; not updated.";
+      if (!jsonMode) console.log(`[${label}] ${message}`);
+      return {
+        skill: shortSkill(skill),
+        tool,
+        baseDir,
+        localSkillDir,
+        status: status.code,
+        message,
+        modifiedFiles: status.modifiedFiles,
+        checkOnly: false,
+        scanResult,
+      };
+    }
+    if (action === "merge") {
+      ({ mergedDir: sourceDir, conflicts } = await mergeLocalChanges({
+        skill,
+        meta: status.meta,
+        localSkillDir,
+        extractedSkillDir,
+        tmpBase,
+      }));
+      if (conflicts.length > 0) {
+        // Conflict markers would break the skill for the agent; leave the install as it is
+        process.exitCode = 1;
+        const message =
+          `Merge conflicts in ${conflicts.length} file(s); the installed version was left unchanged ` +
+          "(--on-modified overwrite takes upstream and saves your copy to install history).";
+        if (!jsonMode) {
+          console.error(`[${label}] ${message}`);
+          for (const conflict of conflicts) console.error(`  ! ${conflict.file}: ${conflict.reason}`);
+        }
+        return {
+          skill: shortSkill(skill),
+          tool,
+          baseDir,
+          localSkillDir,
+          status: "conflict",
+          message,
+          conflicts,
+          modifiedFiles: status.modifiedFiles,
+          checkOnly: false,
+          scanResult,
+        };
+      }
+    }
+  }
+
+  // Keep the previous install so it can be restored with `rollback`
+  const historyDir = await saveToHistory(localSkillDir, baseDir, skill.name);
+  if (historyDir && !jsonMode) {
+    console.log(`[${label}] Previous version saved (restore with: skill-market rollback ${skill.name} --tool ${tool})`);
+  }
+  await ensureEmptyDir(localSkillDir);
+  await fs.cp(sourceDir, localSkillDir, { recursive: true });
+  // Fingerprint is always the pristine upstream version, so kept local edits stay detectable
+  await writeInstallMeta(localSkillDir, skill, tool, sourceUrl, {
+    zipSha256,
+    fingerprint: upstreamFingerprint,
+  });
+  const merged = conflicts !== null;
+  const message = merged ? `Merged local modifications into ${localSkillDir}` : `Installed to ${localSkillDir}`;
+  if (!jsonMode) console.log(`[${label}] ${message}`);
+  return {
+    skill: shortSkill(skill),
+    tool,
+    baseDir,
+    localSkillDir,
+    status: merged ? "merged" : "installed",
+    message,
+    checkOnly: false,
+    sourceUrl,
+    zipSha256,
+    historyDir,
+    ...(review ? { review } : {}),
+    scanResult,
+  };
+}
+
+/**
+ * Decide what to do with a locally modified install: --on-modified wins, otherwise
+ * ask in a TTY; non-interactive runs keep local edits.
+ * @returns {Promise<"keep"|"overwrite"|"merge">}
+ */
+async function chooseModifiedAction(skillName, status, args, jsonMode) {
+  const flag = args["on-modified"];
+  if (flag !== undefined) {
+    if (!["keep", "overwrite", "merge"].includes(flag)) {
+      throw new Error(`Invalid --on-modified value: ${flag} (use keep, overwrite or merge)`);
+    }
+    return flag;
+  }
+  if (jsonMode || !process.stdout.isTTY || !process.stdin.isTTY) return "keep";
+
+  console.log(formatModifiedPrompt(skillName, status.modifiedFiles));
+  const rl = readline.createInterface({ input, output });
+  try {
+    const answer = (await rl.question("")).trim().toLowerCase();
+    if (answer.startsWith("o")) return "overwrite";
+    if (answer.startsWith("m")) return "merge";
+    return "keep";
   } finally {
-    await fs.rm(tmpBase, { recursive: true, force: true });
+    rl.close();
   }
 }
 
 /**
- * Determine if scan result needs user confirmation before install
- * @private
+ * Three-way merge of local edits onto the new upstream version. The base is the
+ * upstream version that was installed (fetched by its commit hash). The merged copy
+ * is only usable when there are no conflicts.
+ * @returns {Promise<{ mergedDir: string, conflicts: { file: string, reason: string }[] }>}
  */
-function needsUserConfirmation(scanResult) {
-  // Need confirmation if: High/Critical risk OR low quality
-  if (["high", "critical"].includes(scanResult.riskLevel)) return true;
-  if ((scanResult.qualityScore ?? 100) < 60) return true;
-  return false;
+async function mergeLocalChanges({ skill, meta, localSkillDir, extractedSkillDir, tmpBase }) {
+  if (!meta.installedCommitHash) {
+    throw new Error(`Cannot merge ${skill.name}: installed commit is unknown. Use --on-modified keep or overwrite.`);
+  }
+  const baseTmp = path.join(tmpBase, "base");
+  await fs.mkdir(baseTmp, { recursive: true });
+  let baseSkillDir;
+  try {
+    ({ extractedSkillDir: baseSkillDir } = await extractRemoteSkill(
+      pinSkillToCommit(skill, meta.installedCommitHash),
+      baseTmp,
+    ));
+  } catch (err) {
+    throw new Error(
+      `Cannot merge ${skill.name}: installed version ${meta.installedCommitHash} is unavailable (${err.message}). Use --on-modified keep or overwrite.`,
+    );
+  }
+
+  const mergedDir = path.join(tmpBase, "merged");
+  await fs.cp(extractedSkillDir, mergedDir, { recursive: true });
+
+  const baseFp = meta.fingerprint;
+  const localFp = await fingerprintDirectory(localSkillDir);
+  const upFp = await fingerprintDirectory(extractedSkillDir);
+  const readOrEmpty = (file) => fs.readFile(file).catch(() => Buffer.alloc(0));
+  const conflicts = [];
+
+  for (const rel of new Set([...Object.keys(baseFp), ...Object.keys(localFp), ...Object.keys(upFp)])) {
+    const base = baseFp[rel];
+    const local = localFp[rel];
+    const upstream = upFp[rel];
+    // Untouched locally, or edited to match upstream: upstream copy is already in place
+    if (local === base || local === upstream) continue;
+
+    const target = path.join(mergedDir, rel);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    if (upstream === base) {
+      // Only changed locally (edited, added or deleted)
+      if (local === undefined) await fs.rm(target, { force: true });
+      else await fs.copyFile(path.join(localSkillDir, rel), target);
+      continue;
+    }
+    if (local === undefined) {
+      conflicts.push({ file: rel, reason: "deleted locally, changed upstream" });
+      continue;
+    }
+
+    const localBuf = await fs.readFile(path.join(localSkillDir, rel));
+    const upBuf = await readOrEmpty(path.join(extractedSkillDir, rel));
+    const baseBuf = await readOrEmpty(path.join(baseSkillDir, rel));
+    if ([localBuf, upBuf, baseBuf].some((buf) => buf.includes(0))) {
+      conflicts.push({ file: rel, reason: "binary file changed on both sides" });
+      continue;
+    }
+    const merged = mergeThreeWay(
+      baseBuf.toString("utf8"),
+      localBuf.toString("utf8"),
+      upBuf.toString("utf8"),
+      { localLabel: "local", upstreamLabel: `upstream ${skill.commitHash || ""}`.trim() },
+    );
+    await fs.writeFile(target, merged.text);
+    if (merged.conflicts > 0) {
+      conflicts.push({ file: rel, reason: `${merged.conflicts} conflicting region(s)` });
+    }
+  }
+
+  return { mergedDir, conflicts };
 }
 
 function selectSkillsForList(allSkills, repositories, tool) {
@@ -734,6 +1976,10 @@ async function runList(registry, args) {
   const jsonMode = Boolean(args.json);
   const tool = args.tool ? normalizeTool(args.tool) : "";
   if (args.tool && !tool) throw new Error(`Unsupported tool: ${args.tool}`);
+  if (args.installed) {
+    await runListInstalled(registry, args, tool || "cursor");
+    return;
+  }
   const limit = resolveLimit(args, 100);
   const rows = selectSkillsForList(
     registry.allSkills,
@@ -760,29 +2006,82 @@ async function runList(registry, args) {
   console.log(`Total shown: ${rows.length}`);
 }
 
+/**
+ * List skills installed for a tool, in user and/or project scope.
+ */
+async function runListInstalled(registry, args, tool) {
+  const jsonMode = Boolean(args.json);
+  const expanded = registry.allSkills.map((item) =>
+    expandSkill(item, registry.repositories),
+  );
+  const rows = [];
+  for (const { scope, baseDir } of await installedLocations(tool, args)) {
+    for (const skill of await findInstalledSkills(baseDir, expanded)) {
+      const meta = await readInstallMeta(path.join(baseDir, skill.name));
+      rows.push({
+        ...shortSkill(skill),
+        scope,
+        path: path.join(baseDir, skill.name),
+        installedCommitHash: meta?.installedCommitHash || null,
+      });
+    }
+  }
+  if (printAsJson({ command: "list", installed: true, tool, count: rows.length, skills: rows }, jsonMode)) {
+    return;
+  }
+  for (const row of rows) {
+    console.log(`${row.name}  [${row.id}]  ${row.scope}  ${row.path}`);
+  }
+  console.log(`Total installed: ${rows.length}`);
+}
+
+/**
+ * Parse search filters and sort order from --category, --tag, --min-quality,
+ * --max-risk and --sort.
+ */
+function resolveSearchOptions(args) {
+  const filters = {};
+  if (args.category) filters.category = String(args.category);
+  if (args.tag) {
+    filters.tags = String(args.tag).split(",").map((tag) => tag.trim()).filter(Boolean);
+  }
+  if (args["min-quality"] !== undefined) {
+    const minQuality = Number(args["min-quality"]);
+    if (!Number.isFinite(minQuality) || minQuality < 0 || minQuality > 100) {
+      throw new Error(`Invalid --min-quality value: ${args["min-quality"]} (expected 0-100)`);
+    }
+    filters.minQuality = minQuality;
+  }
+  if (args["max-risk"]) {
+    const maxRisk = String(args["max-risk"]).toLowerCase();
+    if (!RISK_LEVELS.includes(maxRisk)) {
+      throw new Error(`Invalid --max-risk value: ${args["max-risk"]} (expected ${RISK_LEVELS.join("|")})`);
+    }
+    filters.maxRisk = maxRisk;
+  }
+  const sort = String(args.sort || "relevance").toLowerCase();
+  if (!SORT_KEYS.includes(sort)) {
+    throw new Error(`Invalid --sort value: ${args.sort} (expected ${SORT_KEYS.join("|")})`);
+  }
+  return { filters, sort };
+}
+
 async function runSearch(registry, args) {
   const jsonMode = Boolean(args.json);
-  const keyword = args._[1];
-  if (!keyword) throw new Error("Usage: search <keyword>");
+  const keyword = String(args._[1] || "").trim();
+  const { filters, sort } = resolveSearchOptions(args);
+  if (!keyword && Object.keys(filters).length === 0) {
+    throw new Error("Usage: search <keyword> [--category <name>] [--tag <tag>] [--min-quality <n>] [--max-risk <level>] [--sort <key>]");
+  }
+  if (keyword && tokenize(keyword).length === 0) {
+    throw new Error(`Nothing to search for in "${keyword}": use letters or digits`);
+  }
   const limit = resolveLimit(args, 50);
-  const q = keyword.toLowerCase();
-  const rows = registry.allSkills
-    .map((skill) => expandSkill(skill, registry.repositories))
-    .filter(
-      (skill) =>
-        skill.name.toLowerCase().includes(q) ||
-        skill.id.toLowerCase().includes(q) ||
-        skill.description?.toLowerCase().includes(q),
-    )
-    .sort((a, b) => b.stars - a.stars || a.name.localeCompare(b.name))
-    .slice(0, limit);
-  if (rows.length === 0) {
-    if (
-      !printAsJson(
-        { command: "search", keyword, limit, count: 0, skills: [] },
-        jsonMode,
-      )
-    ) {
+  const expanded = registry.allSkills.map((skill) => expandSkill(skill, registry.repositories));
+  const ranked = searchSkills(expanded, keyword, { filters, sort }).slice(0, limit);
+  const summary = { command: "search", keyword, filters, sort, limit };
+  if (ranked.length === 0) {
+    if (!printAsJson({ ...summary, count: 0, skills: [] }, jsonMode)) {
       console.log("No skills matched.");
     }
     return;
@@ -790,45 +2089,118 @@ async function runSearch(registry, args) {
   if (
     printAsJson(
       {
-        command: "search",
-        keyword,
-        limit,
-        count: rows.length,
-        skills: rows.map(shortSkill),
+        ...summary,
+        count: ranked.length,
+        skills: ranked.map(({ skill, score }) => ({
+          ...shortSkill(skill),
+          score: Number(score.toFixed(3)),
+          riskLevel: skill.riskLevel || null,
+          qualityScore: skill.qualityScore ?? null,
+        })),
       },
       jsonMode,
     )
   ) {
     return;
   }
-  for (const skill of rows) {
+  for (const { skill } of ranked) {
     console.log(`${skill.name}  [${skill.id}]  stars:${skill.stars}`);
   }
 }
 
+/**
+ * Read SKILL.md out of a skill's zip for the browse preview pane.
+ */
+async function loadSkillMdPreview(skill) {
+  if (!skill.skillZipUrl) throw new Error("no skill zip in registry");
+  const zipBuffer = await fetchBuffer(skill.skillZipUrl, skill.zipSha256);
+  const zipSha256 = crypto.createHash("sha256").update(zipBuffer).digest("hex");
+  verifyZipDigest(skill, zipBuffer, zipSha256);
+  const entry = new AdmZip(zipBuffer)
+    .getEntries()
+    .filter((item) => !item.isDirectory && path.posix.basename(item.entryName) === SKILL_FILENAME)
+    .sort((a, b) => a.entryName.split("/").length - b.entryName.split("/").length)[0];
+  if (!entry) throw new Error(`${SKILL_FILENAME} not found in archive`);
+  return entry.getData().toString("utf8");
+}
+
+async function runBrowse(registry, args) {
+  const tool = normalizeTool(args.tool || "cursor");
+  if (!tool) throw new Error(`Unsupported tool: ${args.tool}`);
+  const skills = selectSkillsForList(registry.allSkills, registry.repositories, "");
+  // Install/remove run the regular commands, so prompts and security checks still apply
+  const commandArgs = (command, skill, selectedTool) => ({
+    ...args,
+    json: false,
+    _: [command, skill.id],
+    tool: selectedTool,
+  });
+
+  await browse(skills, {
+    tools: TOOL_KEYS,
+    initialTool: tool,
+    supportsTool: skillSupportsTool,
+    installedIds: async (selectedTool) => {
+      const baseDir = await resolveInstallBase(selectedTool, args);
+      const installed = await findInstalledSkills(baseDir, skills);
+      return new Set(installed.map((skill) => skill.id));
+    },
+    loadSkillMd: loadSkillMdPreview,
+    install: (skill, selectedTool) =>
+      runInstall(registry, commandArgs("install", skill, selectedTool), "install"),
+    remove: (skill, selectedTool) =>
+      runRemove(registry, commandArgs("remove", skill, selectedTool)),
+  });
+}
+
 async function runInstall(registry, args, mode = "install") {
   const jsonMode = Boolean(args.json);
-  const selector = args._[1] || (args.all ? "--all" : "");
+  const { selector, commitHash: pinnedCommit } = parsePinnedSelector(
+    args._[1] || (args.all ? "--all" : ""),
+  );
   if (!selector) {
     throw new Error(`${mode} requires <skill-id-or-name>`);
   }
 
-  const tool = normalizeTool(args.tool || "cursor");
-  if (!tool) throw new Error(`Unsupported tool: ${args.tool}`);
-  const baseDir = args.dir ? path.resolve(args.dir) : defaultInstallBase(tool);
+  const scope = resolveScope(args.scope);
+  const tools = await resolveTools(args.tool, scope);
+  if (args.dir && tools.length > 1) {
+    throw new Error("--dir cannot be combined with multiple tools");
+  }
+  const targets = [];
+  for (const tool of tools) {
+    targets.push({ tool, baseDir: await resolveInstallBase(tool, args) });
+  }
+  // Single-tool JSON output keeps its original shape
+  const targetInfo =
+    targets.length === 1
+      ? { tool: targets[0].tool, baseDir: targets[0].baseDir }
+      : { tools, targets };
 
   const expanded = registry.allSkills.map((item) =>
     expandSkill(item, registry.repositories),
   );
   if (selector === "--all") {
     if (mode !== "update") throw new Error("--all is only valid for update");
-
-    // Only update skills that are already installed locally
-    const installedSkills = await findInstalledSkills(baseDir, expanded);
-    if (installedSkills.length === 0) {
+    const concurrency = resolveConcurrency(args);
+
+    // Only update skills that are already installed locally; group targets per skill
+    // so each skill is downloaded and scanned once
+    const bySkill = new Map();
+    for (const target of targets) {
+      const installed = [
+        ...(await findInstalledSkills(target.baseDir, expanded)),
+        ...(await findSourceInstalls(target.baseDir, jsonMode)),
+      ];
+      for (const skill of installed) {
+        if (!bySkill.has(skill.id)) bySkill.set(skill.id, { skill, targets: [] });
+        bySkill.get(skill.id).targets.push(target);
+      }
+    }
+    if (bySkill.size === 0) {
       if (jsonMode) {
         printAsJson(
-          { command: mode, selector, tool, baseDir, count: 0, results: [] },
+          { command: mode, selector, ...targetInfo, count: 0, results: [] },
           true,
         );
       } else {
@@ -838,28 +2210,56 @@ async function runInstall(registry, args, mode = "install") {
     }
     if (!jsonMode) {
       console.log(
-        `Found ${installedSkills.length} installed skill(s). Checking for updates...`,
+        `Found ${bySkill.size} installed skill(s). Checking for updates...`,
       );
     }
+    emit("planned", { command: mode, count: bySkill.size, skills: [...bySkill.keys()] });
 
     const results = [];
-    for (const skill of installedSkills) {
-      const result = await installOrUpdate({
-        skill,
-        tool,
-        baseDir,
+    const jobs = [];
+    for (const { skill, targets: skillTargets } of bySkill.values()) {
+      // Installs pinned to a commit are only changed by an explicit install/update
+      const unpinned = [];
+      for (const target of skillTargets) {
+        const localSkillDir = path.join(target.baseDir, skill.name);
+        const meta = await readInstallMeta(localSkillDir);
+        if (!meta?.pinned) {
+          unpinned.push(target);
+          continue;
+        }
+        const message = `Pinned at ${meta.installedCommitHash}; skipped.`;
+        if (!jsonMode) console.log(`[${targetLabel(skill, target.tool, skillTargets)}] ${message}`);
+        emit("skipped", { skill: skill.id, tool: target.tool, status: "pinned", message });
+        results.push({
+          skill: shortSkill(skill),
+          tool: target.tool,
+          baseDir: target.baseDir,
+          localSkillDir,
+          status: "pinned",
+          message,
+          checkOnly: Boolean(args.check),
+        });
+      }
+      if (unpinned.length > 0) jobs.push({ skill, targets: unpinned });
+    }
+    results.push(
+      ...(await installSkillsInParallel(jobs, {
         checkOnly: Boolean(args.check),
         jsonMode,
-      }, args);
-      results.push(result);
+        concurrency,
+      }, args)),
+    );
+    const failed = new Set(results.filter((item) => item.status === "failed").map((item) => item.skill.id));
+    if (failed.size > 0) {
+      process.exitCode = 1;
+      if (!jsonMode) console.error(`${failed.size} skill(s) failed.`);
     }
     if (jsonMode) {
       printAsJson(
         {
           command: mode,
           selector,
-          tool,
-          baseDir,
+          ...targetInfo,
           count: results.length,
           results,
         },
@@ -869,21 +2269,53 @@ async function runInstall(registry, args, mode = "install") {
     return;
   }
 
-  const match = getSkillMatches(expanded, selector);
-  let skill = match.selected;
-  if (!skill && match.matches.length > 1) {
-    if (args.yes) {
-      skill = match.matches[0];
-    } else {
-      skill = await chooseSkillInteractively(selector, match.matches, jsonMode);
+  // github:owner/repo/path, GitHub URLs, ./local-dir or ./skill.zip bypass the registry
+  const source = parseSkillSource(args._[1]);
+  let skill = source ? await resolveSourceSkill(source) : null;
+  if (!skill) {
+    const match = getSkillMatches(expanded, selector);
+    skill = match.selected;
+    if (!skill && match.matches.length > 0) {
+      if (args.yes) {
+        skill = match.matches[0];
+      } else {
+        skill = await chooseSkillInteractively(selector, match.matches, jsonMode);
+      }
     }
+    if (!skill) throw new Error(`Skill not found: ${selector}`);
+    if (pinnedCommit) skill = pinSkillToCommit(skill, pinnedCommit);
+  }
+
+  // Dependencies come first; ones already present in a target are left as they are
+  const plan =
+    args["no-deps"] || source ? [] : buildInstallPlan(skill, expanded).slice(0, -1);
+  for (const step of plan) {
+    step.targets = [];
+    for (const target of targets) {
+      if (!(await pathExists(path.join(target.baseDir, step.skill.name)))) step.targets.push(target);
+    }
+  }
+  const needsInstall = plan.some((step) => step.targets.length > 0);
+  if (needsInstall && !(await confirmInstallPlan(skill, plan, args, jsonMode))) {
+    if (!jsonMode) console.log("Installation cancelled.");
+    return;
+  }
+  const dependencies = [];
+  for (const step of plan) {
+    if (step.targets.length === 0) continue;
+    dependencies.push(
+      ...(await installToTargets({
+        skill: step.skill,
+        targets: step.targets,
+        checkOnly: Boolean(args.check),
+        jsonMode,
+      }, args)),
+    );
   }
-  if (!skill) throw new Error(`Skill not found: ${selector}`);
 
-  const result = await installOrUpdate({
+  const results = await installToTargets({
     skill,
-    tool,
-    baseDir,
+    targets,
     checkOnly: Boolean(args.check),
     jsonMode,
   }, args);
@@ -891,42 +2323,367 @@ async function runInstall(registry, args, mode = "install") {
     {
       command: mode,
       selector,
-      tool,
-      baseDir,
-      result,
+      ...targetInfo,
+      ...(results.length === 1 ? { result: results[0] } : { count: results.length, results }),
+      ...(plan.length > 0 ? { dependencies } : {}),
     },
     jsonMode,
   );
 }
 
-async function runScan(registry, args) {
+async function pathExists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Show the dependency install plan and ask to proceed (TTY only; --yes skips the prompt).
+ * @returns {Promise<boolean>}
+ */
+async function confirmInstallPlan(skill, plan, args, jsonMode) {
+  if (jsonMode) return true;
+  console.log(formatInstallPlan(skill.name, plan));
+  if (args.yes || args.check || !process.stdout.isTTY || !process.stdin.isTTY) return true;
+  const rl = readline.createInterface({ input, output });
+  try {
+    return (await rl.question("Proceed? (y/n) ")).trim().toLowerCase().startsWith("y");
+  } finally {
+    rl.close();
+  }
+}
+
+function scoreDelta(from, to) {
+  return typeof from === "number" && typeof to === "number" ? to - from : null;
+}
+
+/**
+ * Read-only report of installed skills whose commit differs from the registry.
+ * Uses install metadata only (no downloads). Sets exit code 1 when anything is outdated.
+ */
+async function runOutdated(registry, args) {
+  const jsonMode = Boolean(args.json);
+  const tools = args.tool ? await resolveTools(args.tool) : TOOL_KEYS;
+  const expanded = registry.allSkills.map((item) =>
+    expandSkill(item, registry.repositories),
+  );
+
+  const rows = [];
+  for (const { tools: locationTools, scope, baseDir } of await installedLocationsForTools(tools, args)) {
+    for (const skill of await findInstalledSkills(baseDir, expanded)) {
+      const localSkillDir = path.join(baseDir, skill.name);
+      const meta = await readInstallMeta(localSkillDir);
+      const current = meta?.installedCommitHash || "";
+      const latest = skill.commitHash || "";
+      let status = "up-to-date";
+      if (meta?.pinned) status = "pinned";
+      else if (!current || !latest) status = "unknown";
+      else if (current !== latest) status = "outdated";
+      const installed = meta?.installedScores || {};
+      rows.push({
+        skill: shortSkill(skill),
+        tool: installTool(locationTools, meta),
+        scope,
+        localSkillDir,
+        status,
+        currentCommitHash: current || null,
+        latestCommitHash: latest || null,
+        lastUpdated: registry.repositories[skill.repo]?.lastUpdated || null,
+        securityDelta: scoreDelta(installed.securityScore, skill.securityScore),
+        qualityDelta: scoreDelta(installed.qualityScore, skill.qualityScore),
+        riskLevel: { installed: installed.riskLevel || null, latest: skill.riskLevel || null },
+      });
+    }
+  }
+
+  const outdatedCount = rows.filter((row) => row.status === "outdated").length;
+  if (outdatedCount > 0) process.exitCode = 1;
+  if (printAsJson({ command: "outdated", count: rows.length, outdated: outdatedCount, skills: rows }, jsonMode)) {
+    return;
+  }
+  if (rows.length === 0) {
+    console.log("No installed skills found.");
+    return;
+  }
+  console.log(formatOutdatedTable(rows));
+  console.log(`\n${outdatedCount} of ${rows.length} installed skill(s) outdated.`);
+}
+
+/**
+ * Check every installed skill dir for problems agents fail on silently: bad or missing
+ * SKILL.md, directory/name mismatch, broken or stale install meta, conflicting
+ * duplicates, skills gone from the registry and local edits. --fix applies the safe
+ * repairs. Sets exit code 1 when errors remain.
+ */
+async function runDoctor(registry, args) {
   const jsonMode = Boolean(args.json);
+  const fix = Boolean(args.fix);
+  const tools = args.tool ? await resolveTools(args.tool) : TOOL_KEYS;
+  const registryIds = new Set(registry.allSkills.map((skill) => skill.id));
+  const registryNames = new Set(registry.allSkills.map((skill) => skill.name));
+
+  const installs = [];
+  for (const { tools: locationTools, scope, baseDir } of await installedLocationsForTools(tools, args)) {
+    let entries;
+    try {
+      entries = await fs.readdir(baseDir, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith(".")) continue;
+      const localSkillDir = path.join(baseDir, entry.name);
+      const install = { name: entry.name, tools: locationTools, scope, localSkillDir, meta: null, issues: [] };
+      await diagnoseInstall(install, { registryIds, registryNames });
+      installs.push(install);
+    }
+  }
+  for (const [localSkillDir, message] of findDuplicateNames(installs)) {
+    installs
+      .find((install) => install.localSkillDir === localSkillDir)
+      .issues.push({ code: "duplicate-name", severity: "warning", message });
+  }
+
+  if (fix) {
+    for (const install of installs) {
+      for (const issue of install.issues) {
+        if (!issue.repair) continue;
+        try {
+          await issue.repair();
+          issue.fixed = true;
+        } catch (err) {
+          issue.message = `${issue.message} (fix failed: ${err.message})`;
+        }
+      }
+    }
+  }
+
+  const rows = installs
+    .filter((install) => install.issues.length > 0)
+    .map(({ name, tool, scope, localSkillDir, issues }) => ({
+      name,
+      tool,
+      scope,
+      localSkillDir,
+      issues: issues.map(({ code, severity, message, fix: fixDescription, fixed }) => ({
+        code,
+        severity,
+        message,
+        fix: fixDescription || null,
+        fixed: Boolean(fixed),
+      })),
+    }));
+  const remaining = rows.flatMap((row) => row.issues).filter((issue) => !issue.fixed);
+  const count = (severity) => remaining.filter((issue) => issue.severity === severity).length;
+  const summary = {
+    checked: installs.length,
+    errors: count("error"),
+    warnings: count("warning"),
+    fixable: remaining.filter((issue) => issue.fix).length,
+    fixed: rows.flatMap((row) => row.issues).filter((issue) => issue.fixed).length,
+  };
+  if (summary.errors > 0) process.exitCode = 1;
+  if (printAsJson({ command: "doctor", ...summary, skills: rows }, jsonMode)) return;
+  if (installs.length === 0) {
+    console.log("No installed skills found.");
+    return;
+  }
+  console.log(formatDoctorReport(rows, summary));
+}
+
+/**
+ * Collect the issues of one installed skill dir into install.issues and set
+ * install.tool (which of install.tools it belongs to). Issues that are safe to
+ * repair carry `fix` (a description) and `repair` (run by --fix).
+ */
+async function diagnoseInstall(install, { registryIds, registryNames }) {
+  const { name, tools, localSkillDir, issues } = install;
+  let tool = tools[0];
+  install.tool = tool;
+  // A permission problem or a dangling link is this skill's problem, not the whole run's
+  const unreadable = (what, err) =>
+    issues.push({ code: "unreadable", severity: "error", message: `Cannot read ${what}: ${err.code || err.message}` });
+  let entries;
+  try {
+    entries = await fs.readdir(localSkillDir);
+  } catch (err) {
+    unreadable("the skill directory", err);
+    return;
+  }
+
+  if (entries.includes("SKILL.md")) {
+    let text;
+    try {
+      text = await fs.readFile(path.join(localSkillDir, "SKILL.md"), "utf8");
+    } catch (err) {
+      unreadable("SKILL.md", err);
+      return;
+    }
+    issues.push(...checkSkillMd(text, name));
+  } else {
+    const misnamed = entries.find((entry) => entry.toLowerCase() === "skill.md");
+    issues.push({
+      code: "skill-md-missing",
+      severity: "error",
+      message: misnamed ? `SKILL.md is named ${misnamed}` : "SKILL.md is missing",
+      ...(misnamed
+        ? {
+            fix: `rename ${misnamed} to SKILL.md`,
+            repair: () => fs.rename(path.join(localSkillDir, misnamed), path.join(localSkillDir, "SKILL.md")),
+          }
+        : {}),
+    });
+  }
+  // Other text files with conflict markers (SKILL.md is covered by checkSkillMd)
+  try {
+    for (const file of await listDirRecursive(localSkillDir)) {
+      const rel = path.relative(localSkillDir, file).replaceAll(path.sep, "/");
+      if (rel === "SKILL.md" || rel === META_FILENAME) continue;
+      const content = await fs.readFile(file);
+      const line = content.includes(0) ? 0 : conflictMarkerLine(content.toString("utf8"));
+      if (line) {
+        issues.push({ code: "merge-conflict", severity: "error", message: `${rel} has unresolved merge conflict markers (line ${line})` });
+      }
+    }
+  } catch (err) {
+    unreadable("the skill files", err);
+  }
+
+  const metaPath = path.join(localSkillDir, META_FILENAME);
+  if (!entries.includes(META_FILENAME)) {
+    // Hand-copied skills are fine; only registry names suggest a broken install
+    if (registryNames.has(name)) {
+      issues.push({
+        code: "meta-missing",
+        severity: "warning",
+        message: `No ${META_FILENAME}; update cannot tell which version is installed (reinstall with: skill-market update ${name} --tool ${tool})`,
+      });
+    }
+    return;
+  }
+  let meta;
+  try {
+    meta = JSON.parse(await fs.readFile(metaPath, "utf8"));
+  } catch {
+    issues.push({
+      code: "meta-invalid",
+      severity: "error",
+      message: `${META_FILENAME} is not valid JSON`,
+      fix: "remove it (the skill is then treated like a legacy install)",
+      repair: () => fs.rm(metaPath, { force: true }),
+    });
+    return;
+  }
+  install.meta = meta;
+  tool = installTool(tools, meta);
+  install.tool = tool;
+
+  if (!meta.origin && (!meta.skillId || !meta.installedCommitHash)) {
+    issues.push({
+      code: "meta-stale",
+      severity: "warning",
+      message: `${META_FILENAME} has no skill id or commit (reinstall with: skill-market update ${name} --tool ${tool})`,
+    });
+  }
+  if (meta.name && meta.name !== name) {
+    // A renamed directory; the name-mismatch check covers what the agent sees
+    issues.push({
+      code: "meta-stale",
+      severity: "warning",
+      message: `${META_FILENAME} was written for "${meta.name}"; the directory was renamed`,
+    });
+  }
+  if (!tools.includes(meta.tool)) {
+    issues.push({
+      code: "meta-stale",
+      severity: "warning",
+      message: `${META_FILENAME} records tool "${meta.tool}"`,
+      fix: `set tool "${tool}"`,
+      repair: async () => {
+        const current = JSON.parse(await fs.readFile(metaPath, "utf8"));
+        await fs.writeFile(metaPath, `${JSON.stringify({ ...current, tool }, null, 2)}\n`, "utf8");
+      },
+    });
+  }
+  if (meta.skillId && !meta.origin && !registryIds.has(meta.skillId)) {
+    issues.push({
+      code: "orphaned",
+      severity: "warning",
+      message: `${meta.skillId} is no longer in the registry (remove with: skill-market remove ${name} --tool ${tool})`,
+    });
+  }
+  if (meta.fingerprint) {
+    const modifiedFiles = changedFiles(meta.fingerprint, await fingerprintDirectory(localSkillDir));
+    if (modifiedFiles.length > 0) {
+      issues.push({
+        code: "modified",
+        severity: "info",
+        message: `${modifiedFiles.length} file(s) changed since install: ${modifiedFiles.join(", ")}`,
+      });
+    }
+  }
+}
+
+const SCAN_FORMATS = ["table", "json", "sarif"];
+
+function resolveScanFormat(args) {
+  const format = args.format === undefined ? (args.json ? "json" : "table") : String(args.format).toLowerCase();
+  if (!SCAN_FORMATS.includes(format)) {
+    throw new Error(`Invalid --format value: ${args.format} (use ${SCAN_FORMATS.join("|")})`);
+  }
+  return format;
+}
+
+// Structured scan output (--json / --format json|sarif)
+async function printScanResults(results, format) {
+  if (format === "sarif") {
+    printAsJson(await scanResultsToSarif(results, activeRules), true);
+  } else {
+    printAsJson(formatScanResultsJson(results), true);
+  }
+}
+
+async function runScan(registry, args) {
+  const format = resolveScanFormat(args);
+  const jsonMode = format !== "table";
+  // SARIF needs line-precise findings, which only the detailed scan has
+  const detailed = format === "sarif";
   const selector = args._[1] || "";
 
   // Mode 1: scan --installed (already installed skills)
   if (args.installed) {
     const tool = normalizeTool(args.tool || "cursor");
     if (!tool) throw new Error(`Unsupported tool: ${args.tool}`);
-    const baseDir = args.dir ? path.resolve(args.dir) : defaultInstallBase(tool);
 
     const expanded = registry.allSkills.map((item) =>
       expandSkill(item, registry.repositories),
     );
-    const installedSkills = await findInstalledSkills(baseDir, expanded);
+    const installed = [];
+    for (const location of await installedLocations(tool, args)) {
+      for (const skill of await findInstalledSkills(location.baseDir, expanded)) {
+        installed.push({ skill, ...location });
+      }
+    }
 
-    if (installedSkills.length === 0) {
-      if (!jsonMode) console.log("No installed skills found.");
+    if (installed.length === 0) {
+      if (jsonMode) await printScanResults([], format);
+      else console.log("No installed skills found.");
       return;
     }
 
     const results = [];
-    for (const skill of installedSkills) {
+    for (const { skill, scope, baseDir } of installed) {
       const localSkillDir = path.join(baseDir, skill.name);
       try {
-        const scanResult = await scanSkillDirectory(localSkillDir, { detailed: true });
+        const scanResult = await scanSkillDirectory(localSkillDir, { detailed: true, rules: activeRules });
         results.push({
-          name: skill.name,
+          name: scope === "project" ? `${skill.name} (project)` : skill.name,
           id: skill.id,
+          scope,
+          path: localSkillDir,
           ...scanResult,
         });
       } catch (err) {
@@ -935,9 +2692,13 @@ async function runScan(registry, args) {
     }
 
     if (jsonMode) {
-      printAsJson(formatScanResultsJson(results), true);
+      await printScanResults(results, format);
     } else {
       console.log(formatScanTable(results));
+      for (const result of results) {
+        const report = formatScanDetails(result);
+        if (report) console.log(`\n${result.name} (${result.path})\n${report}`);
+      }
       console.log(`\nScanned ${results.length} skill(s).`);
     }
     return;
@@ -959,7 +2720,7 @@ async function runScan(registry, args) {
             skill,
             tmpBase,
           );
-          const scanResult = await scanSkillDirectory(extractedSkillDir, { detailed: false });
+          const scanResult = await scanSkillDirectory(extractedSkillDir, { detailed, rules: activeRules });
           results.push({
             name: skill.name,
             id: skill.id,
@@ -975,7 +2736,7 @@ async function runScan(registry, args) {
     }
 
     if (jsonMode) {
-      printAsJson(formatScanResultsJson(results), true);
+      await printScanResults(results, format);
     } else {
       console.log(formatScanTable(results));
       console.log(`\nScanned ${results.length} skill(s).`);
@@ -993,7 +2754,7 @@ async function runScan(registry, args) {
   );
   const match = getSkillMatches(expanded, selector);
   let skill = match.selected;
-  if (!skill && match.matches.length > 1) {
+  if (!skill && match.matches.length > 0) {
     if (args.yes) {
       skill = match.matches[0];
     } else {
@@ -1005,7 +2766,7 @@ async function runScan(registry, args) {
   const tmpBase = await fs.mkdtemp(path.join(os.tmpdir(), "skill-market-scan-"));
   try {
     const { sourceUrl, extractedSkillDir } = await extractRemoteSkill(skill, tmpBase);
-    const scanResult = await scanSkillDirectory(extractedSkillDir, { detailed: true });
+    const scanResult = await scanSkillDirectory(extractedSkillDir, { detailed: true, rules: activeRules });
 
     const result = {
       name: skill.name,
@@ -1015,7 +2776,7 @@ async function runScan(registry, args) {
 
     if (jsonMode) {
       // Use consistent JSON format
-      printAsJson(formatScanResultsJson([result]), true);
+      await printScanResults([result], format);
     } else {
       console.log(`\nScan Results for "${skill.name}"`);
       console.log("═══════════════════════════════════════");
@@ -1023,12 +2784,9 @@ async function runScan(registry, args) {
       console.log(`Quality Score:  ${result.qualityScore}/100 (${getQualityGrade(result.qualityScore)})`);
       console.log(`Risk Level:     ${result.riskLevel}`);
       console.log(`Tags:           ${result.scanTags.join(", ")}`);
-      if (result.detectedRisks && result.detectedRisks.length > 0) {
-        console.log(`\nDetected Risks:`);
-        for (const risk of result.detectedRisks) {
-          console.log(`  • ${risk.tag} [${risk.riskLevel}]${risk.file ? ` (in ${risk.file})` : ""}`);
-        }
-      }
+      if (result.suppressedTags) console.log(`Suppressed:     ${result.suppressedTags.join(", ")}`);
+      const report = formatScanDetails(result);
+      if (report) console.log(`\n${report}`);
     }
   } finally {
     await fs.rm(tmpBase, { recursive: true, force: true });
@@ -1044,18 +2802,37 @@ async function runRemove(registry, args) {
 
   const tool = normalizeTool(args.tool || "cursor");
   if (!tool) throw new Error(`Unsupported tool: ${args.tool}`);
-  const baseDir = args.dir ? path.resolve(args.dir) : defaultInstallBase(tool);
+  const baseDir = await resolveInstallBase(tool, args);
 
   const expanded = registry.allSkills.map((item) =>
     expandSkill(item, registry.repositories),
   );
-  const match = getSkillMatches(expanded, selector);
-  let skill = match.selected;
-  if (!skill && match.matches.length > 1) {
-    if (args.yes) {
-      skill = match.matches[0];
-    } else {
-      skill = await chooseSkillInteractively(selector, match.matches, jsonMode);
+  // Skills installed from a github:/local source are found by install dir name or origin
+  const sourceMeta = await readInstallMeta(path.join(baseDir, path.basename(selector)));
+  const origin = parseSkillSource(selector);
+  let skill =
+    sourceMeta?.origin &&
+    (sourceMeta.name === selector || (origin && formatSkillSource(origin) === sourceMeta.origin))
+      ? { id: sourceMeta.skillId, name: sourceMeta.name }
+      : null;
+  // Registry installs whose skill was since dropped from the registry (see `doctor`)
+  if (
+    !skill &&
+    sourceMeta?.skillId &&
+    !sourceMeta.origin &&
+    !expanded.some((item) => item.id === sourceMeta.skillId)
+  ) {
+    skill = { id: sourceMeta.skillId, name: path.basename(selector) };
+  }
+  if (!skill) {
+    const match = getSkillMatches(expanded, selector);
+    skill = match.selected;
+    if (!skill && match.matches.length > 0) {
+      if (args.yes) {
+        skill = match.matches[0];
+      } else {
+        skill = await chooseSkillInteractively(selector, match.matches, jsonMode);
+      }
     }
   }
   if (!skill) throw new Error(`Skill not found: ${selector}`);
@@ -1120,6 +2897,262 @@ async function runRemove(registry, args) {
   }
 }
 
+/**
+ * Restore an earlier install of a skill from the local history store.
+ */
+async function runRollback(registry, args) {
+  const jsonMode = Boolean(args.json);
+  const selector = args._[1];
+  if (!selector) {
+    throw new Error("Usage: rollback <skill-id-or-name> [--to <n>] [--list]");
+  }
+
+  const tool = normalizeTool(args.tool || "cursor");
+  if (!tool) throw new Error(`Unsupported tool: ${args.tool}`);
+  const baseDir = await resolveInstallBase(tool, args);
+
+  // Skill may have left the registry since it was installed: fall back to the dir name
+  const expanded = registry.allSkills.map((item) =>
+    expandSkill(item, registry.repositories),
+  );
+  const match = getSkillMatches(expanded, selector);
+  const skillName = match.exact ? match.selected.name : selector;
+  const localSkillDir = path.join(baseDir, skillName);
+
+  const entries = await listHistory(baseDir, skillName, META_FILENAME);
+  const describe = (entry) => ({
+    n: entry.n,
+    savedAt: entry.id,
+    installedAt: entry.meta?.installedAt || null,
+    commitHash: entry.meta?.installedCommitHash || null,
+  });
+
+  if (args.list) {
+    if (printAsJson({ command: "rollback", skillName, tool, baseDir, history: entries.map(describe) }, jsonMode)) {
+      return;
+    }
+    if (entries.length === 0) {
+      console.log(`No install history for "${skillName}" in ${baseDir}`);
+      return;
+    }
+    for (const entry of entries) {
+      const info = describe(entry);
+      console.log(`  ${info.n}) commit ${info.commitHash || "unknown"}  installed ${info.installedAt || "unknown"}`);
+    }
+    return;
+  }
+
+  const n = args.to === undefined ? 1 : Number(args.to);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid --to value: ${args.to}`);
+  const entry = entries[n - 1];
+  if (!entry) {
+    throw new Error(
+      entries.length === 0
+        ? `No install history for "${skillName}" in ${baseDir}`
+        : `History entry ${n} not found for "${skillName}" (have ${entries.length})`,
+    );
+  }
+
+  await restoreFromHistory(entry, localSkillDir, baseDir, skillName);
+
+  // Pin the restored version so `update --all` does not immediately undo the rollback
+  const meta = entry.meta || { skillId: match.exact ? match.selected.id : "", name: skillName, tool };
+  const restoredMeta = { ...meta, pinned: true, rolledBackAt: new Date().toISOString() };
+  await fs.writeFile(
+    path.join(localSkillDir, META_FILENAME),
+    `${JSON.stringify(restoredMeta, null, 2)}\n`,
+    "utf8",
+  );
+
+  if (
+    printAsJson(
+      { command: "rollback", skillName, tool, baseDir, localSkillDir, restored: describe(entry) },
+      jsonMode,
+    )
+  ) {
+    return;
+  }
+  console.log(
+    `[${skillName}] Rolled back to commit ${restoredMeta.installedCommitHash || "unknown"} in ${localSkillDir}`,
+  );
+}
+
+/**
+ * Where a locked zip came from, without this machine's zip URL override: the skill
+ * zip's file name under the registry's zip base, or "github:owner/repo@ref" for a
+ * GitHub zipball ("" when unknown).
+ */
+function lockSource(skill, sourceUrl) {
+  if (!sourceUrl) return "";
+  const zipBase = `${skill.zipBaseUrl || ZIP_BASE_URL}/`;
+  if (sourceUrl.startsWith(zipBase)) return sourceUrl.slice(zipBase.length);
+  const zipball = /^https:\/\/api\.github\.com\/repos\/([^/]+\/[^/]+)\/zipball\/([^/]+)$/.exec(sourceUrl);
+  return zipball ? `github:${zipball[1]}@${zipball[2]}` : "";
+}
+
+/**
+ * Make install dirs match the project lockfile: install locked skills into each
+ * listed tool and remove skill-market managed skills that are not locked. With
+ * --frozen the lockfile is only read, never written.
+ */
+async function runSync(registry, args) {
+  const jsonMode = Boolean(args.json);
+  const checkOnly = Boolean(args.check);
+  const manifestPath = path.resolve(String(args.manifest || MANIFEST_FILENAME));
+  const manifest = await readManifest(manifestPath);
+  const scope = resolveScope(args.scope || manifest.scope);
+  // Project scope installs relative to the manifest, so the repo can commit them
+  const baseFor = (tool) => installBaseFor(tool, scope, path.dirname(manifestPath));
+  const lockPath = lockfilePathFor(manifestPath);
+  const lock = await readLockfile(lockPath);
+
+  const expanded = registry.allSkills.map((item) =>
+    expandSkill(item, registry.repositories),
+  );
+  const byId = new Map(expanded.map((skill) => [skill.id, skill]));
+
+  const toolKeys = (names) =>
+    names.map((name) => {
+      const tool = normalizeTool(name);
+      if (!tool) throw new Error(`Unsupported tool in manifest: ${name}`);
+      return tool;
+    });
+
+  // Resolve manifest entries against registry and existing lock
+  const nextLock = { skills: {} };
+  for (const entry of manifest.skills) {
+    const skill =
+      byId.get(entry.selector) ||
+      expanded.find((item) => item.name === entry.selector);
+    if (!skill) throw new Error(`Skill not found in registry: ${entry.selector}`);
+    const locked = lock.skills[skill.id];
+    // Keep the locked commit unless re-locking; registry may have moved on
+    const keepPin = Boolean(locked?.commitHash) && !args.update;
+    const commitHash = keepPin ? locked.commitHash : skill.commitHash || "";
+    const previousTools = nextLock.skills[skill.id]?.tools || [];
+    nextLock.skills[skill.id] = {
+      name: skill.name,
+      repo: skill.repo,
+      path: skill.path || "",
+      commitHash,
+      zipSha256: keepPin ? locked.zipSha256 || "" : "",
+      source: keepPin ? locked.source || "" : "",
+      tools: [...new Set([...previousTools, ...toolKeys(entry.tools)])],
+    };
+  }
+
+  if (args.frozen) {
+    const describe = (skills) =>
+      Object.keys(skills)
+        .sort()
+        .map((id) => `${id}@${skills[id].commitHash}:${[...skills[id].tools].sort().join(",")}`)
+        .join("\n");
+    if (describe(lock.skills) !== describe(nextLock.skills)) {
+      throw new Error(
+        `Lockfile ${lockPath} is out of date with ${manifestPath}. Run "sync" without --frozen to update it.`,
+      );
+    }
+  }
+
+  const results = [];
+  for (const [id, entry] of Object.entries(nextLock.skills)) {
+    const latest = byId.get(id);
+    // The repository zipball fallback is the locked commit too, never the branch head
+    const lockedZipball = entry.commitHash ? commitZipballUrl(latest) : null;
+    const skill =
+      entry.commitHash && entry.commitHash !== latest.commitHash
+        ? pinSkillToCommit(latest, entry.commitHash)
+        : { ...latest, ...(lockedZipball ? { downloadUrl: lockedZipball } : {}) };
+    const targets = [];
+    for (const tool of entry.tools) targets.push({ tool, baseDir: await baseFor(tool) });
+    const skillResults = await installToTargets({
+      skill,
+      targets,
+      checkOnly,
+      jsonMode,
+      pin: entry,
+    }, args);
+    results.push(...skillResults);
+    for (const result of skillResults) {
+      if (entry.zipSha256) break;
+      const meta = await readInstallMeta(result.localSkillDir);
+      const zipSha256 = result.zipSha256 || meta?.zipSha256;
+      if (zipSha256) {
+        entry.zipSha256 = zipSha256;
+        entry.source = lockSource(skill, result.sourceUrl || meta?.source);
+      }
+    }
+  }
+
+  // Remove what the previous lockfile installed and the new one no longer lists; other
+  // installs in the same tool dirs (other projects, manual installs) are not ours to remove
+  const removed = [];
+  const syncedTools = new Set([
+    ...toolKeys(manifest.tools),
+    ...Object.values(nextLock.skills).flatMap((entry) => entry.tools),
+  ]);
+  for (const [id, entry] of Object.entries(lock.skills)) {
+    for (const tool of entry.tools || []) {
+      if (nextLock.skills[id]?.tools.includes(tool)) continue;
+      const baseDir = await baseFor(tool);
+      const skillDir = path.join(baseDir, entry.name);
+      const meta = await readInstallMeta(skillDir);
+      if (meta?.skillId !== id) continue;
+      let historyDir = null;
+      if (!checkOnly) {
+        // Kept in install history so `rollback` can bring it back
+        historyDir = await saveToHistory(skillDir, baseDir, entry.name);
+        await fs.rm(skillDir, { recursive: true, force: true });
+      }
+      removed.push({ skillId: id, tool, path: skillDir, ...(historyDir ? { historyDir } : {}) });
+      if (!jsonMode) {
+        console.log(
+          `[${entry.name}] ${checkOnly ? "Would remove" : "Removed"} from ${baseDir} (no longer in lockfile).` +
+            (historyDir
+              ? ` Restore with: skill-market rollback ${entry.name} --tool ${tool}${scope === "project" ? " --scope project" : ""}`
+              : ""),
+        );
+      }
+    }
+  }
+
+  const writeLock = !checkOnly && !args.frozen;
+  if (writeLock) await writeLockfile(lockPath, nextLock);
+
+  if (
+    printAsJson(
+      {
+        command: "sync",
+        manifest: manifestPath,
+        lockfile: lockPath,
+        checkOnly,
+        lockfileWritten: writeLock,
+        count: results.length,
+        results,
+        removed,
+      },
+      jsonMode,
+    )
+  ) {
+    return;
+  }
+  console.log(
+    `Synced ${Object.keys(nextLock.skills).length} skill(s) across ${syncedTools.size} tool(s).${writeLock ? ` Lockfile: ${lockPath}` : ""}`,
+  );
+}
+
+/**
+ * `cache clean`: remove the download cache (registry documents and skill zips).
+ */
+async function runCache(args) {
+  const jsonMode = Boolean(args.json);
+  if (args._[1] !== "clean") throw new Error("Usage: cache clean");
+  const { dir, bytes } = await cleanCache();
+  if (printAsJson({ command: "cache", action: "clean", dir, bytes }, jsonMode)) return;
+  const size = bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  console.log(`Removed ${size} of cached downloads from ${dir}`);
+}
+
 export async function run(argv) {
   const args = parseArgs(argv);
   const command = args._[0];
@@ -1129,9 +3162,29 @@ export async function run(argv) {
     return;
   }
 
-  const registryUrl = String(args.registry || DEFAULT_REGISTRY_URL);
-  const registry = await loadRegistry(registryUrl);
+  // Needs no registry or policy
+  if (command === "cache") {
+    await runCache(args);
+    return;
+  }
+
+  offlineMode = Boolean(args.offline);
+  if (args.events) {
+    // Events replace all human output, like --json
+    emitEvent = createEventStream(String(args.events));
+    args.json = true;
+  }
+  try {
+    activePolicy = await loadPolicy();
+    activeRules = await loadScanRules(activePolicy.rulePacks, resolveRulePackArgs(args));
+    await runCommand(command, await loadRegistries(args), args);
+  } catch (err) {
+    emit("error", { error: err.message });
+    throw err;
+  }
+}
 
+async function runCommand(command, registry, args) {
   if (command === "list") {
     await runList(registry, args);
     return;
@@ -1140,6 +3193,10 @@ export async function run(argv) {
     await runSearch(registry, args);
     return;
   }
+  if (command === "browse") {
+    await runBrowse(registry, args);
+    return;
+  }
   if (command === "install") {
     await runInstall(registry, args, "install");
     return;
@@ -1148,6 +3205,14 @@ export async function run(argv) {
     await runInstall(registry, args, "update");
     return;
   }
+  if (command === "outdated") {
+    await runOutdated(registry, args);
+    return;
+  }
+  if (command === "doctor") {
+    await runDoctor(registry, args);
+    return;
+  }
   if (command === "scan") {
     await runScan(registry, args);
     return;
@@ -1156,6 +3221,14 @@ export async function run(argv) {
     await runRemove(registry, args);
     return;
   }
+  if (command === "sync") {
+    await runSync(registry, args);
+    return;
+  }
+  if (command === "rollback") {
+    await runRollback(registry, args);
+    return;
+  }
 
   throw new Error(`Unknown command: ${command}`);
 }
@@ -0,0 +1,58 @@
+/**
+ * Resolve `requires` declarations from registry records into an install order.
+ */
+
+/**
+ * Find the registry skill a `requires` entry refers to: an exact id, else a skill of
+ * that name in the requiring skill's repo, else the only skill with that name.
+ * @param {string} requirement - Skill id or name
+ * @param {Object} requiredBy - Expanded skill declaring the requirement
+ * @param {Object[]} skills - Expanded registry skills
+ * @returns {Object}
+ */
+export function resolveRequirement(requirement, requiredBy, skills) {
+  const byId = skills.find((item) => item.id === requirement);
+  if (byId) return byId;
+  const byName = skills.filter((item) => item.name === requirement);
+  const sameRepo = byName.find((item) => item.repo === requiredBy.repo);
+  if (sameRepo) return sameRepo;
+  if (byName.length === 1) return byName[0];
+  if (byName.length > 1) {
+    throw new Error(
+      `Dependency "${requirement}" of ${requiredBy.name} is ambiguous: ${byName.map((item) => item.id).join(", ")}`,
+    );
+  }
+  throw new Error(`Dependency "${requirement}" of ${requiredBy.name} was not found in the registry`);
+}
+
+/**
+ * Build the install plan for a skill: its transitive dependencies first (each once),
+ * then the skill itself. Throws on cycles and unresolvable requirements.
+ * @param {Object} root - Expanded skill to install
+ * @param {Object[]} skills - Expanded registry skills
+ * @returns {{ skill: Object, requiredBy: string|null }[]}
+ */
+export function buildInstallPlan(root, skills) {
+  const plan = [];
+  const done = new Set();
+  const stack = [];
+
+  function visit(skill, requiredBy) {
+    if (done.has(skill.id)) return;
+    const cycleStart = stack.findIndex((item) => item.id === skill.id);
+    if (cycleStart !== -1) {
+      const cycle = [...stack.slice(cycleStart), skill].map((item) => item.name);
+      throw new Error(`Dependency cycle: ${cycle.join(" -> ")}`);
+    }
+    stack.push(skill);
+    for (const requirement of skill.requires || []) {
+      visit(resolveRequirement(requirement, skill, skills), skill.name);
+    }
+    stack.pop();
+    done.add(skill.id);
+    plan.push({ skill, requiredBy });
+  }
+
+  visit(root, null);
+  return plan;
+}
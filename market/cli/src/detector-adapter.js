@@ -5,7 +5,10 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { pathToFileURL } from "node:url";
 import { runRules } from "../../detector/rules.js";
+import { toSarif } from "../../detector/sarif.js";
+import { loadRules } from "../../detector/rule-packs.js";
 import { getQualityGrade } from "./utils/formatting.js";
 
 const SCRIPT_EXTENSIONS = [".js", ".py", ".sh", ".rb", ".ts", ".go", ".java", ".c", ".cpp", ".rs"];
@@ -49,10 +52,11 @@ function shouldScanFile(filePath) {
  * @param {string} skillDir - Absolute path to skill directory
  * @param {Object} [options] - Options
  * @param {boolean} [options.detailed] - Return detailed per-file risks
+ * @param {Object[]|null} [options.rules] - Rules from loadScanRules() (default: built-in)
  * @returns {Promise<{ securityScore: number, riskLevel: string, qualityScore: number, scanTags: string[], detectedRisks?: Object[] }>}
  */
 export async function scanSkillDirectory(skillDir, options = {}) {
-  const { detailed = false } = options;
+  const { detailed = false, rules = null } = options;
   
   try {
     // Verify directory exists
@@ -115,7 +119,7 @@ export async function scanSkillDirectory(skillDir, options = {}) {
 
   // Run detection with detail level
   const detailLevel = detailed ? "detailed" : "basic";
-  const result = runRules(skillMdContent, files, { detailLevel });
+  const result = runRules(skillMdContent, files, { detailLevel, ...(rules ? { rules } : {}) });
 
   return result;
 }
@@ -132,6 +136,41 @@ export async function scanRemoteSkillExtracted(skillZipPath, options = {}) {
   return scanSkillDirectory(skillZipPath, options);
 }
 
+/**
+ * Built-in detection rules plus rule packs. Policy packs may replace built-in rules;
+ * --rules packs may only add new rule ids, so they cannot weaken the policy's limits.
+ * @param {string[]} policyPacks - The policy's `rulePacks`
+ * @param {string[]} [userPacks] - Packs from --rules
+ * @returns {Promise<Object[]|null>} null when there are no packs (built-in rules only)
+ */
+export async function loadScanRules(policyPacks, userPacks = []) {
+  if (policyPacks.length === 0 && userPacks.length === 0) return null;
+  return loadRules(policyPacks, { addOnly: userPacks });
+}
+
+/**
+ * SARIF log for CLI scan results. Installed skills are located by their directory
+ * relative to the working directory (the repository root in CI); registry skills,
+ * which exist only in a temp dir, by their skill id.
+ * @param {{ name: string, id?: string, path?: string, detectedRisks?: Object[] }[]} results
+ * @param {Object[]|null} [rules] - Rules the scan used (default: built-in)
+ * @returns {Promise<Object>}
+ */
+export async function scanResultsToSarif(results, rules = null) {
+  const pkg = JSON.parse(await fs.readFile(new URL("../package.json", import.meta.url), "utf8"));
+  const scans = results.map((result) => {
+    let root = result.id || result.name;
+    if (result.path) {
+      const rel = path.relative(process.cwd(), result.path);
+      root = rel && !rel.startsWith("..") && !path.isAbsolute(rel)
+        ? rel.split(path.sep).join("/")
+        : pathToFileURL(result.path).href;
+    }
+    return { ...result, root };
+  });
+  return toSarif(scans, { toolName: pkg.name, toolVersion: pkg.version, ...(rules ? { rules } : {}) });
+}
+
 /**
  * Get human-readable description of risk level with icon/marker
  * @param {string} riskLevel - 'low', 'medium', 'high', 'critical'
@@ -172,7 +211,7 @@ export function formatDetectedRisks(detectedRisks) {
     }
     grouped[risk.tag].count++;
     if (risk.file) {
-      grouped[risk.tag].files.add(risk.file);
+      grouped[risk.tag].files.add(risk.line ? `${risk.file}:${risk.line}` : risk.file);
     }
   }
 
@@ -0,0 +1,121 @@
+/**
+ * Checks for `skill-market doctor`: problems with installed skill directories that
+ * make an agent skip or misread a skill without telling anyone.
+ */
+
+import { parseSkillFrontmatter, validateSkillMetadata } from "./skill-metadata.js";
+
+export const SEVERITIES = ["error", "warning", "info"];
+
+/**
+ * Frontmatter lines a YAML parser would reject at the top level (no `key:`,
+ * not indented, not a list item or comment).
+ * @param {string[]} lines - Lines between the --- delimiters
+ * @returns {number} 1-based SKILL.md line number of the first bad line, or 0
+ */
+function firstMalformedLine(lines) {
+  for (const [idx, line] of lines.entries()) {
+    if (!line.trim() || /^\s/.test(line) || /^(- |#)/.test(line)) continue;
+    if (!/^[A-Za-z0-9_-]+:(\s|$)/.test(line)) return idx + 2;
+  }
+  return 0;
+}
+
+/**
+ * First unresolved merge conflict: a `<<<<<<<` line followed by `=======` and
+ * `>>>>>>>` lines, as a hand-resolved or older `update --on-modified merge` can leave.
+ * @param {string} text
+ * @returns {number} 1-based line number of the `<<<<<<<` marker, or 0
+ */
+export function conflictMarkerLine(text) {
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  for (const [start, line] of lines.entries()) {
+    if (!/^<{7}(\s|$)/.test(line)) continue;
+    const middle = lines.findIndex((other, idx) => idx > start && /^={7}\s*$/.test(other));
+    if (middle !== -1 && lines.some((other, idx) => idx > middle && /^>{7}(\s|$)/.test(other))) {
+      return start + 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Check SKILL.md content the way the crawler parses it.
+ * @param {string} text
+ * @param {string} dirName - Install directory name (agents expect it to equal `name`)
+ * @returns {{ code: string, severity: string, message: string }[]}
+ */
+export function checkSkillMd(text, dirName) {
+  // Markers also break the frontmatter; report the cause, not the parse error
+  const conflictLine = conflictMarkerLine(text);
+  if (conflictLine) {
+    return [{ code: "merge-conflict", severity: "error", message: `SKILL.md has unresolved merge conflict markers (line ${conflictLine})` }];
+  }
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  if (lines[0].trim() !== "---") {
+    return [{ code: "skill-md-invalid", severity: "error", message: "SKILL.md has no frontmatter (--- block)" }];
+  }
+  const end = lines.findIndex((line, idx) => idx > 0 && line.trim() === "---");
+  if (end === -1) {
+    return [{ code: "skill-md-invalid", severity: "error", message: "SKILL.md frontmatter is not closed (missing ---)" }];
+  }
+  const badLine = firstMalformedLine(lines.slice(1, end));
+  if (badLine) {
+    return [{ code: "skill-md-invalid", severity: "error", message: `SKILL.md frontmatter cannot be parsed (line ${badLine})` }];
+  }
+
+  const parsed = parseSkillFrontmatter(text);
+  if (!parsed) {
+    return [{ code: "skill-md-invalid", severity: "error", message: "SKILL.md frontmatter is not valid YAML" }];
+  }
+  // The crawler's rules, without its minimum body length: that is a listing threshold,
+  // not something that breaks an install
+  const { isValid, reason } = validateSkillMetadata(parsed);
+  const name = parsed.name || "";
+  const issues = [];
+  if (!isValid) {
+    issues.push({ code: "skill-md-invalid", severity: "error", message: reason });
+  }
+  if (name && name !== dirName) {
+    issues.push({
+      code: "name-mismatch",
+      severity: "error",
+      message: `Directory "${dirName}" does not match frontmatter name "${name}"`,
+    });
+  }
+  return issues;
+}
+
+/**
+ * Skill names installed in several places from different sources or commits.
+ * Copies of the same install in several tools are fine.
+ * @param {{ name: string, tool: string, scope: string, localSkillDir: string, meta: Object|null }[]} installs
+ * @returns {Map<string, string>} localSkillDir -> message, for every conflicting copy
+ */
+export function findDuplicateNames(installs) {
+  const byName = new Map();
+  for (const install of installs) {
+    if (!byName.has(install.name)) byName.set(install.name, []);
+    byName.get(install.name).push(install);
+  }
+  const duplicates = new Map();
+  for (const copies of byName.values()) {
+    if (copies.length < 2) continue;
+    const variants = new Set(
+      copies.map(({ meta }) =>
+        meta ? `${meta.origin || meta.skillId || ""}@${meta.installedCommitHash || ""}` : "unmanaged",
+      ),
+    );
+    if (variants.size < 2) continue;
+    for (const copy of copies) {
+      const others = copies
+        .filter((other) => other !== copy)
+        .map((other) => `${other.tool}${other.scope === "project" ? " (project)" : ""}`);
+      duplicates.set(
+        copy.localSkillDir,
+        `Also installed for ${others.join(", ")} from a different source or commit`,
+      );
+    }
+  }
+  return duplicates;
+}
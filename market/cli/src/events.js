@@ -0,0 +1,31 @@
+/**
+ * Machine-readable progress events (`--events ndjson`) for IDEs and other front ends.
+ * Each event is one JSON object per line on stdout:
+ *   { "event": "downloaded", "time": "<ISO date>", "skill": "<id>", "bytes": 1234, "durationMs": 80 }
+ */
+
+export const EVENT_FORMATS = ["ndjson"];
+
+/**
+ * Create an event writer for the given format.
+ * @param {string} format - Value of --events
+ * @param {NodeJS.WritableStream} [stream]
+ * @returns {(event: string, data?: Object) => void}
+ */
+export function createEventStream(format, stream = process.stdout) {
+  if (!EVENT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported --events format: ${format} (use ${EVENT_FORMATS.join("|")})`);
+  }
+  return (event, data = {}) => {
+    stream.write(`${JSON.stringify({ event, time: new Date().toISOString(), ...data })}\n`);
+  };
+}
+
+/**
+ * Milliseconds since a performance.now() start mark, rounded.
+ * @param {number} start
+ * @returns {number}
+ */
+export function elapsedMs(start) {
+  return Math.round(performance.now() - start);
+}
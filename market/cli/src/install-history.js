@@ -0,0 +1,145 @@
+/**
+ * Local install history: before an install directory is overwritten its previous
+ * contents are moved into a per-skill history store so `rollback` can restore them.
+ *
+ * Layout: <state dir>/history/<baseDir key>/<skill name>/<entry id>/
+ * where the state dir is $SKILL_MARKET_HOME or ~/.skill-market and the baseDir key
+ * is a short hash of the install base, so --dir installs never collide.
+ */
+
+import os from "node:os";
+import path from "node:path";
+import fs from "node:fs/promises";
+import crypto from "node:crypto";
+
+const DEFAULT_HISTORY_LIMIT = 5;
+
+/**
+ * Root directory for CLI state (history, caches).
+ * @returns {string}
+ */
+export function stateDir() {
+  return process.env.SKILL_MARKET_HOME || path.join(os.homedir(), ".skill-market");
+}
+
+function historyLimit() {
+  const parsed = Number(process.env.SKILL_MARKET_HISTORY_LIMIT);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : DEFAULT_HISTORY_LIMIT;
+}
+
+/**
+ * History directory for one skill in one install base.
+ * @param {string} baseDir - Tool install base (e.g. ~/.cursor/skills)
+ * @param {string} skillName
+ * @returns {string}
+ */
+export function historyDirFor(baseDir, skillName) {
+  const key = crypto.createHash("sha256").update(path.resolve(baseDir)).digest("hex").slice(0, 12);
+  return path.join(stateDir(), "history", key, skillName);
+}
+
+async function exists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function moveDir(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    // Cross-device (e.g. home on another mount): copy then delete
+    await fs.cp(from, to, { recursive: true });
+    await fs.rm(from, { recursive: true, force: true });
+  }
+}
+
+async function readMeta(dir, metaFilename) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, metaFilename), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List history entries for a skill, newest first. Entry n=1 is the most recent previous install.
+ * @param {string} baseDir
+ * @param {string} skillName
+ * @param {string} metaFilename - Install meta filename inside each entry
+ * @returns {Promise<{ n: number, id: string, dir: string, meta: Object|null }[]>}
+ */
+export async function listHistory(baseDir, skillName, metaFilename) {
+  const root = historyDirFor(baseDir, skillName);
+  let names;
+  try {
+    names = (await fs.readdir(root, { withFileTypes: true }))
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name);
+  } catch {
+    return [];
+  }
+  names.sort().reverse();
+  const entries = [];
+  for (const [idx, id] of names.entries()) {
+    const dir = path.join(root, id);
+    entries.push({ n: idx + 1, id, dir, meta: await readMeta(dir, metaFilename) });
+  }
+  return entries;
+}
+
+/**
+ * Move an existing install into the history store (no-op if nothing is installed).
+ * Prunes entries beyond the retention limit (SKILL_MARKET_HISTORY_LIMIT, default 5).
+ * @param {string} localSkillDir - Current install directory
+ * @param {string} baseDir
+ * @param {string} skillName
+ * @returns {Promise<string|null>} History entry directory, or null if nothing was saved
+ */
+export async function saveToHistory(localSkillDir, baseDir, skillName) {
+  if (!(await exists(localSkillDir))) return null;
+  const limit = historyLimit();
+  if (limit === 0) return null;
+
+  const root = historyDirFor(baseDir, skillName);
+  await fs.mkdir(root, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  let entryDir = path.join(root, stamp);
+  for (let i = 1; await exists(entryDir); i += 1) {
+    entryDir = path.join(root, `${stamp}-${i}`);
+  }
+  await moveDir(localSkillDir, entryDir);
+
+  const names = (await fs.readdir(root)).sort().reverse();
+  for (const stale of names.slice(limit)) {
+    await fs.rm(path.join(root, stale), { recursive: true, force: true });
+  }
+  return entryDir;
+}
+
+/**
+ * Restore a history entry into place. The current install (if any) is saved to
+ * history first, so a rollback can itself be rolled back.
+ * @param {{ dir: string }} entry - Entry from listHistory()
+ * @param {string} localSkillDir
+ * @param {string} baseDir
+ * @param {string} skillName
+ */
+export async function restoreFromHistory(entry, localSkillDir, baseDir, skillName) {
+  // Stage the entry outside the history dir so pruning cannot delete it
+  const staging = path.join(stateDir(), `restoring-${crypto.randomUUID()}`);
+  await moveDir(entry.dir, staging);
+  try {
+    await saveToHistory(localSkillDir, baseDir, skillName);
+    await fs.rm(localSkillDir, { recursive: true, force: true });
+    await fs.mkdir(path.dirname(localSkillDir), { recursive: true });
+    await moveDir(staging, localSkillDir);
+  } catch (err) {
+    if (await exists(staging)) await moveDir(staging, entry.dir);
+    throw err;
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * Install policy (.skill-market-policy.json) for managed machines: which repos and
+ * authors may be installed, the risk/quality/scan-tag limits every install must meet,
+ * when to ask for confirmation, whether --force is allowed at all, whether the skill's
+ * own scan suppressions count, and extra detection rule packs for the scan.
+ *
+ * Looked up from SKILL_MARKET_POLICY (a file path) or the nearest
+ * .skill-market-policy.json in the working directory or its parents.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const POLICY_FILENAME = ".skill-market-policy.json";
+
+const RISK_ORDER = ["low", "medium", "high", "critical"];
+
+// Behaviour without a policy file (the previous hard-coded confirmation rules)
+const DEFAULT_POLICY = {
+  source: null,
+  allowedRepos: [],
+  blockedRepos: [],
+  allowedAuthors: [],
+  blockedAuthors: [],
+  maxRiskLevel: null,
+  minQualityScore: null,
+  forbiddenScanTags: [],
+  allowForce: true,
+  allowLocalSources: true,
+  confirmRiskLevel: "high",
+  confirmBelowQuality: 60,
+  rulePacks: [],
+  // The skill's own suppressions never decide whether the install gate asks
+  allowAuthorSuppressions: false,
+};
+
+function stringList(data, key, source) {
+  const value = data[key];
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+    throw new Error(`Invalid policy ${source}: "${key}" must be an array of strings`);
+  }
+  return value.map((item) => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Paths relative to the policy file
+function pathList(data, key, source) {
+  const value = data[key];
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string" || !item.trim())) {
+    throw new Error(`Invalid policy ${source}: "${key}" must be an array of file paths`);
+  }
+  const base = source ? path.dirname(source) : process.cwd();
+  return value.map((item) => path.resolve(base, item.trim()));
+}
+
+function riskLevel(data, key, source) {
+  const value = data[key];
+  if (value === undefined || value === null) return null;
+  const level = String(value).toLowerCase();
+  if (!RISK_ORDER.includes(level)) {
+    throw new Error(`Invalid policy ${source}: "${key}" must be one of ${RISK_ORDER.join(", ")}`);
+  }
+  return level;
+}
+
+function score(data, key, source) {
+  const value = data[key];
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "number" || value < 0 || value > 100) {
+    throw new Error(`Invalid policy ${source}: "${key}" must be a number from 0 to 100`);
+  }
+  return value;
+}
+
+/**
+ * Validate raw policy JSON and fill in defaults.
+ * @param {Object} data
+ * @param {string} source - Policy file path, for messages
+ * @returns {Object}
+ */
+export function normalizePolicy(data, source) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Invalid policy ${source}: expected a JSON object`);
+  }
+  for (const key of ["allowForce", "allowLocalSources", "allowAuthorSuppressions"]) {
+    if (data[key] !== undefined && typeof data[key] !== "boolean") {
+      throw new Error(`Invalid policy ${source}: "${key}" must be true or false`);
+    }
+  }
+  return {
+    source,
+    allowedRepos: stringList(data, "allowedRepos", source),
+    blockedRepos: stringList(data, "blockedRepos", source),
+    allowedAuthors: stringList(data, "allowedAuthors", source),
+    blockedAuthors: stringList(data, "blockedAuthors", source),
+    maxRiskLevel: riskLevel(data, "maxRiskLevel", source),
+    minQualityScore: score(data, "minQualityScore", source),
+    forbiddenScanTags: stringList(data, "forbiddenScanTags", source),
+    allowForce: data.allowForce ?? true,
+    allowLocalSources: data.allowLocalSources ?? true,
+    confirmRiskLevel: riskLevel(data, "confirmRiskLevel", source) ?? DEFAULT_POLICY.confirmRiskLevel,
+    confirmBelowQuality: score(data, "confirmBelowQuality", source) ?? DEFAULT_POLICY.confirmBelowQuality,
+    rulePacks: pathList(data, "rulePacks", source),
+    allowAuthorSuppressions: data.allowAuthorSuppressions ?? false,
+  };
+}
+
+async function findPolicyFile(start) {
+  let current = path.resolve(start);
+  for (;;) {
+    const candidate = path.join(current, POLICY_FILENAME);
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // keep walking up
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Load the active policy. A policy named by SKILL_MARKET_POLICY must exist and parse;
+ * without any policy file the defaults apply.
+ * @param {string} [cwd]
+ * @returns {Promise<Object>}
+ */
+export async function loadPolicy(cwd = process.cwd()) {
+  const fromEnv = process.env.SKILL_MARKET_POLICY;
+  const file = fromEnv ? path.resolve(fromEnv) : await findPolicyFile(cwd);
+  if (!file) return { ...DEFAULT_POLICY };
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch {
+    throw new Error(`Policy file not found: ${file}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid policy ${file}: ${err.message}`);
+  }
+  return normalizePolicy(data, file);
+}
+
+// "owner/repo" matches exactly; "owner/*" matches every repo of that owner
+function repoMatches(pattern, repo) {
+  if (pattern.endsWith("/*")) return repo.startsWith(pattern.slice(0, -1));
+  return repo === pattern;
+}
+
+/**
+ * Registry-metadata rules (repo and author), checked before anything is downloaded.
+ * @param {Object} policy
+ * @param {Object} skill - Expanded registry skill
+ * @returns {string[]} Violations (empty when allowed)
+ */
+export function checkSkillSource(policy, skill) {
+  // Local directories and zips have no repo or author to match
+  if (skill.local) {
+    return policy.allowLocalSources ? [] : ["local sources are not allowed (allowLocalSources)"];
+  }
+  const violations = [];
+  const repo = String(skill.repo || "").toLowerCase();
+  const author = String(skill.author || repo.split("/")[0] || "").toLowerCase();
+  if (policy.blockedRepos.some((pattern) => repoMatches(pattern, repo))) {
+    violations.push(`repository ${skill.repo} is blocked`);
+  }
+  if (policy.allowedRepos.length && !policy.allowedRepos.some((pattern) => repoMatches(pattern, repo))) {
+    violations.push(`repository ${skill.repo} is not in allowedRepos`);
+  }
+  if (policy.blockedAuthors.includes(author)) {
+    violations.push(`author ${author} is blocked`);
+  }
+  if (policy.allowedAuthors.length && !policy.allowedAuthors.includes(author)) {
+    violations.push(`author ${author} is not in allowedAuthors`);
+  }
+  return violations;
+}
+
+/**
+ * Whether the policy has rules that need a scan result to evaluate.
+ * @param {Object} policy
+ * @returns {boolean}
+ */
+export function requiresScan(policy) {
+  return Boolean(
+    policy.maxRiskLevel || policy.minQualityScore != null || policy.forbiddenScanTags.length,
+  );
+}
+
+/**
+ * The scan as the policy sees it: without the skill's own suppressions unless the
+ * policy accepts them. `suppressionsIgnored` marks a result whose suppressed tags
+ * still count.
+ * @param {Object} policy
+ * @param {Object} scanResult
+ * @returns {Object}
+ */
+export function effectiveScan(policy, scanResult) {
+  if (policy.allowAuthorSuppressions || !scanResult.unsuppressed) return scanResult;
+  return { ...scanResult, ...scanResult.unsuppressed, suppressionsIgnored: true };
+}
+
+/**
+ * Scan-result rules (risk level, quality score, scan tags).
+ * @param {Object} policy
+ * @param {{ riskLevel: string, qualityScore: number, scanTags: string[], unsuppressed?: Object }} result
+ * @returns {string[]} Violations (empty when allowed)
+ */
+export function checkScanResult(policy, result) {
+  const scanResult = effectiveScan(policy, result);
+  const violations = [];
+  if (policy.maxRiskLevel) {
+    const rank = RISK_ORDER.indexOf(scanResult.riskLevel);
+    if (rank === -1 || rank > RISK_ORDER.indexOf(policy.maxRiskLevel)) {
+      violations.push(`risk level ${scanResult.riskLevel} exceeds maxRiskLevel ${policy.maxRiskLevel}`);
+    }
+  }
+  if (policy.minQualityScore != null && (scanResult.qualityScore ?? 0) < policy.minQualityScore) {
+    violations.push(`quality score ${scanResult.qualityScore}/100 is below minQualityScore ${policy.minQualityScore}`);
+  }
+  const forbidden = (scanResult.scanTags || []).filter((tag) =>
+    policy.forbiddenScanTags.includes(tag.toLowerCase()),
+  );
+  if (forbidden.length) {
+    violations.push(`forbidden scan tags: ${forbidden.join(", ")}`);
+  }
+  return violations;
+}
+
+/**
+ * Whether a scan result needs interactive confirmation before install.
+ * @param {Object} policy
+ * @param {{ riskLevel: string, qualityScore?: number, unsuppressed?: Object }} result
+ * @returns {boolean}
+ */
+export function needsConfirmation(policy, result) {
+  const scanResult = effectiveScan(policy, result);
+  const rank = RISK_ORDER.indexOf(scanResult.riskLevel);
+  if (rank !== -1 && rank >= RISK_ORDER.indexOf(policy.confirmRiskLevel)) return true;
+  return (scanResult.qualityScore ?? 100) < policy.confirmBelowQuality;
+}
+
+/**
+ * Error for a policy violation; --force never overrides it.
+ * @param {Object} policy
+ * @param {string} skillName
+ * @param {string[]} violations
+ * @returns {Error}
+ */
+export function policyError(policy, skillName, violations) {
+  return new Error(
+    `Policy ${policy.source} blocks ${skillName}: ${violations.join("; ")}`,
+  );
+}
@@ -0,0 +1,119 @@
+/**
+ * Project manifest and lockfile for reproducible skill sets.
+ * The manifest (skill-market.json) lists skills and target tools; the lockfile
+ * (skill-market.lock.json) pins each skill's commitHash and zip sha256 so `sync`
+ * can reproduce the exact same install on another machine or in CI.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const MANIFEST_FILENAME = "skill-market.json";
+export const LOCKFILE_FILENAME = "skill-market.lock.json";
+export const LOCKFILE_VERSION = 1;
+
+/**
+ * Normalize one manifest skill entry. Accepts "id-or-name" or { id, tools }.
+ * @param {string|Object} entry
+ * @param {string[]} defaultTools
+ * @returns {{ selector: string, tools: string[] }}
+ */
+function normalizeManifestEntry(entry, defaultTools) {
+  if (typeof entry === "string" && entry.trim()) {
+    return { selector: entry.trim(), tools: defaultTools };
+  }
+  if (entry && typeof entry === "object") {
+    const selector = String(entry.id || entry.name || "").trim();
+    if (!selector) throw new Error("Manifest skill entry is missing \"id\"");
+    const tools = Array.isArray(entry.tools) && entry.tools.length > 0
+      ? entry.tools.map(String)
+      : defaultTools;
+    return { selector, tools };
+  }
+  throw new Error(`Invalid manifest skill entry: ${JSON.stringify(entry)}`);
+}
+
+/**
+ * Read and validate a project manifest.
+ * @param {string} manifestPath - Absolute path to skill-market.json
+ * @returns {Promise<{ path: string, scope?: string, tools: string[], skills: { selector: string, tools: string[] }[] }>}
+ */
+export async function readManifest(manifestPath) {
+  let raw;
+  try {
+    raw = await fs.readFile(manifestPath, "utf8");
+  } catch {
+    throw new Error(`Manifest not found: ${manifestPath}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid manifest ${manifestPath}: ${err.message}`);
+  }
+  const tools = Array.isArray(data.tools) && data.tools.length > 0
+    ? data.tools.map(String)
+    : ["cursor"];
+  if (!Array.isArray(data.skills)) {
+    throw new Error(`Manifest ${manifestPath} must contain a "skills" array`);
+  }
+  return {
+    path: manifestPath,
+    scope: data.scope,
+    tools,
+    skills: data.skills.map((entry) => normalizeManifestEntry(entry, tools)),
+  };
+}
+
+/**
+ * Lockfile path that sits next to the given manifest.
+ * @param {string} manifestPath
+ * @returns {string}
+ */
+export function lockfilePathFor(manifestPath) {
+  return path.join(path.dirname(manifestPath), LOCKFILE_FILENAME);
+}
+
+/**
+ * Read lockfile; returns an empty lock when the file does not exist yet.
+ * @param {string} lockPath
+ * @returns {Promise<{ lockfileVersion: number, skills: Object<string, Object> }>}
+ */
+export async function readLockfile(lockPath) {
+  let raw;
+  try {
+    raw = await fs.readFile(lockPath, "utf8");
+  } catch {
+    return { lockfileVersion: LOCKFILE_VERSION, skills: {} };
+  }
+  const data = JSON.parse(raw);
+  if (data.lockfileVersion !== LOCKFILE_VERSION) {
+    throw new Error(
+      `Unsupported lockfile version ${data.lockfileVersion} in ${lockPath}`,
+    );
+  }
+  return { lockfileVersion: LOCKFILE_VERSION, skills: data.skills || {} };
+}
+
+/**
+ * Serialize lockfile with sorted skill ids so diffs stay stable.
+ * @param {{ skills: Object<string, Object> }} lock
+ * @returns {string}
+ */
+export function serializeLockfile(lock) {
+  const skills = {};
+  for (const id of Object.keys(lock.skills).sort()) {
+    const entry = lock.skills[id];
+    skills[id] = { ...entry, tools: [...entry.tools].sort() };
+  }
+  return `${JSON.stringify({ lockfileVersion: LOCKFILE_VERSION, skills }, null, 2)}\n`;
+}
+
+/**
+ * Write lockfile to disk.
+ * @param {string} lockPath
+ * @param {{ skills: Object<string, Object> }} lock
+ */
+export async function writeLockfile(lockPath, lock) {
+  await fs.writeFile(lockPath, serializeLockfile(lock), "utf8");
+}
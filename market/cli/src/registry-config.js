@@ -0,0 +1,135 @@
+/**
+ * Multiple registry sources (e.g. an internal mirror before the public registry),
+ * configured in $SKILL_MARKET_REGISTRIES or <state dir>/registries.json:
+ *
+ *   {
+ *     "registries": [
+ *       { "name": "internal", "url": "https://market.example.com/skills.json",
+ *         "zipBaseUrl": "https://market.example.com/zips", "priority": 10,
+ *         "headers": { "Authorization": "Bearer ${INTERNAL_MARKET_TOKEN}" } },
+ *       { "name": "public", "url": "default" }
+ *     ]
+ *   }
+ *
+ * Header values may only reference secrets through ${ENV_VAR}; they are expanded
+ * when the config is loaded.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { stateDir } from "./install-history.js";
+
+export const REGISTRIES_FILENAME = "registries.json";
+
+/**
+ * Path of the registry config file.
+ * @returns {string}
+ */
+export function registryConfigPath() {
+  return process.env.SKILL_MARKET_REGISTRIES || path.join(stateDir(), REGISTRIES_FILENAME);
+}
+
+function expandEnv(value, where) {
+  return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+    const resolved = process.env[name];
+    if (resolved === undefined) {
+      throw new Error(`Environment variable ${name} (used in ${where}) is not set`);
+    }
+    return resolved;
+  });
+}
+
+function normalizeSource(entry, idx, file, defaults) {
+  const where = `${file} registries[${idx}]`;
+  if (!entry || typeof entry !== "object") throw new Error(`Invalid ${where}: expected an object`);
+  const url = entry.url === "default" ? defaults.url : String(entry.url || "");
+  if (!/^https?:\/\//.test(url)) throw new Error(`Invalid ${where}: "url" must be an http(s) URL or "default"`);
+  const priority = entry.priority ?? 0;
+  if (typeof priority !== "number") throw new Error(`Invalid ${where}: "priority" must be a number`);
+  const headers = {};
+  for (const [key, value] of Object.entries(entry.headers || {})) {
+    headers[key] = expandEnv(value, `${where}.headers.${key}`);
+  }
+  return {
+    name: String(entry.name || new URL(url).host),
+    url,
+    zipBaseUrl: entry.zipBaseUrl
+      ? String(entry.zipBaseUrl).replace(/\/+$/, "")
+      : url === defaults.url
+        ? defaults.zipBaseUrl
+        : new URL("zips", url).toString(),
+    priority,
+    headers,
+    trustKey: entry.trustKey ? String(entry.trustKey) : null,
+  };
+}
+
+/**
+ * Load configured registries, highest priority first (file order breaks ties).
+ * @param {{ url: string, zipBaseUrl: string }} defaults - The built-in registry
+ * @returns {Promise<Object[]|null>} null when no config file exists
+ */
+export async function loadRegistryConfig(defaults) {
+  const file = registryConfigPath();
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch {
+    if (process.env.SKILL_MARKET_REGISTRIES) throw new Error(`Registry config not found: ${file}`);
+    return null;
+  }
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid registry config ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(data.registries) || data.registries.length === 0) {
+    throw new Error(`Registry config ${file} must contain a non-empty "registries" array`);
+  }
+  const sources = data.registries.map((entry, idx) => normalizeSource(entry, idx, file, defaults));
+  const names = new Set();
+  for (const source of sources) {
+    if (names.has(source.name)) throw new Error(`Duplicate registry name "${source.name}" in ${file}`);
+    names.add(source.name);
+  }
+  return sources
+    .map((source, idx) => ({ source, idx }))
+    .sort((a, b) => b.source.priority - a.source.priority || a.idx - b.idx)
+    .map(({ source }) => source);
+}
+
+/**
+ * Merge loaded registries (highest priority first). A skill id present in several
+ * registries comes from the first one; it is reported as a conflict when the
+ * copies point at different commits.
+ * @param {{ source: Object, registry: Object }[]} loaded
+ * @returns {{ allSkills: Object[], repositories: Object, conflicts: Object[] }}
+ */
+export function mergeRegistries(loaded) {
+  const byId = new Map();
+  const conflicts = [];
+  const repositories = {};
+  for (const { registry } of [...loaded].reverse()) {
+    for (const [repo, info] of Object.entries(registry.repositories || {})) {
+      repositories[repo] = info;
+    }
+  }
+  for (const { source, registry } of loaded) {
+    for (const skill of registry.allSkills || []) {
+      const existing = byId.get(skill.id);
+      if (!existing) {
+        byId.set(skill.id, { ...skill, registry: source.name, zipBaseUrl: source.zipBaseUrl });
+        continue;
+      }
+      if ((existing.commitHash || "") !== (skill.commitHash || "")) {
+        conflicts.push({
+          id: skill.id,
+          used: { registry: existing.registry, commitHash: existing.commitHash || null },
+          ignored: { registry: source.name, commitHash: skill.commitHash || null },
+        });
+      }
+    }
+  }
+  return { allSkills: [...byId.values()], repositories, conflicts };
+}
@@ -0,0 +1,86 @@
+/**
+ * Registry signature verification. The publisher signs skills.json and every chunk
+ * with Ed25519 and publishes a detached "<file>.sig" (base64 signature of the exact
+ * bytes) next to it, in the repository and on the CDN.
+ */
+
+import fs from "node:fs/promises";
+import crypto from "node:crypto";
+
+export const SIGNATURE_SUFFIX = ".sig";
+
+/** The official registry, committed by the skill-scan workflow. */
+export const DEFAULT_REGISTRY_URL =
+  "https://raw.githubusercontent.com/coolzwc/open-skill-market/main/market/skills.json";
+
+/**
+ * Public key of the official registry (base64 raw Ed25519 key). Empty until the
+ * maintainers provision the publisher key; until then verification is opt-in
+ * (--trust-key, SKILL_MARKET_TRUST_KEY or a registry's trustKey).
+ */
+export const PINNED_REGISTRY_KEY = "";
+
+/**
+ * Pinned key for a registry URL: the publisher key for the default registry once one
+ * is pinned, else null.
+ * @param {string} registryUrl
+ * @returns {crypto.KeyObject|null}
+ */
+export function pinnedTrustKey(registryUrl) {
+  if (registryUrl !== DEFAULT_REGISTRY_URL || !PINNED_REGISTRY_KEY) return null;
+  return parsePublicKey(PINNED_REGISTRY_KEY);
+}
+
+/**
+ * Parse a public key given as base64 raw Ed25519 key (32 bytes) or PEM (SPKI).
+ * @param {string} value
+ * @returns {crypto.KeyObject}
+ */
+export function parsePublicKey(value) {
+  const text = String(value || "").trim();
+  let key;
+  if (text.startsWith("-----BEGIN")) {
+    key = crypto.createPublicKey(text);
+  } else {
+    const raw = Buffer.from(text, "base64");
+    if (raw.length !== 32) {
+      throw new Error("Trust key must be a base64 Ed25519 public key (32 bytes) or a PEM file");
+    }
+    key = crypto.createPublicKey({
+      key: { kty: "OKP", crv: "Ed25519", x: raw.toString("base64url") },
+      format: "jwk",
+    });
+  }
+  if (key.asymmetricKeyType !== "ed25519") {
+    throw new Error(`Trust key must be Ed25519, got ${key.asymmetricKeyType}`);
+  }
+  return key;
+}
+
+/**
+ * Resolve --trust-key: a path to a PEM file, or the key itself.
+ * @param {string} value
+ * @returns {Promise<crypto.KeyObject>}
+ */
+export async function loadTrustKey(value) {
+  let text = String(value);
+  try {
+    text = await fs.readFile(text, "utf8");
+  } catch {
+    // Not a file: treat as an inline key
+  }
+  return parsePublicKey(text);
+}
+
+/**
+ * Verify a detached registry signature.
+ * @param {Buffer|string} content - Exact bytes of the signed file
+ * @param {string} signature - Contents of the .sig file (base64)
+ * @param {crypto.KeyObject} publicKey
+ * @returns {boolean}
+ */
+export function verifyRegistrySignature(content, signature, publicKey) {
+  const sig = Buffer.from(String(signature || "").trim(), "base64");
+  if (sig.length === 0) return false;
+  return crypto.verify(null, Buffer.from(content), publicKey, sig);
+}
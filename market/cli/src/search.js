@@ -0,0 +1,265 @@
+/**
+ * Ranked skill search: BM25 scoring over weighted fields (name, tags, categories,
+ * description, id) with prefix and typo-tolerant term matching, boosted by the
+ * registry's quality and security scores.
+ */
+
+const FIELD_WEIGHTS = { name: 4, tags: 2.5, categories: 2, description: 1, id: 0.5 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Discount for how a query term matched a document term
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, typo: 0.5 };
+
+export const RISK_LEVELS = ["low", "medium", "high", "critical"];
+export const SORT_KEYS = ["relevance", "stars", "quality", "security", "name"];
+
+/**
+ * Lowercase word tokens; splits on punctuation, hyphens and camelCase.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance, giving up above max.
+ * @returns {number} distance, or max + 1 when it exceeds max
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prev2[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Short terms must match exactly or by prefix; longer ones tolerate typos
+function typoBudget(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+function matchKind(queryTerm, docTerm) {
+  if (docTerm === queryTerm) return "exact";
+  if (queryTerm.length >= 2 && docTerm.startsWith(queryTerm)) return "prefix";
+  const budget = typoBudget(queryTerm);
+  if (budget > 0 && editDistance(queryTerm, docTerm, budget) <= budget) return "typo";
+  return null;
+}
+
+/**
+ * Tokenize every skill once for repeated searches.
+ * @param {Object[]} skills - Expanded registry skills
+ * @returns {{ docs: Object[], vocabulary: Map<string, number>, avgLength: Object<string, number> }}
+ */
+export function buildSearchIndex(skills) {
+  const docs = skills.map((skill) => {
+    const fields = {
+      name: tokenize(skill.name),
+      tags: (skill.tags || []).flatMap(tokenize),
+      categories: (skill.categories || []).flatMap(tokenize),
+      description: tokenize(skill.description),
+      id: tokenize(skill.id),
+    };
+    const counts = {};
+    for (const [field, tokens] of Object.entries(fields)) {
+      counts[field] = new Map();
+      for (const token of tokens) counts[field].set(token, (counts[field].get(token) || 0) + 1);
+    }
+    const terms = new Set(Object.values(fields).flat());
+    return { skill, fields, counts, terms };
+  });
+
+  // Document frequency per term
+  const vocabulary = new Map();
+  for (const doc of docs) {
+    for (const term of doc.terms) vocabulary.set(term, (vocabulary.get(term) || 0) + 1);
+  }
+
+  const avgLength = {};
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    const total = docs.reduce((sum, doc) => sum + doc.fields[field].length, 0);
+    avgLength[field] = docs.length ? total / docs.length || 1 : 1;
+  }
+  return { docs, vocabulary, avgLength };
+}
+
+/**
+ * Vocabulary terms a query term can stand for, with their match discount.
+ * @returns {Map<string, number>}
+ */
+function expandTerm(queryTerm, vocabulary) {
+  const expansions = new Map();
+  for (const term of vocabulary.keys()) {
+    const kind = matchKind(queryTerm, term);
+    if (kind) expansions.set(term, MATCH_WEIGHTS[kind]);
+  }
+  return expansions;
+}
+
+function idf(docFrequency, docCount) {
+  return Math.log(1 + (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+}
+
+/**
+ * BM25F score of one query term against a document. The idf is the query term's
+ * (over every document any expansion occurs in), so a rare prefix or typo match
+ * never outranks an exact one.
+ * @returns {number} 0 when the term does not match
+ */
+function scoreTerm(doc, expansions, termIdf, index) {
+  let best = 0;
+  for (const term of doc.terms) {
+    const discount = expansions.get(term);
+    if (!discount) continue;
+    let weightedTf = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const tf = doc.counts[field].get(term);
+      if (!tf) continue;
+      const norm = 1 - BM25_B + BM25_B * (doc.fields[field].length / index.avgLength[field]);
+      weightedTf += (weight * tf) / norm;
+    }
+    const saturated = (weightedTf * (BM25_K1 + 1)) / (weightedTf + BM25_K1);
+    const score = discount * termIdf * saturated;
+    best = Math.max(best, score);
+  }
+  return best;
+}
+
+// Quality and security scores (0-100) lift relevance by up to 20% and 10%
+function scoreBoost(skill) {
+  const quality = skill.qualityScore == null ? 0 : skill.qualityScore / 100;
+  const security = skill.securityScore == null ? 0 : skill.securityScore / 100;
+  return 1 + 0.2 * quality + 0.1 * security;
+}
+
+/**
+ * Whether a skill passes the search filters.
+ * @param {Object} skill
+ * @param {{ category?: string, tags?: string[], minQuality?: number, maxRisk?: string }} filters
+ * @returns {boolean}
+ */
+export function matchesFilters(skill, filters = {}) {
+  if (filters.category) {
+    const wanted = filters.category.toLowerCase();
+    if (!(skill.categories || []).some((item) => item.toLowerCase() === wanted)) return false;
+  }
+  if (filters.tags?.length) {
+    const tags = (skill.tags || []).map((item) => item.toLowerCase());
+    if (!filters.tags.every((tag) => tags.includes(tag.toLowerCase()))) return false;
+  }
+  if (filters.minQuality != null) {
+    if (skill.qualityScore == null || skill.qualityScore < filters.minQuality) return false;
+  }
+  if (filters.maxRisk) {
+    const rank = RISK_LEVELS.indexOf(skill.riskLevel);
+    if (rank === -1 || rank > RISK_LEVELS.indexOf(filters.maxRisk)) return false;
+  }
+  return true;
+}
+
+function compareBy(sort) {
+  const byStars = (a, b) => b.skill.stars - a.skill.stars || a.skill.name.localeCompare(b.skill.name);
+  switch (sort) {
+    case "stars":
+      return byStars;
+    case "quality":
+      return (a, b) => (b.skill.qualityScore ?? -1) - (a.skill.qualityScore ?? -1) || byStars(a, b);
+    case "security":
+      return (a, b) => (b.skill.securityScore ?? -1) - (a.skill.securityScore ?? -1) || byStars(a, b);
+    case "name":
+      return (a, b) => a.skill.name.localeCompare(b.skill.name);
+    case "relevance":
+    default:
+      return (a, b) => b.exact - a.exact || b.score - a.score || byStars(a, b);
+  }
+}
+
+/**
+ * Whether the query is the skill's name or id (ignoring case and punctuation), so
+ * "pdf" finds the skill named pdf before skills that only mention it.
+ * @param {Object} doc - buildSearchIndex() document
+ * @param {string[]} queryTerms
+ * @returns {boolean}
+ */
+function isExactMatch(doc, queryTerms) {
+  const query = queryTerms.join(" ");
+  return doc.fields.name.join(" ") === query || doc.fields.id.join(" ") === query;
+}
+
+/**
+ * Rank skills for a query. Every query term must match (exactly, by prefix or
+ * within the typo budget) in some field; by relevance, skills whose name or id is
+ * the query come first. A blank query returns the skills that pass the filters
+ * (none without filters); a query without letters or digits matches nothing.
+ * @param {Object[]|Object} skillsOrIndex - Expanded skills or a buildSearchIndex() result
+ * @param {string} query
+ * @param {{ filters?: Object, sort?: string }} [options]
+ * @returns {{ skill: Object, score: number, fuzzy: boolean, exact: boolean }[]} fuzzy: some
+ *   term matched only as a typo; exact: the query is the skill's name or id
+ */
+export function searchSkills(skillsOrIndex, query, options = {}) {
+  const index = Array.isArray(skillsOrIndex) ? buildSearchIndex(skillsOrIndex) : skillsOrIndex;
+  const { filters = {}, sort = "relevance" } = options;
+  const orderedTerms = tokenize(query);
+  const queryTerms = [...new Set(orderedTerms)];
+  if (queryTerms.length === 0 && (String(query || "").trim() || Object.keys(filters).length === 0)) {
+    return [];
+  }
+  const expansions = queryTerms.map((term) => expandTerm(term, index.vocabulary));
+  const termIdfs = expansions.map((termExpansions) => {
+    const docFrequency = index.docs.filter((doc) =>
+      [...doc.terms].some((term) => termExpansions.has(term)),
+    ).length;
+    return idf(docFrequency, index.docs.length);
+  });
+
+  const results = [];
+  for (const doc of index.docs) {
+    if (!matchesFilters(doc.skill, filters)) continue;
+    let score = 0;
+    let fuzzy = false;
+    let matchedAll = true;
+    for (const [termIndex, termExpansions] of expansions.entries()) {
+      const termScore = scoreTerm(doc, termExpansions, termIdfs[termIndex], index);
+      if (termScore === 0) {
+        matchedAll = false;
+        break;
+      }
+      score += termScore;
+      const closeMatch = [...doc.terms].some(
+        (term) => termExpansions.get(term) > MATCH_WEIGHTS.typo,
+      );
+      if (!closeMatch) fuzzy = true;
+    }
+    if (!matchedAll) continue;
+    results.push({
+      skill: doc.skill,
+      score: score * scoreBoost(doc.skill),
+      fuzzy,
+      exact: orderedTerms.length > 0 && isExactMatch(doc, orderedTerms),
+    });
+  }
+  return results.sort(compareBy(sort));
+}
@@ -0,0 +1,49 @@
+/**
+ * SKILL.md metadata rules for `doctor`. The crawler imports validateSkillMetadata from
+ * here too, so an installed skill is held to the rules the registry lists skills by.
+ */
+
+import matter from "gray-matter";
+
+/**
+ * Name and description from SKILL.md frontmatter, parsed with gray-matter like the
+ * crawler does.
+ * @param {string} text - SKILL.md content
+ * @returns {{ name: string|null, description: string|null }|null} null when the frontmatter is not valid YAML
+ */
+export function parseSkillFrontmatter(text) {
+  let data;
+  try {
+    data = matter(text).data;
+  } catch {
+    return null;
+  }
+  return {
+    name: data.name == null ? null : String(data.name),
+    description: data.description == null ? null : String(data.description),
+  };
+}
+
+/**
+ * Validate the name and description a skill needs to be usable at all
+ * @param {{ name?: string|null, description?: string|null }} parsed
+ * @returns {{ isValid: boolean, reason: string }}
+ */
+export function validateSkillMetadata(parsed) {
+  if (!parsed.name || parsed.name.length < 2) {
+    return { isValid: false, reason: "Missing or invalid name in frontmatter" };
+  }
+
+  if (!/^[a-z0-9][a-z0-9-]*[a-z0-9]$|^[a-z0-9]$/.test(parsed.name)) {
+    return { isValid: false, reason: "Name must be lowercase with hyphens" };
+  }
+
+  if (!parsed.description || parsed.description.length < 20) {
+    return {
+      isValid: false,
+      reason: "Missing or too short description (min 20 chars)",
+    };
+  }
+
+  return { isValid: true, reason: "" };
+}
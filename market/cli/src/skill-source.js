@@ -0,0 +1,89 @@
+/**
+ * Install sources outside the registry: `github:owner/repo[/path][@ref]`,
+ * GitHub tree URLs, local skill directories and local .zip files.
+ */
+
+import path from "node:path";
+import os from "node:os";
+
+/**
+ * Auth header for GitHub API requests when GITHUB_TOKEN is set (private repos, rate limits).
+ * @param {string} url
+ * @returns {Object<string, string>}
+ */
+export function githubAuthHeaders(url) {
+  const token = process.env.GITHUB_TOKEN;
+  if (!token || !url.startsWith("https://api.github.com/")) return {};
+  return { Authorization: `Bearer ${token}` };
+}
+
+function parseGithubSpec(spec) {
+  const at = spec.lastIndexOf("@");
+  const ref = at > 0 ? spec.slice(at + 1) : "";
+  const [owner, repo, ...rest] = (at > 0 ? spec.slice(0, at) : spec).split("/").filter(Boolean);
+  if (!owner || !repo) throw new Error(`Invalid GitHub source "github:${spec}" (expected github:owner/repo[/path][@ref])`);
+  return { type: "github", owner, repo: repo.replace(/\.git$/, ""), path: rest.join("/"), ref };
+}
+
+/**
+ * Recognize a non-registry install source. Local paths must be explicit
+ * (./, ../, /, ~/ or file:) so registry ids like owner/repo/skill are never mistaken
+ * for paths.
+ * @param {string} selector
+ * @returns {{ type: "github", owner: string, repo: string, path: string, ref: string }
+ *   | { type: "dir"|"zip", path: string } | null}
+ */
+export function parseSkillSource(selector) {
+  const value = String(selector || "").trim();
+  if (value.startsWith("github:")) return parseGithubSpec(value.slice("github:".length));
+
+  // https://github.com/owner/repo[/tree/<ref>/<path>]
+  const url = /^https:\/\/github\.com\/([^/]+)\/([^/]+?)(?:\.git)?(?:\/tree\/([^/]+)(?:\/(.*?))?)?\/?$/.exec(value);
+  if (url) {
+    return { type: "github", owner: url[1], repo: url[2], path: url[4] || "", ref: url[3] || "" };
+  }
+
+  let local = null;
+  if (value.startsWith("file:")) local = value.slice("file:".length).replace(/^\/\/(?=\/)/, "");
+  else if (value === "~" || value.startsWith("~/")) local = path.join(os.homedir(), value.slice(1));
+  else if (/^(\.{1,2}|\/)/.test(value) || /^[A-Za-z]:[\\/]/.test(value)) local = value;
+  if (local === null) return null;
+  const resolved = path.resolve(local);
+  return { type: resolved.toLowerCase().endsWith(".zip") ? "zip" : "dir", path: resolved };
+}
+
+/**
+ * Canonical spelling of a source, stored in install meta as `origin` so
+ * `update` can fetch it again.
+ * @param {Object} source - parseSkillSource() result
+ * @returns {string}
+ */
+export function formatSkillSource(source) {
+  if (source.type === "github") {
+    const base = [source.owner, source.repo, source.path].filter(Boolean).join("/");
+    return `github:${base}${source.ref ? `@${source.ref}` : ""}`;
+  }
+  return `file:${source.path}`;
+}
+
+/**
+ * Resolve a branch, tag or sha (default: the default branch) to a commit sha.
+ * @param {{ owner: string, repo: string, ref: string }} source
+ * @returns {Promise<string>}
+ */
+export async function resolveGithubCommit({ owner, repo, ref }) {
+  const url = `https://api.github.com/repos/${owner}/${repo}/commits/${encodeURIComponent(ref || "HEAD")}`;
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { Accept: "application/vnd.github.sha", ...githubAuthHeaders(url) },
+    });
+  } catch (err) {
+    throw new Error(`Cannot resolve ${owner}/${repo}@${ref || "HEAD"}: ${err.message}`);
+  }
+  if (!response.ok) {
+    const hint = response.status === 404 && !process.env.GITHUB_TOKEN ? " (private repo? set GITHUB_TOKEN)" : "";
+    throw new Error(`Cannot resolve ${owner}/${repo}@${ref || "HEAD"}: ${response.status}${hint}`);
+  }
+  return (await response.text()).trim();
+}
@@ -0,0 +1,35 @@
+/**
+ * Bounded-concurrency helpers for bulk downloads and scans.
+ */
+
+/**
+ * Run fn over items with at most `limit` calls in flight. After the first failure no
+ * new items are started; calls already running are awaited, then the error is thrown.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  async function worker() {
+    while (!failure && next < items.length) {
+      const idx = next;
+      next += 1;
+      try {
+        results[idx] = await fn(items[idx], idx);
+      } catch (err) {
+        failure ??= { err };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+  if (failure) throw failure.err;
+  return results;
+}
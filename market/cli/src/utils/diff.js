@@ -0,0 +1,117 @@
+/**
+ * Unified diff and frontmatter comparison for reviewing upstream skill changes.
+ */
+
+import { splitLines, matchLines } from "./merge.js";
+
+/**
+ * Line edit script from a to b.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {{ type: " " | "-" | "+", line: string }[]}
+ */
+function editScript(a, b) {
+  const aToB = matchLines(a, b);
+  const ops = [];
+  let j = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (aToB[i] === -1) {
+      ops.push({ type: "-", line: a[i] });
+      continue;
+    }
+    while (j < aToB[i]) ops.push({ type: "+", line: b[j++] });
+    ops.push({ type: " ", line: a[i] });
+    j += 1;
+  }
+  while (j < b.length) ops.push({ type: "+", line: b[j++] });
+  return ops;
+}
+
+function hunkRange(start, count) {
+  // Unified format: an empty range starts at the line before it
+  return `${count === 0 ? start - 1 : start},${count}`;
+}
+
+/**
+ * Unified diff of two texts (empty string when they are identical).
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {{ oldLabel?: string, newLabel?: string, context?: number }} [options]
+ * @returns {string}
+ */
+export function unifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = "a", newLabel = "b", context = 3 } = options;
+  const ops = editScript(splitLines(oldText), splitLines(newText));
+  const changed = ops.map((op, idx) => (op.type === " " ? -1 : idx)).filter((idx) => idx !== -1);
+  if (changed.length === 0) return "";
+
+  // Group changes whose context windows touch into one hunk
+  const hunks = [];
+  for (const idx of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && idx - last.end <= context * 2) last.end = idx;
+    else hunks.push({ start: idx, end: idx });
+  }
+
+  // Line numbers (1-based) of each op in the old and new text
+  const oldLine = [];
+  const newLine = [];
+  let o = 1;
+  let n = 1;
+  for (const op of ops) {
+    oldLine.push(o);
+    newLine.push(n);
+    if (op.type !== "+") o += 1;
+    if (op.type !== "-") n += 1;
+  }
+
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length - 1, hunk.end + context);
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter((op) => op.type !== "+").length;
+    const newCount = slice.filter((op) => op.type !== "-").length;
+    out.push(`@@ -${hunkRange(oldLine[from], oldCount)} +${hunkRange(newLine[from], newCount)} @@`);
+    for (const op of slice) out.push(`${op.type}${op.line}`);
+  }
+  return `${out.join("\n")}\n`;
+}
+
+/**
+ * Top-level frontmatter fields of a SKILL.md (raw values, nested lines included).
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+export function readFrontmatterFields(text) {
+  const lines = splitLines(text || "");
+  if (lines[0]?.trim() !== "---") return {};
+  const fields = {};
+  let key = null;
+  for (const line of lines.slice(1)) {
+    if (line.trim() === "---") break;
+    const match = /^([A-Za-z0-9_-]+):(.*)$/.exec(line);
+    if (match) {
+      key = match[1];
+      fields[key] = match[2].trim();
+    } else if (key) {
+      fields[key] = `${fields[key]}\n${line}`.trim();
+    }
+  }
+  return fields;
+}
+
+/**
+ * Frontmatter fields that were added, removed or changed.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {{ key: string, from: string|null, to: string|null }[]}
+ */
+export function diffFrontmatter(oldText, newText) {
+  const before = readFrontmatterFields(oldText);
+  const after = readFrontmatterFields(newText);
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys]
+    .filter((key) => before[key] !== after[key])
+    .map((key) => ({ key, from: before[key] ?? null, to: after[key] ?? null }));
+}
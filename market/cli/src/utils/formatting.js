@@ -43,6 +43,68 @@ export function formatScanTable(results) {
   return lines.join("\n");
 }
 
+/**
+ * Format `outdated` rows as a console table
+ * @param {Object[]} rows - Rows from the outdated command
+ * @returns {string}
+ */
+export function formatOutdatedTable(rows) {
+  const cols = {
+    name: Math.max(15, Math.min(25, Math.max(...rows.map(r => r.skill.name.length)))),
+    tool: 9,
+    current: 12,
+    latest: 12,
+    updated: 10,
+    delta: 9,
+  };
+  const formatDelta = (delta) => (delta == null ? "-" : delta > 0 ? `+${delta}` : String(delta));
+  const formatRisk = ({ installed, latest }) =>
+    installed && latest && installed !== latest ? `${installed} → ${latest}` : latest || "-";
+
+  const lines = [];
+  const header = `${padRight("Skill Name", cols.name)} │ ${padRight("Tool", cols.tool)} │ ${padRight("Current", cols.current)} │ ${padRight("Latest", cols.latest)} │ ${padRight("Updated", cols.updated)} │ ${padRight("Security", cols.delta)} │ ${padRight("Quality", cols.delta)} │ Risk`;
+  lines.push(header);
+  lines.push("─".repeat(header.length));
+  for (const row of rows) {
+    const name = truncate(row.skill.name, cols.name);
+    const tool = row.scope === "project" ? `${row.tool}*` : row.tool;
+    const current = row.status === "pinned" ? `${(row.currentCommitHash || "").slice(0, 8)} pin` : (row.currentCommitHash || "?").slice(0, cols.current);
+    const latest = row.status === "outdated" ? `${(row.latestCommitHash || "").slice(0, 10)} ↑` : (row.latestCommitHash || "?").slice(0, cols.latest);
+    const updated = (row.lastUpdated || "-").slice(0, 10);
+    lines.push(
+      `${padRight(name, cols.name)} │ ${padRight(tool, cols.tool)} │ ${padRight(current, cols.current)} │ ${padRight(latest, cols.latest)} │ ${padRight(updated, cols.updated)} │ ${padRight(formatDelta(row.securityDelta), cols.delta)} │ ${padRight(formatDelta(row.qualityDelta), cols.delta)} │ ${formatRisk(row.riskLevel)}`,
+    );
+  }
+  if (rows.some((row) => row.scope === "project")) lines.push("* project scope");
+  return lines.join("\n");
+}
+
+/**
+ * Format `doctor` findings, grouped per installed skill
+ * @param {{ name: string, tool: string, scope: string, localSkillDir: string, issues: Object[] }[]} rows
+ * @param {{ checked: number, errors: number, warnings: number, fixable: number, fixed: number }} summary
+ * @returns {string}
+ */
+export function formatDoctorReport(rows, summary) {
+  const icons = { error: "✗", warning: "!", info: "·" };
+  const lines = [];
+  for (const row of rows) {
+    const scope = row.scope === "project" ? ", project" : "";
+    lines.push(`${row.name} (${row.tool}${scope}) ${row.localSkillDir}`);
+    for (const issue of row.issues) {
+      const status = issue.fixed ? " [fixed]" : issue.fix ? ` [--fix: ${issue.fix}]` : "";
+      lines.push(`  ${issue.fixed ? "✓" : icons[issue.severity]} ${issue.message}${status}`);
+    }
+  }
+  if (rows.length > 0) lines.push("");
+  lines.push(
+    `Checked ${summary.checked} skill dir(s): ${summary.errors} error(s), ${summary.warnings} warning(s)` +
+      (summary.fixed ? `, ${summary.fixed} fixed` : "") + ".",
+  );
+  if (summary.fixable > 0) lines.push(`${summary.fixable} issue(s) can be repaired with --fix.`);
+  return lines.join("\n");
+}
+
 /**
  * Pad string to the right
  * @private
@@ -63,9 +125,10 @@ function truncate(str, width) {
 
 /**
  * Get colored/formatted risk level badge
- * @private
+ * @param {string} riskLevel
+ * @returns {string}
  */
-function getRiskBadge(riskLevel) {
+export function getRiskBadge(riskLevel) {
   switch (riskLevel) {
     case "critical":
       return "[CRITICAL]";
@@ -101,6 +164,8 @@ export function formatSecurityPrompt(result, skillName) {
       }
     }
   }
+  const suppressions = formatSuppressions(result);
+  if (suppressions.length > 0) lines.push("", ...suppressions);
 
   lines.push(
     `\nContinue with installation? (y/n, or use --force to skip this prompt)`
@@ -109,6 +174,30 @@ export function formatSecurityPrompt(result, skillName) {
   return lines.join("\n");
 }
 
+/**
+ * Format the single security confirmation asked after a bulk update has scanned
+ * every skill
+ * @param {{ skill: Object, scanResult: Object }[]} flagged - Skills that need confirmation
+ * @returns {string}
+ */
+export function formatBatchSecurityPrompt(flagged) {
+  const lines = [];
+  lines.push(`\n⚠️  Security Check: ${flagged.length} update(s) need confirmation`);
+  lines.push(`═══════════════════════════════════════`);
+  for (const { skill, scanResult } of flagged) {
+    const issues = (scanResult.scanTags || []).filter((tag) => tag !== "safe");
+    lines.push(
+      `  ${skill.name}: ${getRiskBadge(scanResult.riskLevel)} | Security: ${scanResult.securityScore}/100 | Quality: ${scanResult.qualityScore}/100`,
+    );
+    if (issues.length > 0) lines.push(`    Issues: ${issues.join(", ")}`);
+    lines.push(...formatSuppressions(scanResult).map((line) => `    ${line}`));
+  }
+  lines.push(
+    `\nUpdate these skills? (y/n; "n" skips them, other updates still apply)`
+  );
+  return lines.join("\n");
+}
+
 /**
  * Format quality warning message
  * @param {Object} result - Scan result object
@@ -143,9 +232,38 @@ export function formatSecurityInfo(result, skillName) {
   const lines = [];
   lines.push(`✓ [${skillName}] Security check passed`);
   lines.push(`  Security: ${result.securityScore}/100 | Quality: ${result.qualityScore}/100`);
+  lines.push(...formatSuppressions(result).map((line) => `  ${line}`));
   return lines.join("\n");
 }
 
+/**
+ * Format the findings the skill suppresses itself (skill-scan-ignore, scan.ignore),
+ * one line per tag and reason with where they were found
+ * @param {Object} result - Scan result object (suppressedRisks when detailed)
+ * @returns {string[]} Empty when nothing was suppressed
+ */
+export function formatSuppressions(result) {
+  if (!result.suppressedTags) return [];
+  const heading = result.suppressionsIgnored
+    ? "Suppressed by the skill (still scored, the install policy ignores it):"
+    : "Suppressed by the skill (not scored):";
+  const grouped = new Map();
+  for (const risk of result.suppressedRisks || []) {
+    const reason = risk.suppressed?.reason || "no reason given";
+    const key = `${risk.tag}\n${reason}`;
+    if (!grouped.has(key)) grouped.set(key, { tag: risk.tag, reason, places: [] });
+    grouped.get(key).places.push(risk.line ? `${risk.file}:${risk.line}` : risk.file);
+  }
+  if (grouped.size === 0) {
+    return [heading, ...result.suppressedTags.map((tag) => `  - ${tag}`)];
+  }
+  const lines = [heading];
+  for (const { tag, reason, places } of grouped.values()) {
+    lines.push(`  - ${tag} (${places.join(", ")}): ${reason}`);
+  }
+  return lines;
+}
+
 /**
  * Format removal confirmation prompt
  * @param {string} skillName - Skill name for display
@@ -156,6 +274,147 @@ export function formatRemovalPrompt(skillName, skillPath) {
   return `\n❓ Remove skill "${skillName}" from ${skillPath}? (y/n)`;
 }
 
+/**
+ * Format prompt shown when an installed skill has local modifications
+ * @param {string} skillName - Skill name for display
+ * @param {string[]} modifiedFiles - Relative paths that changed since install
+ * @returns {string}
+ */
+export function formatModifiedPrompt(skillName, modifiedFiles) {
+  const lines = [];
+  lines.push(`\n✎ "${skillName}" has local modifications:`);
+  for (const file of modifiedFiles) {
+    lines.push(`  • ${file}`);
+  }
+  lines.push(`\n[k]eep local (default), [o]verwrite with upstream, or [m]erge?`);
+  return lines.join("\n");
+}
+
+/**
+ * Format the install plan shown before dependencies are installed
+ * @param {string} skillName - Skill being installed
+ * @param {{ skill: Object, requiredBy: string, targets: Object[] }[]} plan - Dependencies in install order
+ * @returns {string}
+ */
+export function formatInstallPlan(skillName, plan) {
+  const lines = [];
+  lines.push(`\n📦 Install plan for "${skillName}":`);
+  plan.forEach((step, idx) => {
+    const note = step.targets.length === 0 ? "already installed" : `required by ${step.requiredBy}`;
+    lines.push(`  ${idx + 1}. ${step.skill.name}  [${step.skill.id}]  (${note})`);
+  });
+  lines.push(`  ${plan.length + 1}. ${skillName}`);
+  return lines.join("\n");
+}
+
+/**
+ * Format the --diff review of an upstream update
+ * @param {string} label - Skill (and tool) label
+ * @param {{ files: Object[], frontmatter: Object[], scan: Object }} review
+ * @returns {string}
+ */
+export function formatUpstreamReview(label, review) {
+  const lines = [];
+  lines.push(`\n🔍 Upstream changes for "${label}" (${review.files.length} file(s)):`);
+  for (const { key, from, to } of review.frontmatter) {
+    if (from === null) lines.push(`  + frontmatter ${key}: ${to}`);
+    else if (to === null) lines.push(`  - frontmatter ${key}: ${from}`);
+    else lines.push(`  ~ frontmatter ${key}: ${from} → ${to}`);
+  }
+  const { riskLevel, addedTags, removedTags } = review.scan;
+  if (riskLevel.from !== riskLevel.to) {
+    lines.push(`  Risk level: ${riskLevel.from || "unknown"} → ${riskLevel.to || "unknown"}`);
+  }
+  if (addedTags.length > 0) lines.push(`  Scan tags added: ${addedTags.join(", ")}`);
+  if (removedTags.length > 0) lines.push(`  Scan tags removed: ${removedTags.join(", ")}`);
+  for (const file of review.files) {
+    lines.push("");
+    lines.push(file.diff.trimEnd());
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Format line-precise scan findings like linter output, grouped by file:
+ *
+ *   scripts/run.sh
+ *     3:1      high     dangerous-shell   rm -rf /tmp/x
+ *        2 | # cleanup
+ *     >  3 | rm -rf /tmp/x
+ *          | ^^^^^^^^^^^^^
+ *     fix: Avoid destructive commands ...
+ *
+ * @param {Object[]} findings - detectedRisks from a detailed scan
+ * @returns {string}
+ */
+export function formatFindings(findings) {
+  const located = (findings || []).filter((finding) => finding.file && finding.line);
+  const byFile = new Map();
+  for (const finding of located) {
+    if (!byFile.has(finding.file)) byFile.set(finding.file, []);
+    byFile.get(finding.file).push(finding);
+  }
+  // Rule pack ids can be longer than the built-in tags
+  const tagWidth = Math.max(17, ...located.map((finding) => finding.tag.length));
+  const lines = [];
+  for (const [file, fileFindings] of byFile) {
+    lines.push(file);
+    for (const finding of fileFindings) {
+      lines.push(
+        `  ${padRight(`${finding.line}:${finding.column}`, 8)} ${padRight(finding.riskLevel, 8)} ${padRight(finding.tag, tagWidth)} ${finding.match}${formatLane(finding)}`,
+      );
+      const { startLine, lines: context } = finding.context || { startLine: finding.line, lines: [] };
+      const width = String(startLine + context.length - 1).length;
+      for (const [offset, text] of context.entries()) {
+        const lineNo = startLine + offset;
+        const marker = lineNo === finding.line ? ">" : " ";
+        lines.push(`    ${marker} ${String(lineNo).padStart(width)} | ${text}`);
+        if (lineNo === finding.line) {
+          const caret = "^".repeat(Math.max(1, Math.min(finding.match.length, text.length - finding.column + 1)));
+          lines.push(`      ${" ".repeat(width)} | ${" ".repeat(finding.column - 1)}${caret}`);
+        }
+      }
+      if (finding.suppressed) lines.push(`    ${formatSuppression(finding.suppressed)}`);
+      else if (finding.fix) lines.push(`    fix: ${finding.fix}`);
+    }
+    lines.push("");
+  }
+  const count = located.length;
+  const noun = located.every((finding) => finding.suppressed) ? "suppressed finding(s)" : "finding(s)";
+  if (count > 0) lines.push(`${count} ${noun} in ${byFile.size} file(s)`);
+  return lines.join("\n");
+}
+
+// Markdown lane of a finding, e.g. "  (code-block bash)"; nothing for scripts
+function formatLane({ lane, language }) {
+  if (!lane || lane === "file") return "";
+  return `  (${lane}${language ? ` ${language}` : ""})`;
+}
+
+function formatSuppression({ source, line, reason }) {
+  const where = source === "comment" ? `skill-scan-ignore on line ${line}` : "SKILL.md scan.ignore";
+  return `suppressed by ${where}${reason ? `: ${reason}` : ""}`;
+}
+
+/**
+ * Format the findings, suppressed findings and suppression warnings of a detailed scan.
+ * @param {{ detectedRisks?: Object[], suppressedRisks?: Object[], suppressionWarnings?: string[] }} result
+ * @returns {string} Empty when there is nothing to report
+ */
+export function formatScanDetails(result) {
+  const sections = [];
+  if (result.detectedRisks?.length > 0) {
+    sections.push(`Findings:\n\n${formatFindings(result.detectedRisks)}`);
+  }
+  if (result.suppressedRisks?.length > 0) {
+    sections.push(`Suppressed findings (not scored):\n\n${formatFindings(result.suppressedRisks)}`);
+  }
+  if (result.suppressionWarnings?.length > 0) {
+    sections.push(`Suppression warnings:\n${result.suppressionWarnings.map((warning) => `  - ${warning}`).join("\n")}`);
+  }
+  return sections.join("\n\n");
+}
+
 /**
  * Format removal success message
  * @param {string} skillName - Skill name for display
@@ -178,11 +437,15 @@ export function formatScanResultsJson(results) {
     results: results.map((r) => ({
       name: r.name,
       id: r.id,
+      ...(r.scope ? { scope: r.scope, path: r.path } : {}),
       securityScore: r.securityScore,
       qualityScore: r.qualityScore,
       riskLevel: r.riskLevel,
       scanTags: r.scanTags,
       detectedRisks: r.detectedRisks || null,
+      suppressedTags: r.suppressedTags || [],
+      suppressedRisks: r.suppressedRisks || null,
+      suppressionWarnings: r.suppressionWarnings || [],
     })),
   };
 }
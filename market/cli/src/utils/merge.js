@@ -0,0 +1,128 @@
+/**
+ * Line-based diff and three-way merge utilities for installed skill files.
+ */
+
+const MAX_LCS_CELLS = 25_000_000; // above this, treat the differing middle as fully replaced
+
+/**
+ * Split text into lines (keeps a trailing empty line out of the list).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Longest-common-subsequence line matches between a and b.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number[]} aToB - for each line of a, the matching index in b or -1
+ */
+export function matchLines(a, b) {
+  const aToB = new Array(a.length).fill(-1);
+
+  // Common prefix/suffix are matched directly; only the middle needs LCS
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    aToB[start] = start;
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+    aToB[endA] = endB;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n === 0 || m === 0 || n * m > MAX_LCS_CELLS) return aToB;
+
+  // lengths[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] =
+        a[start + i] === b[start + j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      aToB[start + i] = start + j;
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return aToB;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, idx) => line === b[idx]);
+}
+
+/**
+ * Three-way merge of text files (diff3). Regions changed on one side only are taken
+ * from that side; regions changed differently on both sides become conflicts.
+ * @param {string} base - Common ancestor (installed upstream version)
+ * @param {string} local - User's edited copy
+ * @param {string} upstream - New upstream version
+ * @param {{ localLabel?: string, upstreamLabel?: string }} [labels]
+ * @returns {{ text: string, conflicts: number }}
+ */
+export function mergeThreeWay(base, local, upstream, labels = {}) {
+  const { localLabel = "local", upstreamLabel = "upstream" } = labels;
+  const baseLines = splitLines(base);
+  const localLines = splitLines(local);
+  const upLines = splitLines(upstream);
+  const toLocal = matchLines(baseLines, localLines);
+  const toUp = matchLines(baseLines, upLines);
+
+  const out = [];
+  let conflicts = 0;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+  for (;;) {
+    // Next sync point: a base line kept on both sides
+    let next = i;
+    while (next < baseLines.length && (toLocal[next] === -1 || toUp[next] === -1)) next += 1;
+    const atEnd = next >= baseLines.length;
+    const localEnd = atEnd ? localLines.length : toLocal[next];
+    const upEnd = atEnd ? upLines.length : toUp[next];
+
+    const baseChunk = baseLines.slice(i, next);
+    const localChunk = localLines.slice(j, localEnd);
+    const upChunk = upLines.slice(k, upEnd);
+    if (sameLines(localChunk, baseChunk)) {
+      out.push(...upChunk);
+    } else if (sameLines(upChunk, baseChunk) || sameLines(localChunk, upChunk)) {
+      out.push(...localChunk);
+    } else {
+      conflicts += 1;
+      out.push(`<<<<<<< ${localLabel}`, ...localChunk, "=======", ...upChunk, `>>>>>>> ${upstreamLabel}`);
+    }
+
+    if (atEnd) break;
+    out.push(baseLines[next]);
+    i = next + 1;
+    j = localEnd + 1;
+    k = upEnd + 1;
+  }
+
+  const text = out.length > 0 ? `${out.join("\n")}\n` : "";
+  return { text, conflicts };
+}
@@ -0,0 +1,43 @@
+/**
+ * Resolving `requires` into an install order.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import { resolveRequirement, buildInstallPlan } from "../src/dependency-plan.js";
+
+function skill(repo, name, requires = []) {
+  return { id: `${repo}/skills/${name}`, repo, name, requires };
+}
+
+test("resolveRequirement: exact id, then same repo, then the only skill of that name", () => {
+  const app = skill("acme/skills", "app");
+  const skills = [app, skill("acme/skills", "base"), skill("other/skills", "base"), skill("other/skills", "fonts")];
+  assert.strictEqual(resolveRequirement("other/skills/skills/base", app, skills), skills[2]);
+  assert.strictEqual(resolveRequirement("base", app, skills), skills[1]);
+  assert.strictEqual(resolveRequirement("fonts", app, skills), skills[3]);
+  assert.throws(() => resolveRequirement("missing", app, skills), /"missing" of app was not found/);
+  const outsider = skill("third/skills", "tool");
+  assert.throws(() => resolveRequirement("base", outsider, skills), /"base" of tool is ambiguous/);
+});
+
+test("buildInstallPlan: dependencies first, each once", () => {
+  const skills = [
+    skill("acme/skills", "app", ["ui", "base"]),
+    skill("acme/skills", "ui", ["base"]),
+    skill("acme/skills", "base"),
+  ];
+  const plan = buildInstallPlan(skills[0], skills);
+  assert.deepStrictEqual(
+    plan.map(({ skill: item, requiredBy }) => [item.name, requiredBy]),
+    [["base", "ui"], ["ui", "app"], ["app", null]],
+  );
+});
+
+test("buildInstallPlan: rejects dependency cycles", () => {
+  const skills = [
+    skill("acme/skills", "a", ["b"]),
+    skill("acme/skills", "b", ["c"]),
+    skill("acme/skills", "c", ["a"]),
+  ];
+  assert.throws(() => buildInstallPlan(skills[0], skills), /Dependency cycle: a -> b -> c -> a/);
+});
@@ -0,0 +1,42 @@
+/**
+ * Unified diff and frontmatter comparison.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import { unifiedDiff, readFrontmatterFields, diffFrontmatter } from "../src/utils/diff.js";
+
+test("unifiedDiff: empty for identical texts, hunks with context otherwise", () => {
+  assert.strictEqual(unifiedDiff("a\nb\n", "a\nb\n"), "");
+  const diff = unifiedDiff("1\n2\n3\n4\n5\n6\n7\n8\n9\n", "1\n2\n3\n4\nfive\n6\n7\n8\n9\n", {
+    oldLabel: "installed",
+    newLabel: "upstream",
+    context: 1,
+  });
+  assert.strictEqual(diff, "--- installed\n+++ upstream\n@@ -4,3 +4,3 @@\n 4\n-5\n+five\n 6\n");
+});
+
+test("unifiedDiff: separate hunks for distant changes, empty ranges for pure additions", () => {
+  const lines = Array.from({ length: 20 }, (_, idx) => String(idx + 1));
+  const changed = [...lines];
+  changed[1] = "two";
+  changed[17] = "eighteen";
+  const diff = unifiedDiff(`${lines.join("\n")}\n`, `${changed.join("\n")}\n`);
+  assert.strictEqual(diff.match(/^@@/gm).length, 2);
+  assert.strictEqual(unifiedDiff("", "new\n"), "--- a\n+++ b\n@@ -0,0 +1,1 @@\n+new\n");
+});
+
+test("readFrontmatterFields and diffFrontmatter: top-level fields, nested lines included", () => {
+  const before = "---\nname: pdf\ndescription: Read PDFs\nmetadata:\n  version: 1\n---\n# PDF\n";
+  const after = "---\nname: pdf\ndescription: Read and fill PDFs\nmetadata:\n  version: 2\nlicense: MIT\n---\n# PDF\n";
+  assert.deepStrictEqual(readFrontmatterFields(before), {
+    name: "pdf",
+    description: "Read PDFs",
+    metadata: "version: 1",
+  });
+  assert.deepStrictEqual(readFrontmatterFields("# No frontmatter\n"), {});
+  assert.deepStrictEqual(diffFrontmatter(before, after), [
+    { key: "description", from: "Read PDFs", to: "Read and fill PDFs" },
+    { key: "metadata", from: "version: 1", to: "version: 2" },
+    { key: "license", from: null, to: "MIT" },
+  ]);
+});
@@ -0,0 +1,67 @@
+/**
+ * doctor: SKILL.md checks, merge conflicts and duplicate installs.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import { checkSkillMd, conflictMarkerLine, findDuplicateNames } from "../src/doctor.js";
+
+const skillMd = (frontmatter, body = "# Skill\n") => `---\n${frontmatter}\n---\n${body}`;
+const codes = (issues) => issues.map((issue) => `${issue.code}: ${issue.message}`);
+
+test("checkSkillMd: a valid skill whose directory matches its name", () => {
+  const text = skillMd("name: code-review\ndescription: Review staged changes before committing them.");
+  assert.deepStrictEqual(checkSkillMd(text, "code-review"), []);
+});
+
+test("checkSkillMd: missing, unclosed and unparsable frontmatter", () => {
+  assert.deepStrictEqual(codes(checkSkillMd("# Skill\n", "x")), [
+    "skill-md-invalid: SKILL.md has no frontmatter (--- block)",
+  ]);
+  assert.deepStrictEqual(codes(checkSkillMd("---\nname: x\n", "x")), [
+    "skill-md-invalid: SKILL.md frontmatter is not closed (missing ---)",
+  ]);
+  assert.deepStrictEqual(codes(checkSkillMd(skillMd("name: x\nnot yaml"), "x")), [
+    "skill-md-invalid: SKILL.md frontmatter cannot be parsed (line 3)",
+  ]);
+  assert.deepStrictEqual(codes(checkSkillMd(skillMd("name: [x\ndescription: y"), "x")), [
+    "skill-md-invalid: SKILL.md frontmatter is not valid YAML",
+  ]);
+});
+
+test("checkSkillMd: the crawler's name and description rules, and the directory name", () => {
+  const description = "description: Review staged changes before committing them.";
+  assert.deepStrictEqual(codes(checkSkillMd(skillMd(`name: Code_Review\n${description}`), "Code_Review")), [
+    "skill-md-invalid: Name must be lowercase with hyphens",
+  ]);
+  assert.deepStrictEqual(codes(checkSkillMd(skillMd("name: code-review\ndescription: Short"), "code-review")), [
+    "skill-md-invalid: Missing or too short description (min 20 chars)",
+  ]);
+  assert.deepStrictEqual(codes(checkSkillMd(skillMd(`name: code-review\n${description}`), "review")), [
+    'name-mismatch: Directory "review" does not match frontmatter name "code-review"',
+  ]);
+});
+
+test("findDuplicateNames: copies of one install are fine, different sources are not", () => {
+  const meta = { skillId: "acme/skills/skills/review", installedCommitHash: "abc" };
+  const installs = [
+    { name: "review", tool: "cursor", scope: "user", localSkillDir: "/c/review", meta },
+    { name: "review", tool: "claude", scope: "user", localSkillDir: "/a/review", meta },
+  ];
+  assert.strictEqual(findDuplicateNames(installs).size, 0);
+  installs.push({ name: "review", tool: "codex", scope: "project", localSkillDir: "/x/review", meta: null });
+  const duplicates = findDuplicateNames(installs);
+  assert.strictEqual(duplicates.size, 3);
+  assert.strictEqual(duplicates.get("/x/review"), "Also installed for cursor, claude from a different source or commit");
+});
+
+test("checkSkillMd and conflictMarkerLine: unresolved merge conflicts", () => {
+  const text = skillMd(
+    "name: review\n<<<<<<< local\ndescription: Review staged changes locally.\n=======\ndescription: Review staged changes upstream.\n>>>>>>> upstream abc",
+  );
+  assert.strictEqual(conflictMarkerLine(text), 3);
+  assert.deepStrictEqual(codes(checkSkillMd(text, "review")), [
+    "merge-conflict: SKILL.md has unresolved merge conflict markers (line 3)",
+  ]);
+  // A lone marker-like line (e.g. in a code sample) is not a conflict
+  assert.strictEqual(conflictMarkerLine("# Git\n\n=======\nUse <<<<<<< to find conflicts.\n"), 0);
+});
@@ -0,0 +1,108 @@
+/**
+ * Test helpers: run the CLI in a sandbox (its own HOME, state and cache dirs) against
+ * a registry served from memory over HTTP.
+ */
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import AdmZip from "adm-zip";
+
+const BIN = fileURLToPath(new URL("../../bin/skill-market.js", import.meta.url));
+
+/**
+ * Serve files over HTTP on a free port.
+ * @param {Object<string, string|Buffer|Object>} files - Path (e.g. "skills.json") to body; objects are sent as JSON
+ * @returns {Promise<{ url: string, registryUrl: string, zipBaseUrl: string, requests: string[], files: Object, close: () => Promise<void> }>}
+ */
+export async function startRegistry(files) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const name = decodeURIComponent(req.url.split("?")[0]).replace(/^\//, "");
+    requests.push(name);
+    const body = served.files[name];
+    if (body === undefined) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200);
+    res.end(Buffer.isBuffer(body) || typeof body === "string" ? body : JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const served = {
+    url,
+    registryUrl: `${url}/skills.json`,
+    zipBaseUrl: `${url}/zips`,
+    requests,
+    files,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+  return served;
+}
+
+/**
+ * Registry document with the given skills, all from one repository.
+ * @param {Object[]} skills
+ * @returns {Object}
+ */
+export function registryDoc(skills = []) {
+  return {
+    meta: {},
+    repositories: { "acme/skills": { url: "https://github.com/acme/skills", branch: "main", stars: 1 } },
+    skills: skills.map((skill) => ({
+      repo: "acme/skills",
+      author: "acme",
+      path: `skills/${skill.name}`,
+      id: `acme/skills/skills/${skill.name}`,
+      categories: ["Development"],
+      ...skill,
+    })),
+  };
+}
+
+/**
+ * Skill zip as the crawler uploads it (files in a directory named after the skill).
+ * @param {string} skillName
+ * @param {Object<string, string>} files
+ * @returns {Buffer}
+ */
+export function skillZip(skillName, files) {
+  const zip = new AdmZip();
+  for (const [name, text] of Object.entries(files)) {
+    zip.addFile(`${skillName}/${name}`, Buffer.from(text, "utf8"));
+  }
+  return zip.toBuffer();
+}
+
+/**
+ * Temp directory with a home, state and cache dir for one test.
+ * @returns {Promise<{ dir: string, env: Object<string, string>, cleanup: () => Promise<void> }>}
+ */
+export async function makeSandbox() {
+  const dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "skill-market-test-")));
+  const home = path.join(dir, "home");
+  await fs.mkdir(home);
+  const env = { ...process.env, HOME: home, USERPROFILE: home, SKILL_MARKET_HOME: path.join(home, ".skill-market") };
+  for (const key of ["SKILL_MARKET_POLICY", "SKILL_MARKET_REGISTRIES", "SKILL_MARKET_CACHE_DIR", "SKILL_MARKET_TRUST_KEY", "GITHUB_TOKEN"]) {
+    delete env[key];
+  }
+  return { dir, env, cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Run the CLI to completion (stdin is not a TTY, so it never prompts).
+ * @param {string[]} args
+ * @param {{ cwd: string, env: Object<string, string> }} options
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+export function runCli(args, { cwd, env }) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BIN, ...args], { cwd, env, timeout: 60_000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? (err.code ?? 1) : 0, stdout, stderr });
+    });
+  });
+}
@@ -0,0 +1,61 @@
+/**
+ * CLI: skill zips are checked against the registry's zipSha256 / zipSize.
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { startRegistry, registryDoc, skillZip, makeSandbox, runCli } from "./helpers/cli.js";
+
+const SKILL_MD = "---\nname: alpha\ndescription: Formats release notes from the changelog for the docs site.\n---\n# Alpha\n";
+const zip = skillZip("alpha", { "SKILL.md": SKILL_MD });
+const sha256 = crypto.createHash("sha256").update(zip).digest("hex");
+
+let registry;
+before(async () => {
+  registry = await startRegistry({
+    "skills.json": registryDoc([
+      { name: "alpha", commitHash: "0123456789ab", zipSha256: sha256, zipSize: zip.length },
+      { name: "beta", commitHash: "0123456789ab", zipSha256: "0".repeat(64) },
+    ]),
+    "zips/acme-skills-alpha.zip": zip,
+    "zips/acme-skills-beta.zip": zip,
+  });
+});
+after(() => registry.close());
+
+async function install(name) {
+  const box = await makeSandbox();
+  const env = { ...box.env, SKILL_MARKET_ZIP_URL: registry.zipBaseUrl };
+  const out = await runCli(["install", name, "--tool", "claude", "--dir", "out", "--yes", "--registry", registry.registryUrl], {
+    cwd: box.dir,
+    env,
+  });
+  return { ...out, box };
+}
+
+test("install: a zip matching the registry digest is installed", async () => {
+  const { code, stderr, box } = await install("alpha");
+  try {
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(await fs.readFile(path.join(box.dir, "out", "alpha", "SKILL.md"), "utf8"), SKILL_MD);
+  } finally {
+    await box.cleanup();
+  }
+});
+
+test("install: a digest mismatch fails without falling back to another download", async () => {
+  const before = registry.requests.length;
+  const { code, stderr, box } = await install("beta");
+  try {
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /Integrity check failed for beta: expected sha256 0{64}/);
+    assert.deepStrictEqual(registry.requests.slice(before).filter((name) => name.startsWith("zips/")), [
+      "zips/acme-skills-beta.zip",
+    ]);
+    await assert.rejects(fs.access(path.join(box.dir, "out", "beta")));
+  } finally {
+    await box.cleanup();
+  }
+});
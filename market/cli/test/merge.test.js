@@ -0,0 +1,35 @@
+/**
+ * Three-way merge of a locally edited skill with its upstream update.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import { splitLines, matchLines, mergeThreeWay } from "../src/utils/merge.js";
+
+const BASE = "# Skill\n\nStep one.\nStep two.\nStep three.\n";
+
+test("splitLines and matchLines: line-level LCS mapping", () => {
+  assert.deepStrictEqual(splitLines("a\nb\n"), ["a", "b"]);
+  assert.deepStrictEqual(splitLines(""), []);
+  assert.deepStrictEqual(matchLines(["a", "b", "c"], ["a", "x", "c"]), [0, -1, 2]);
+});
+
+test("mergeThreeWay: keeps edits from both sides that do not overlap", () => {
+  const local = BASE.replace("Step one.", "Step one, locally.");
+  const upstream = BASE.replace("Step three.", "Step three, upstream.");
+  const merged = mergeThreeWay(BASE, local, upstream);
+  assert.strictEqual(merged.conflicts, 0);
+  assert.strictEqual(merged.text, "# Skill\n\nStep one, locally.\nStep two.\nStep three, upstream.\n");
+});
+
+test("mergeThreeWay: identical edits on both sides are not a conflict", () => {
+  const edited = BASE.replace("Step two.", "Step 2.");
+  assert.deepStrictEqual(mergeThreeWay(BASE, edited, edited), { text: edited, conflicts: 0 });
+});
+
+test("mergeThreeWay: overlapping edits produce labelled conflict markers", () => {
+  const local = BASE.replace("Step two.", "Local step.");
+  const upstream = BASE.replace("Step two.", "Upstream step.");
+  const merged = mergeThreeWay(BASE, local, upstream, { localLabel: "mine", upstreamLabel: "theirs" });
+  assert.strictEqual(merged.conflicts, 1);
+  assert.match(merged.text, /<<<<<<< mine\nLocal step.\n=======\nUpstream step.\n>>>>>>> theirs\n/);
+});
@@ -0,0 +1,44 @@
+/**
+ * CLI: `outdated` and `doctor` over a --dir shared by every tool.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import crypto from "node:crypto";
+import { startRegistry, registryDoc, skillZip, makeSandbox, runCli } from "./helpers/cli.js";
+
+const SKILL_MD = "---\nname: alpha\ndescription: Formats release notes from the changelog for the docs site.\n---\n# Alpha\n";
+
+test("outdated and doctor --dir without --tool: each skill once, with the tool it was installed for", async () => {
+  const zip = skillZip("alpha", { "SKILL.md": SKILL_MD });
+  const zipSha256 = crypto.createHash("sha256").update(zip).digest("hex");
+  const registry = await startRegistry({
+    "skills.json": registryDoc([{ name: "alpha", commitHash: "aaaaaaaaaaaa", zipSha256 }]),
+    "zips/acme-skills-alpha.zip": zip,
+  });
+  const box = await makeSandbox();
+  const cli = (...args) =>
+    runCli([...args, "--dir", "out", "--registry", registry.registryUrl], {
+      cwd: box.dir,
+      env: { ...box.env, SKILL_MARKET_ZIP_URL: registry.zipBaseUrl },
+    });
+  try {
+    const installed = await cli("install", "alpha", "--tool", "claude", "--yes");
+    assert.strictEqual(installed.code, 0, installed.stderr);
+    registry.files["skills.json"] = registryDoc([{ name: "alpha", commitHash: "bbbbbbbbbbbb", zipSha256 }]);
+
+    const outdated = await cli("outdated", "--json");
+    assert.strictEqual(outdated.code, 1, outdated.stderr);
+    const report = JSON.parse(outdated.stdout);
+    assert.deepStrictEqual(
+      report.skills.map((row) => [row.skill.name, row.tool, row.status]),
+      [["alpha", "claude", "outdated"]],
+    );
+
+    const doctor = JSON.parse((await cli("doctor", "--json")).stdout);
+    assert.strictEqual(doctor.checked, 1);
+    assert.deepStrictEqual(doctor.skills, []);
+  } finally {
+    await box.cleanup();
+    await registry.close();
+  }
+});
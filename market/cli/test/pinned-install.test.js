@@ -0,0 +1,70 @@
+/**
+ * CLI: `install <skill>@<commitHash>` against the registry's 12-character hashes.
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { startRegistry, registryDoc, skillZip, makeSandbox, runCli } from "./helpers/cli.js";
+
+const CURRENT = "0123456789abcdef0123456789abcdef01234567";
+const OLDER = "fedcba9876543210fedcba9876543210fedcba98";
+const skillMd = (version) =>
+  `---\nname: alpha\ndescription: Formats release notes from the changelog for the docs site.\n---\n# Alpha ${version}\n`;
+const currentZip = skillZip("alpha", { "SKILL.md": skillMd("current") });
+const olderZip = skillZip("alpha", { "SKILL.md": skillMd("older") });
+
+let registry;
+before(async () => {
+  registry = await startRegistry({
+    "skills.json": registryDoc([
+      {
+        name: "alpha",
+        commitHash: CURRENT.slice(0, 12),
+        zipSha256: crypto.createHash("sha256").update(currentZip).digest("hex"),
+      },
+    ]),
+    "zips/acme-skills-alpha.zip": currentZip,
+    [`zips/acme-skills-alpha@${CURRENT.slice(0, 12)}.zip`]: currentZip,
+    [`zips/acme-skills-alpha@${OLDER.slice(0, 12)}.zip`]: olderZip,
+  });
+});
+after(() => registry.close());
+
+async function installPinned(hash) {
+  const box = await makeSandbox();
+  const seen = registry.requests.length;
+  try {
+    const out = await runCli(["install", `alpha@${hash}`, "--tool", "claude", "--dir", "out", "--yes", "--registry", registry.registryUrl], {
+      cwd: box.dir,
+      env: { ...box.env, SKILL_MARKET_ZIP_URL: registry.zipBaseUrl },
+    });
+    assert.strictEqual(out.code, 0, out.stderr);
+    const dir = path.join(box.dir, "out", "alpha");
+    return {
+      text: await fs.readFile(path.join(dir, "SKILL.md"), "utf8"),
+      meta: JSON.parse(await fs.readFile(path.join(dir, ".skill-market-meta.json"), "utf8")),
+      zips: registry.requests.slice(seen).filter((name) => name.startsWith("zips/")),
+    };
+  } finally {
+    await box.cleanup();
+  }
+}
+
+test("install @hash: 7- and 40-character hashes of the registry commit use its 12-character zip", async () => {
+  for (const hash of [CURRENT.slice(0, 7), CURRENT]) {
+    const out = await installPinned(hash);
+    assert.match(out.text, /# Alpha current/, hash);
+    assert.deepStrictEqual(out.zips, [`zips/acme-skills-alpha@${CURRENT.slice(0, 12)}.zip`], hash);
+    assert.strictEqual(out.meta.installedCommitHash, CURRENT.slice(0, 12));
+    assert.strictEqual(out.meta.pinned, true);
+  }
+});
+
+test("install @hash: a full hash of another commit is cut to the registry's length", async () => {
+  const out = await installPinned(OLDER);
+  assert.match(out.text, /# Alpha older/);
+  assert.deepStrictEqual(out.zips, [`zips/acme-skills-alpha@${OLDER.slice(0, 12)}.zip`]);
+  assert.strictEqual(out.meta.installedCommitHash, OLDER.slice(0, 12));
+});
@@ -0,0 +1,87 @@
+/**
+ * Install policy: validation, source and scan rules, confirmation.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  loadPolicy,
+  normalizePolicy,
+  checkSkillSource,
+  checkScanResult,
+  needsConfirmation,
+  requiresScan,
+} from "../src/policy.js";
+
+const suppressedScan = {
+  scanTags: ["safe"],
+  riskLevel: "low",
+  securityScore: 100,
+  qualityScore: 80,
+  suppressedTags: ["dangerous-shell"],
+  unsuppressed: { scanTags: ["dangerous-shell"], riskLevel: "high", securityScore: 70 },
+};
+
+test("normalizePolicy: rejects bad values, fills in defaults", () => {
+  assert.throws(() => normalizePolicy([], "p.json"), /expected a JSON object/);
+  assert.throws(() => normalizePolicy({ maxRiskLevel: "severe" }, "p.json"), /"maxRiskLevel" must be one of/);
+  assert.throws(() => normalizePolicy({ allowForce: "no" }, "p.json"), /"allowForce" must be true or false/);
+  assert.throws(() => normalizePolicy({ blockedRepos: "a/b" }, "p.json"), /must be an array of strings/);
+  const policy = normalizePolicy({ blockedRepos: [" Evil/Repo "] }, "/etc/p.json");
+  assert.deepStrictEqual(policy.blockedRepos, ["evil/repo"]);
+  assert.strictEqual(policy.allowForce, true);
+  assert.strictEqual(policy.confirmRiskLevel, "high");
+  assert.strictEqual(policy.allowAuthorSuppressions, false);
+});
+
+test("loadPolicy: without a policy file the defaults ignore author suppressions", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "skill-market-policy-"));
+  const saved = process.env.SKILL_MARKET_POLICY;
+  delete process.env.SKILL_MARKET_POLICY;
+  try {
+    const policy = await loadPolicy(dir);
+    assert.strictEqual(policy.source, null);
+    assert.strictEqual(policy.allowAuthorSuppressions, false);
+    assert.strictEqual(needsConfirmation(policy, suppressedScan), true);
+  } finally {
+    if (saved !== undefined) process.env.SKILL_MARKET_POLICY = saved;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("checkSkillSource: blocked and allowed repos and authors", () => {
+  const policy = normalizePolicy({ allowedRepos: ["acme/*"], blockedAuthors: ["mallory"] }, "p.json");
+  assert.deepStrictEqual(checkSkillSource(policy, { repo: "acme/skills", author: "acme" }), []);
+  assert.deepStrictEqual(checkSkillSource(policy, { repo: "other/skills", author: "mallory" }), [
+    "repository other/skills is not in allowedRepos",
+    "author mallory is blocked",
+  ]);
+  const noLocal = normalizePolicy({ allowLocalSources: false }, "p.json");
+  assert.strictEqual(checkSkillSource(noLocal, { local: true }).length, 1);
+});
+
+test("checkScanResult: limits apply to the scan without the skill's own suppressions", () => {
+  const policy = normalizePolicy(
+    { maxRiskLevel: "medium", minQualityScore: 90, forbiddenScanTags: ["dangerous-shell"] },
+    "p.json",
+  );
+  assert.ok(requiresScan(policy));
+  assert.deepStrictEqual(checkScanResult(policy, suppressedScan), [
+    "risk level high exceeds maxRiskLevel medium",
+    "quality score 80/100 is below minQualityScore 90",
+    "forbidden scan tags: dangerous-shell",
+  ]);
+  const trusting = normalizePolicy({ maxRiskLevel: "medium", allowAuthorSuppressions: true }, "p.json");
+  assert.deepStrictEqual(checkScanResult(trusting, suppressedScan), []);
+});
+
+test("needsConfirmation: risk at confirmRiskLevel or quality below confirmBelowQuality", () => {
+  const policy = normalizePolicy({ confirmRiskLevel: "medium", confirmBelowQuality: 50 }, "p.json");
+  assert.strictEqual(needsConfirmation(policy, { riskLevel: "low", qualityScore: 80 }), false);
+  assert.strictEqual(needsConfirmation(policy, { riskLevel: "medium", qualityScore: 80 }), true);
+  assert.strictEqual(needsConfirmation(policy, { riskLevel: "low", qualityScore: 40 }), true);
+  const trusting = normalizePolicy({ allowAuthorSuppressions: true }, "p.json");
+  assert.strictEqual(needsConfirmation(trusting, suppressedScan), false);
+});
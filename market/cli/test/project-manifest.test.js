@@ -0,0 +1,82 @@
+/**
+ * Project manifest and lockfile reading and writing.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  readManifest,
+  lockfilePathFor,
+  readLockfile,
+  serializeLockfile,
+  writeLockfile,
+  LOCKFILE_VERSION,
+} from "../src/project-manifest.js";
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "skill-market-manifest-"));
+}
+
+test("readManifest: string and object entries, default tools", async () => {
+  const dir = await tempDir();
+  try {
+    const file = path.join(dir, "skill-market.json");
+    await fs.writeFile(file, JSON.stringify({ tools: ["claude", "cursor"], skills: ["pdf", { id: "acme/skills/skills/docx", tools: ["codex"] }] }));
+    const manifest = await readManifest(file);
+    assert.deepStrictEqual(manifest.skills, [
+      { selector: "pdf", tools: ["claude", "cursor"] },
+      { selector: "acme/skills/skills/docx", tools: ["codex"] },
+    ]);
+
+    await fs.writeFile(file, JSON.stringify({ skills: ["pdf"] }));
+    assert.deepStrictEqual((await readManifest(file)).tools, ["cursor"]);
+
+    await fs.writeFile(file, JSON.stringify({ skills: [{ tools: ["claude"] }] }));
+    await assert.rejects(readManifest(file), /missing "id"/);
+    await fs.writeFile(file, JSON.stringify({ tools: ["claude"] }));
+    await assert.rejects(readManifest(file), /must contain a "skills" array/);
+    await fs.writeFile(file, "{");
+    await assert.rejects(readManifest(file), /Invalid manifest/);
+    await assert.rejects(readManifest(path.join(dir, "missing.json")), /Manifest not found/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("lockfile: sorted, stable serialization that reads back", async () => {
+  const dir = await tempDir();
+  try {
+    const lockPath = lockfilePathFor(path.join(dir, "skill-market.json"));
+    assert.strictEqual(lockPath, path.join(dir, "skill-market.lock.json"));
+    assert.deepStrictEqual(await readLockfile(lockPath), { lockfileVersion: LOCKFILE_VERSION, skills: {} });
+
+    const lock = {
+      skills: {
+        "acme/skills/skills/pdf": { commitHash: "0123456789ab", source: "acme-skills-pdf.zip", tools: ["cursor", "claude"] },
+        "acme/skills/skills/docx": { commitHash: "ba9876543210", source: "", tools: ["claude"] },
+      },
+    };
+    await writeLockfile(lockPath, lock);
+    const text = await fs.readFile(lockPath, "utf8");
+    assert.strictEqual(text, serializeLockfile(lock));
+    assert.ok(text.indexOf("skills/docx") < text.indexOf("skills/pdf"));
+    const read = await readLockfile(lockPath);
+    assert.deepStrictEqual(read.skills["acme/skills/skills/pdf"].tools, ["claude", "cursor"]);
+    assert.strictEqual(serializeLockfile(read), text);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("readLockfile: rejects other lockfile versions", async () => {
+  const dir = await tempDir();
+  try {
+    const lockPath = path.join(dir, "skill-market.lock.json");
+    await fs.writeFile(lockPath, JSON.stringify({ lockfileVersion: 99, skills: {} }));
+    await assert.rejects(readLockfile(lockPath), /Unsupported lockfile version 99/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
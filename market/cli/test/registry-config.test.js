@@ -0,0 +1,103 @@
+/**
+ * Registry sources: config loading and merging.
+ */
+import { test, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { loadRegistryConfig, mergeRegistries } from "../src/registry-config.js";
+
+const DEFAULTS = { url: "https://registry.example.com/skills.json", zipBaseUrl: "https://cdn.example.com/zips" };
+
+afterEach(() => {
+  delete process.env.SKILL_MARKET_REGISTRIES;
+  delete process.env.TEST_MARKET_TOKEN;
+});
+
+async function withConfig(config, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "skill-market-registries-"));
+  try {
+    const file = path.join(dir, "registries.json");
+    await fs.writeFile(file, typeof config === "string" ? config : JSON.stringify(config));
+    process.env.SKILL_MARKET_REGISTRIES = file;
+    await fn(file);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("loadRegistryConfig: priority order, defaults and header secrets", async () => {
+  process.env.TEST_MARKET_TOKEN = "s3cret";
+  await withConfig(
+    {
+      registries: [
+        { name: "public", url: "default" },
+        {
+          name: "internal",
+          url: "https://market.example.com/skills.json",
+          priority: 10,
+          headers: { Authorization: "Bearer ${TEST_MARKET_TOKEN}" },
+        },
+      ],
+    },
+    async () => {
+      const sources = await loadRegistryConfig(DEFAULTS);
+      assert.deepStrictEqual(sources.map((source) => source.name), ["internal", "public"]);
+      assert.strictEqual(sources[0].headers.Authorization, "Bearer s3cret");
+      assert.strictEqual(sources[0].zipBaseUrl, "https://market.example.com/zips");
+      assert.strictEqual(sources[1].url, DEFAULTS.url);
+      assert.strictEqual(sources[1].zipBaseUrl, DEFAULTS.zipBaseUrl);
+    },
+  );
+});
+
+test("loadRegistryConfig: rejects invalid configs", async () => {
+  const cases = [
+    ["{", /Invalid registry config/],
+    [{ registries: [] }, /non-empty "registries" array/],
+    [{ registries: [{ url: "ftp://x" }] }, /"url" must be an http\(s\) URL/],
+    [{ registries: [{ url: "default", priority: "high" }] }, /"priority" must be a number/],
+    [{ registries: [{ url: "default", headers: { A: "${TEST_MARKET_TOKEN}" } }] }, /TEST_MARKET_TOKEN .* is not set/],
+    [{ registries: [{ name: "a", url: "default" }, { name: "a", url: "https://x.example/s.json" }] }, /Duplicate registry name "a"/],
+  ];
+  for (const [config, error] of cases) {
+    await withConfig(config, () => assert.rejects(loadRegistryConfig(DEFAULTS), error));
+  }
+  process.env.SKILL_MARKET_REGISTRIES = path.join(os.tmpdir(), "skill-market-missing-registries.json");
+  await assert.rejects(loadRegistryConfig(DEFAULTS), /Registry config not found/);
+});
+
+test("mergeRegistries: the first registry wins, differing commits are conflicts", () => {
+  const internal = { name: "internal", zipBaseUrl: "https://internal.example/zips" };
+  const publicSource = { name: "public", zipBaseUrl: DEFAULTS.zipBaseUrl };
+  const merged = mergeRegistries([
+    {
+      source: internal,
+      registry: {
+        repositories: { "acme/skills": { branch: "internal" } },
+        allSkills: [{ id: "a", commitHash: "111" }, { id: "b", commitHash: "222" }],
+      },
+    },
+    {
+      source: publicSource,
+      registry: {
+        repositories: { "acme/skills": { branch: "main" }, "other/skills": { branch: "main" } },
+        allSkills: [{ id: "a", commitHash: "111" }, { id: "b", commitHash: "333" }, { id: "c", commitHash: "444" }],
+      },
+    },
+  ]);
+  assert.deepStrictEqual(
+    merged.allSkills.map((skill) => [skill.id, skill.registry, skill.zipBaseUrl]),
+    [
+      ["a", "internal", internal.zipBaseUrl],
+      ["b", "internal", internal.zipBaseUrl],
+      ["c", "public", publicSource.zipBaseUrl],
+    ],
+  );
+  assert.strictEqual(merged.repositories["acme/skills"].branch, "internal");
+  assert.ok(merged.repositories["other/skills"]);
+  assert.deepStrictEqual(merged.conflicts, [
+    { id: "b", used: { registry: "internal", commitHash: "222" }, ignored: { registry: "public", commitHash: "333" } },
+  ]);
+});
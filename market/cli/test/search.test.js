@@ -0,0 +1,57 @@
+/**
+ * Ranked skill search: matching, filters and sorting.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import { tokenize, editDistance, searchSkills, matchesFilters } from "../src/search.js";
+
+const SKILLS = [
+  { id: "acme/skills/skills/pdf-tools", name: "pdf-tools", description: "Merge and split PDF files", tags: ["pdf"], categories: ["Documents"], stars: 10, qualityScore: 80, riskLevel: "low" },
+  { id: "acme/skills/skills/docx", name: "docx", description: "Create Word documents", tags: ["office"], categories: ["Documents"], stars: 50, qualityScore: 60, riskLevel: "medium" },
+  { id: "acme/skills/skills/deploy", name: "deploy", description: "Deploy to Kubernetes clusters", tags: ["devops"], categories: ["Development"], stars: 5, riskLevel: "high" },
+];
+
+const names = (results) => results.map((result) => result.skill.name);
+
+test("tokenize and editDistance", () => {
+  assert.deepStrictEqual(tokenize("pdfTools: merge-PDFs"), ["pdf", "tools", "merge", "pdfs"]);
+  assert.strictEqual(editDistance("kubernetes", "kubernetse", 2), 1);
+  assert.strictEqual(editDistance("deploy", "docx", 1), 2);
+});
+
+test("searchSkills: every term must match, by prefix or within the typo budget", () => {
+  assert.deepStrictEqual(names(searchSkills(SKILLS, "pdf")), ["pdf-tools"]);
+  assert.deepStrictEqual(names(searchSkills(SKILLS, "word documents")), ["docx"]);
+  assert.deepStrictEqual(names(searchSkills(SKILLS, "depl")), ["deploy"]);
+  const typo = searchSkills(SKILLS, "kubernets");
+  assert.deepStrictEqual(names(typo), ["deploy"]);
+  assert.strictEqual(typo[0].fuzzy, true);
+  assert.deepStrictEqual(searchSkills(SKILLS, "pdf kubernetes"), []);
+  assert.deepStrictEqual(searchSkills(SKILLS, "--"), []);
+  assert.deepStrictEqual(searchSkills(SKILLS, ""), []);
+});
+
+test("searchSkills: filters and sort keys", () => {
+  assert.deepStrictEqual(names(searchSkills(SKILLS, "", { filters: { category: "documents" } })), ["docx", "pdf-tools"]);
+  assert.deepStrictEqual(names(searchSkills(SKILLS, "", { filters: { maxRisk: "medium" }, sort: "name" })), ["docx", "pdf-tools"]);
+  assert.deepStrictEqual(names(searchSkills(SKILLS, "", { filters: { minQuality: 70 } })), ["pdf-tools"]);
+  assert.ok(matchesFilters(SKILLS[0], { tags: ["PDF"] }));
+  assert.ok(!matchesFilters(SKILLS[2], { minQuality: 1 }));
+});
+
+test("searchSkills: an exact name or id match outranks prefix and substring matches", () => {
+  const skills = [
+    { id: "acme/skills/skills/pdf-tools", name: "pdf-tools", description: "PDF toolkit: merge PDF, split PDF, PDF forms", tags: ["pdf"], stars: 900, qualityScore: 100, securityScore: 100 },
+    { id: "acme/skills/skills/pdfs", name: "pdfs", description: "Batch PDF export", tags: ["pdf"], stars: 500, qualityScore: 95 },
+    { id: "acme/skills/skills/pdf", name: "pdf", description: "Read documents", stars: 1, qualityScore: 10 },
+    { id: "other/skills/skills/pdf-forms", name: "pdf-forms", description: "Fill PDF forms", tags: ["pdf"], stars: 50, qualityScore: 90 },
+  ];
+  const ranked = searchSkills(skills, "pdf");
+  assert.strictEqual(ranked[0].skill.name, "pdf");
+  assert.deepStrictEqual(ranked.map((result) => result.exact), [true, false, false, false]);
+  assert.strictEqual(searchSkills(skills, "PDF")[0].skill.name, "pdf");
+  assert.strictEqual(searchSkills(skills, "pdf forms")[0].skill.name, "pdf-forms");
+  assert.strictEqual(searchSkills(skills, "other/skills/skills/pdf-forms")[0].skill.name, "pdf-forms");
+  // Other sort keys are not affected
+  assert.strictEqual(searchSkills(skills, "pdf", { sort: "stars" })[0].skill.name, "pdf-tools");
+});
@@ -0,0 +1,104 @@
+/**
+ * CLI: `sync` with a project manifest and lockfile.
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { startRegistry, registryDoc, skillZip, makeSandbox, runCli } from "./helpers/cli.js";
+
+const SKILL_MD = "---\nname: alpha\ndescription: Formats release notes from the changelog for the docs site.\n---\n# Alpha\n";
+const zip = skillZip("alpha", { "SKILL.md": SKILL_MD });
+const sha256 = crypto.createHash("sha256").update(zip).digest("hex");
+
+let registry;
+before(async () => {
+  registry = await startRegistry({
+    "skills.json": registryDoc([{ name: "alpha", commitHash: "0123456789ab", zipSha256: sha256 }]),
+    "zips/acme-skills-alpha.zip": zip,
+  });
+});
+after(() => registry.close());
+
+async function projectSandbox() {
+  const box = await makeSandbox();
+  await fs.writeFile(
+    path.join(box.dir, "skill-market.json"),
+    JSON.stringify({ scope: "project", tools: ["claude"], skills: ["alpha"] }),
+  );
+  const sync = (...flags) =>
+    runCli(["sync", ...flags, "--registry", registry.registryUrl], {
+      cwd: box.dir,
+      env: { ...box.env, SKILL_MARKET_ZIP_URL: registry.zipBaseUrl },
+    });
+  return { ...box, sync, lockPath: path.join(box.dir, "skill-market.lock.json") };
+}
+
+test("sync: locks the commit, zip digest and a registry-relative source", async () => {
+  const box = await projectSandbox();
+  try {
+    const out = await box.sync();
+    assert.strictEqual(out.code, 0, out.stderr);
+    const lock = JSON.parse(await fs.readFile(box.lockPath, "utf8"));
+    assert.deepStrictEqual(lock.skills["acme/skills/skills/alpha"], {
+      name: "alpha",
+      repo: "acme/skills",
+      path: "skills/alpha",
+      commitHash: "0123456789ab",
+      zipSha256: sha256,
+      source: "acme-skills-alpha.zip",
+      tools: ["claude"],
+    });
+    assert.doesNotMatch(await fs.readFile(box.lockPath, "utf8"), /127\.0\.0\.1/);
+  } finally {
+    await box.cleanup();
+  }
+});
+
+// The lockfile a first sync wrote, as another checkout of the project would see it
+async function lockedProject() {
+  const first = await projectSandbox();
+  try {
+    assert.strictEqual((await first.sync()).code, 0);
+    const lock = JSON.parse(await fs.readFile(first.lockPath, "utf8"));
+    return { box: await projectSandbox(), lock };
+  } finally {
+    await first.cleanup();
+  }
+}
+
+test("sync --frozen: installs from the lockfile without writing it", async () => {
+  const { box, lock } = await lockedProject();
+  try {
+    // A lock without the digest would be filled in by a plain sync, never by --frozen
+    lock.skills["acme/skills/skills/alpha"].zipSha256 = "";
+    lock.skills["acme/skills/skills/alpha"].source = "";
+    const partial = `${JSON.stringify(lock, null, 2)}\n`;
+    await fs.writeFile(box.lockPath, partial);
+
+    const out = await box.sync("--frozen", "--json");
+    assert.strictEqual(out.code, 0, out.stderr);
+    assert.strictEqual(JSON.parse(out.stdout).lockfileWritten, false);
+    assert.strictEqual(await fs.readFile(box.lockPath, "utf8"), partial);
+  } finally {
+    await box.cleanup();
+  }
+});
+
+test("sync --frozen: a zip that differs from the locked digest is rejected", async () => {
+  const { box, lock } = await lockedProject();
+  try {
+    lock.skills["acme/skills/skills/alpha"].zipSha256 = "f".repeat(64);
+    const tampered = `${JSON.stringify(lock, null, 2)}\n`;
+    await fs.writeFile(box.lockPath, tampered);
+
+    const out = await box.sync("--frozen");
+    assert.strictEqual(out.code, 1);
+    assert.match(out.stderr, /Integrity check failed for alpha: expected sha256 f{64}/);
+    assert.strictEqual(await fs.readFile(box.lockPath, "utf8"), tampered);
+    await assert.rejects(fs.access(path.join(box.dir, ".claude", "skills", "alpha")));
+  } finally {
+    await box.cleanup();
+  }
+});
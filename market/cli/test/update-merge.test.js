@@ -0,0 +1,74 @@
+/**
+ * CLI: `update --on-modified merge` on a locally edited skill.
+ */
+import { test } from "node:test";
+import assert from "node:assert";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { startRegistry, registryDoc, skillZip, makeSandbox, runCli } from "./helpers/cli.js";
+
+const BASE_MD = "---\nname: alpha\ndescription: Formats release notes from the changelog for the docs site.\n---\n# Alpha\n\nStep one.\nStep two.\nStep three.\n";
+const OLD = "aaaaaaaaaaaa";
+const NEW = "bbbbbbbbbbbb";
+
+function release(commitHash, text) {
+  const zip = skillZip("alpha", { "SKILL.md": text });
+  const zipSha256 = crypto.createHash("sha256").update(zip).digest("hex");
+  return { zip, skill: { name: "alpha", commitHash, zipSha256 } };
+}
+
+/**
+ * Install BASE_MD, edit it locally, publish `upstreamMd` and run the merge.
+ */
+async function mergeUpdate(localMd, upstreamMd) {
+  const base = release(OLD, BASE_MD);
+  const registry = await startRegistry({
+    "skills.json": registryDoc([base.skill]),
+    "zips/acme-skills-alpha.zip": base.zip,
+    [`zips/acme-skills-alpha@${OLD}.zip`]: base.zip,
+  });
+  const box = await makeSandbox();
+  const cli = (...args) =>
+    runCli([...args, "--tool", "claude", "--dir", "out", "--registry", registry.registryUrl], {
+      cwd: box.dir,
+      env: { ...box.env, SKILL_MARKET_ZIP_URL: registry.zipBaseUrl },
+    });
+  try {
+    const installed = await cli("install", "alpha", "--yes");
+    assert.strictEqual(installed.code, 0, installed.stderr);
+    const skillMd = path.join(box.dir, "out", "alpha", "SKILL.md");
+    await fs.writeFile(skillMd, localMd);
+
+    const upstream = release(NEW, upstreamMd);
+    registry.files["skills.json"] = registryDoc([upstream.skill]);
+    registry.files["zips/acme-skills-alpha.zip"] = upstream.zip;
+    const out = await cli("update", "alpha", "--on-modified", "merge", "--yes");
+    const doctor = await cli("doctor", "--json");
+    return { ...out, text: await fs.readFile(skillMd, "utf8"), doctor: JSON.parse(doctor.stdout) };
+  } finally {
+    await box.cleanup();
+    await registry.close();
+  }
+}
+
+test("update --on-modified merge: a clean merge installs both sides' edits", async () => {
+  const out = await mergeUpdate(
+    BASE_MD.replace("Step one.", "Step one, locally."),
+    BASE_MD.replace("Step three.", "Step three, upstream."),
+  );
+  assert.strictEqual(out.code, 0, out.stderr);
+  assert.match(out.stdout, /Merged local modifications/);
+  assert.match(out.text, /Step one, locally\.\nStep two\.\nStep three, upstream\./);
+  assert.strictEqual(out.doctor.errors, 0);
+});
+
+test("update --on-modified merge: conflicts leave the installed copy unchanged and fail", async () => {
+  const local = BASE_MD.replace("Step two.", "Local step.");
+  const out = await mergeUpdate(local, BASE_MD.replace("Step two.", "Upstream step."));
+  assert.strictEqual(out.code, 1);
+  assert.match(out.stderr, /Merge conflicts in 1 file\(s\); the installed version was left unchanged/);
+  assert.match(out.stderr, /! SKILL\.md: 1 conflicting region\(s\)/);
+  assert.strictEqual(out.text, local);
+  assert.doesNotMatch(out.text, /<<<<<<<|>>>>>>>/);
+});
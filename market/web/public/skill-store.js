@@ -49,6 +49,7 @@
       securityScore: skill.securityScore,
       riskLevel: skill.riskLevel,
       scanTags: skill.scanTags,
+      suppressedTags: skill.suppressedTags,
       scannedAt: skill.scannedAt,
       qualityScore: skill.qualityScore,
     };
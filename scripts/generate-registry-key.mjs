@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * Generate an Ed25519 key pair for signing the registry.
+ * Store the private key as the REGISTRY_SIGNING_KEY secret and pin the public key
+ * in market/cli/src/registry-signature.js (PINNED_REGISTRY_KEY).
+ */
+import { generateSigningKeyPair } from "../crawler/registry-signer.js";
+
+const { privateKeyPem, publicKey } = generateSigningKeyPair();
+console.log("Private key (REGISTRY_SIGNING_KEY, keep secret):\n");
+console.log(privateKeyPem);
+console.log(`Public key (PINNED_REGISTRY_KEY / --trust-key):\n\n${publicKey}`);
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Sign skills.json and chunk files (skills-*.json) in place: writes a detached
+ * "<file>.sig" next to each, committed with the registry so the CLI can verify the
+ * files it fetches from GitHub. Uses REGISTRY_SIGNING_KEY (Ed25519 PKCS#8 PEM); without
+ * it nothing is signed and the registry is published unsigned.
+ */
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { isSigningConfigured, signRegistryFile } from "../crawler/registry-signer.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.resolve(__dirname, "..");
+const marketDir = path.join(rootDir, "market");
+const mainPath = path.join(marketDir, "skills.json");
+
+async function main() {
+  if (!isSigningConfigured()) {
+    console.warn("REGISTRY_SIGNING_KEY not set; skipping registry signatures.");
+    return;
+  }
+
+  const mainData = JSON.parse(await fs.readFile(mainPath, "utf-8"));
+  const chunkNameRe = /^skills-\d+\.json$/;
+  const files = ["skills.json"];
+  for (const chunkFilename of mainData.meta?.chunks || []) {
+    if (!chunkNameRe.test(chunkFilename)) {
+      console.warn(`  ⚠ Skipped invalid chunk name: ${chunkFilename}`);
+      continue;
+    }
+    files.push(chunkFilename);
+  }
+
+  console.log("Signing registry files...");
+  for (const file of files) {
+    await signRegistryFile(path.join(marketDir, file), process.env.REGISTRY_SIGNING_KEY);
+    console.log(`  ✓ Signed ${file}`);
+  }
+  console.log("Done.");
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
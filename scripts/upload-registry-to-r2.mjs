@@ -3,17 +3,35 @@
  * Upload skills.json and chunk files (skills-*.json) to Cloudflare R2 (CDN).
  * Used after skill-scan completes. Requires R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY, R2_ENDPOINT.
  * Optional: R2_BUCKET (default "skill-market").
+ * Optional: REGISTRY_SIGNING_KEY (Ed25519 PKCS#8 PEM) — each file is uploaded with a
+ * detached "<file>.sig" that the CLI verifies.
  */
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import { uploadToR2, isR2Configured } from "../crawler/r2-uploader.js";
+import {
+  SIGNATURE_SUFFIX,
+  isSigningConfigured,
+  signRegistryFile,
+} from "../crawler/registry-signer.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const rootDir = path.resolve(__dirname, "..");
 const marketDir = path.join(rootDir, "market");
 const mainPath = path.join(marketDir, "skills.json");
 
+/**
+ * Upload a registry file, plus its detached signature when signing is configured.
+ */
+async function uploadRegistryFile(localPath, r2Key, bucket) {
+  if (isSigningConfigured()) {
+    const sigPath = await signRegistryFile(localPath, process.env.REGISTRY_SIGNING_KEY);
+    await uploadToR2(sigPath, `${r2Key}${SIGNATURE_SUFFIX}`, bucket);
+  }
+  await uploadToR2(localPath, r2Key, bucket);
+}
+
 async function main() {
   if (!isR2Configured()) {
     console.error("R2 not configured. Set R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY, R2_ENDPOINT.");
@@ -26,10 +44,15 @@ async function main() {
   const mainData = JSON.parse(mainJson);
   const chunks = mainData.meta?.chunks || [];
 
-  console.log("Uploading registry files to R2...");
+  if (isSigningConfigured()) {
+    console.log("Uploading signed registry files to R2...");
+  } else {
+    console.warn("REGISTRY_SIGNING_KEY not set; uploading registry files unsigned.");
+    console.log("Uploading registry files to R2...");
+  }
 
   try {
-    await uploadToR2(mainPath, "skills.json", bucket);
+    await uploadRegistryFile(mainPath, "skills.json", bucket);
     console.log("  ✓ Uploaded skills.json");
   } catch (err) {
     console.error(`  ✗ Failed to upload skills.json: ${err.message}`);
@@ -45,7 +68,7 @@ async function main() {
     const chunkPath = path.join(marketDir, chunkFilename);
     try {
       await fs.access(chunkPath);
-      await uploadToR2(chunkPath, chunkFilename, bucket);
+      await uploadRegistryFile(chunkPath, chunkFilename, bucket);
       console.log(`  ✓ Uploaded ${chunkFilename}`);
     } catch (err) {
       if (err.code === "ENOENT") {